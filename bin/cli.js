@@ -65,6 +65,11 @@ program
   .option('-p, --port <port>', 'ActiveMQ STOMP port', '61613')
   .option('-u, --username <username>', 'ActiveMQ username', '')
   .option('-w, --password <password>', 'ActiveMQ password', '')
+  .option('--ssl', 'Use HTTPS/TLS to connect to the broker')
+  .option('--ca-file <path>', 'PEM CA bundle used to verify the broker certificate')
+  .option('--cert-file <path>', 'PEM client certificate for mutual TLS')
+  .option('--key-file <path>', 'PEM private key for the client certificate')
+  .option('--insecure', 'Skip broker certificate verification')
   .action(async (options) => {
     try {
       const { ConnectionManager } = await import('../src/core/connection-manager.js');
@@ -74,7 +79,12 @@ program
         host: options.host,
         port: parseInt(options.port),
         username: options.username,
-        password: options.password
+        password: options.password,
+        ssl: options.ssl === true,
+        caFile: options.caFile,
+        certFile: options.certFile,
+        keyFile: options.keyFile,
+        insecureSkipVerify: options.insecure === true
       };
 
       console.log(`Testing connection to ${config.host}:${config.port}...`);
@@ -123,6 +133,11 @@ program
           console.log(`  Port: ${config.port || 61613}`);
           console.log(`  Username: ${config.username || '(none)'}`);
           console.log(`  SSL: ${config.ssl ? 'enabled' : 'disabled'}`);
+          if (config.ssl) {
+            console.log(`  CA File: ${config.caFile || '(system default)'}`);
+            console.log(`  Client Certificate: ${config.certFile || '(none)'}`);
+            console.log(`  Verify Certificate: ${config.insecureSkipVerify ? 'no' : 'yes'}`);
+          }
           console.log('');
         }
 
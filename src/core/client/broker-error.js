@@ -0,0 +1,53 @@
+import { JolokiaError } from './jolokia-client.js';
+
+export const BrokerErrorKind = {
+  NOT_FOUND: 'not-found',
+  UNAUTHORIZED: 'unauthorized',
+  UNREACHABLE: 'unreachable',
+  MISCONFIGURED: 'misconfigured'
+};
+
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'EHOSTUNREACH'];
+
+// An error the caller can act on: `kind` says whether the target is missing,
+// access was denied, the broker could not be reached at all, or the connection
+// does not lead to a Jolokia endpoint
+export class BrokerError extends Error {
+  constructor(message, { kind, suggestions } = {}) {
+    super(message);
+    this.name = 'BrokerError';
+    this.kind = kind;
+    this.suggestions = suggestions;
+  }
+}
+
+// Maps HTTP client and Jolokia failures to a BrokerErrorKind, or null when the
+// failure fits none of them
+export function classifyError(error) {
+  if (error instanceof BrokerError) {
+    return error.kind || null;
+  }
+  if (error instanceof JolokiaError) {
+    if (error.status === 404 || error.errorType === 'javax.management.InstanceNotFoundException') {
+      return BrokerErrorKind.NOT_FOUND;
+    }
+    if (error.status === 401 || error.status === 403) {
+      return BrokerErrorKind.UNAUTHORIZED;
+    }
+    return null;
+  }
+
+  const status = error.response?.status;
+  if (status === 401 || status === 403) {
+    return BrokerErrorKind.UNAUTHORIZED;
+  }
+  // Only a Jolokia response says an MBean is missing; an HTTP 404 means the
+  // Jolokia endpoint itself was not found (wrong port or web console path)
+  if (status === 404) {
+    return BrokerErrorKind.MISCONFIGURED;
+  }
+  if (!error.response && (UNREACHABLE_CODES.includes(error.code) || error.request)) {
+    return BrokerErrorKind.UNREACHABLE;
+  }
+  return null;
+}
@@ -1,6 +1,30 @@
 import axios from 'axios';
+import https from 'https';
+import { StompClient } from './stomp-client.js';
+import { JolokiaClient, JolokiaError, withoutAttributeErrors } from './jolokia-client.js';
+import { parseDestination, requireSingleDestination } from './destination.js';
+import { buildTlsOptions } from './tls-options.js';
+import { BROKER_FLAVORS } from '../flavor/index.js';
 import { logger } from '../../utils/logger.js';
 
+const MAX_SAMPLE_WINDOW = 60;
+
+// Merges pattern read results into { mbean: view }. Jolokia answers 404 when
+// a pattern matches nothing, which is an empty result rather than a failure.
+function mergePatternResults(results) {
+  const views = {};
+  for (const result of results) {
+    if (result instanceof JolokiaError && result.status === 404) {
+      continue;
+    }
+    if (result instanceof Error) {
+      throw result;
+    }
+    Object.assign(views, result);
+  }
+  return views;
+}
+
 export class CoreClient {
   constructor(config) {
     if (!config) {
@@ -20,14 +44,25 @@ export class CoreClient {
       port: config.port,
       username: config.username || '',
       password: config.password || '',
-      baseURL: `http://${config.host}:${config.port}`,
+      ssl: config.ssl === true,
+      baseURL: `${config.ssl === true ? 'https' : 'http'}://${config.host}:${config.port}`,
+      stompPort: config.stompPort || 61613,
+      // 61613 is a plain-text listener even when the web console uses HTTPS
+      stompSsl: config.stompSsl === true,
       timeout: config.timeout || 30000
     };
 
+    // TLS material is loaded once and shared by HTTPS and STOMP connections
+    this.tlsOptions = buildTlsOptions(config);
+    this.stompTlsOptions = this.config.stompSsl
+      ? this.tlsOptions || buildTlsOptions(config, true)
+      : null;
+
     // Create axios instance with base configuration
     this.httpClient = axios.create({
       baseURL: this.config.baseURL,
       timeout: this.config.timeout,
+      httpsAgent: this.tlsOptions ? new https.Agent(this.tlsOptions) : undefined,
       auth: this.config.username ? {
         username: this.config.username,
         password: this.config.password
@@ -38,66 +73,221 @@ export class CoreClient {
       }
     });
 
+    // Replaced once the broker flavor is detected on connect
+    this.jolokia = new JolokiaClient(this.httpClient);
+    this.flavor = null;
+
     this.connected = false;
     this._brokerName = null; // Cache broker name
+    this._stompClient = null; // Opened lazily on first STOMP operation
+    this._stompConnecting = null;
   }
 
-  async getBrokerName() {
-    if (this._brokerName) {
-      return this._brokerName;
+  async getStompClient() {
+    if (this._stompClient?.isConnected()) {
+      return this._stompClient;
     }
 
+    // Concurrent callers share a single connection attempt
+    if (!this._stompConnecting) {
+      this._stompConnecting = this.openStompClient().finally(() => {
+        this._stompConnecting = null;
+      });
+    }
+
+    return await this._stompConnecting;
+  }
+
+  async openStompClient() {
+    const stompClient = new StompClient({
+      host: this.config.host,
+      port: this.config.stompPort,
+      username: this.config.username,
+      password: this.config.password,
+      timeout: this.config.timeout,
+      tls: this.stompTlsOptions
+    });
+
     try {
-      const response = await this.httpClient.get('/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=*');
-      const brokerData = response.data?.value || {};
-
-      // Extract broker name from response
-      for (const key of Object.keys(brokerData)) {
-        if (key.includes('brokerName=')) {
-          this._brokerName = key.split('brokerName=')[1].split(',')[0];
-          logger.debug('Discovered broker name', { brokerName: this._brokerName });
-          return this._brokerName;
+      await stompClient.connect();
+    } catch (error) {
+      throw new Error(`Failed to open STOMP connection on port ${this.config.stompPort}: ${error.message}`);
+    }
+
+    this._stompClient = stompClient;
+    return this._stompClient;
+  }
+
+  // Probes each flavor's Jolokia endpoint for its broker MBean. Credential
+  // failures are not retried against the next flavor; when nothing answers,
+  // the first flavor's error is reported.
+  async detectFlavor() {
+    let firstError = null;
+
+    for (const flavor of BROKER_FLAVORS) {
+      // Artemis rejects Jolokia requests that carry no allowed Origin
+      const headers = flavor.name === 'artemis' ? { Origin: this.config.baseURL } : undefined;
+      const jolokia = new JolokiaClient(this.httpClient, flavor.jolokiaPath, headers);
+      try {
+        const matches = await jolokia.search(flavor.brokerSearchPattern);
+        if (Array.isArray(matches) && matches.length > 0) {
+          this.flavor = flavor;
+          this.jolokia = jolokia;
+          this._brokerName = flavor.brokerNameFrom(matches[0]);
+          logger.debug('Detected broker flavor', { flavor: flavor.name, brokerName: this._brokerName });
+          return flavor;
+        }
+      } catch (error) {
+        if ([401, 403].includes(error.response?.status)) {
+          throw error;
         }
+        firstError = firstError || error;
       }
+    }
 
-      // Fallback to localhost if not found
-      this._brokerName = 'localhost';
-      return this._brokerName;
-    } catch (error) {
-      logger.warn('Failed to get broker name, using localhost', { error: error.message });
-      this._brokerName = 'localhost';
-      return this._brokerName;
+    throw firstError || new Error('No ActiveMQ Classic or Artemis broker found');
+  }
+
+  // Found along with the flavor. A failed detection is rethrown rather than
+  // guessed at, and not cached, so the next call probes again.
+  async getBrokerName() {
+    if (!this._brokerName) {
+      await this.detectFlavor();
+    }
+    return this._brokerName;
+  }
+
+  // The broker MBean in the detected flavor's layout
+  async getServerMBean() {
+    const brokerName = await this.getBrokerName();
+    return this.flavor.brokerMBean(brokerName);
+  }
+
+  // Connectors, clients, durable subscriptions, the scheduler and destination
+  // management are only reachable through Classic's BrokerView
+  async getBrokerMBean() {
+    if (this.flavor && this.flavor.name !== 'classic') {
+      throw new Error('This operation is only supported on ActiveMQ Classic brokers');
+    }
+    return await this.getServerMBean();
+  }
+
+  // destinationType is the Classic MBean key value: 'Queue' or 'Topic'
+  async getDestinationMBean(destinationType, destinationName) {
+    requireSingleDestination(destinationName);
+    const serverMBean = await this.getServerMBean();
+    return this.flavor.destinationMBean(serverMBean, destinationType, destinationName);
+  }
+
+  // Read request for the broker MBean, restricted to the given Classic
+  // BrokerView attributes; pass its result through toBrokerView. Attributes
+  // the broker version lacks come back absent rather than failing the read.
+  async brokerReadRequest(attributes) {
+    return {
+      type: 'read',
+      mbean: await this.getServerMBean(),
+      attribute: this.flavor.brokerAttributes(attributes),
+      config: { ignoreErrors: true }
+    };
+  }
+
+  toBrokerView(value) {
+    return this.flavor.toBrokerView(withoutAttributeErrors(value), this._brokerName);
+  }
+
+  async readBrokerView(attributes) {
+    const request = await this.brokerReadRequest(attributes);
+    return this.toBrokerView(await this.jolokia.request(request));
+  }
+
+  // Pattern read requests for the given destination types ('Queue',
+  // 'TempQueue', 'Topic', 'TempTopic'), restricted to the given Classic
+  // DestinationView attributes; pass their results through toDestinations.
+  // Artemis shares one pattern between a type and its temporary variant.
+  async destinationReadRequests(destinationTypes, attributes) {
+    const serverMBean = await this.getServerMBean();
+    const requests = new Map();
+    for (const destinationType of destinationTypes) {
+      const mbean = this.flavor.destinationPattern(serverMBean, destinationType);
+      requests.set(mbean, {
+        type: 'read',
+        mbean,
+        attribute: this.flavor.destinationAttributes(destinationType, attributes)
+      });
+    }
+    return [...requests.values()];
+  }
+
+  // Turns the bulk results of destinationReadRequests into
+  // [{ name, destinationType, view, sample }] with attributes under their
+  // Classic names. `sampleResults` are the results of an earlier read.
+  toDestinations(destinationTypes, results, sampleResults = null) {
+    const views = mergePatternResults(results);
+    const samples = sampleResults ? mergePatternResults(sampleResults) : {};
+
+    const destinations = [];
+    for (const [mbean, view] of Object.entries(views)) {
+      const destination = this.flavor.describeDestination(mbean, view);
+      if (!destination || !destinationTypes.includes(destination.destinationType)) {
+        continue;
+      }
+      const { name, destinationType } = destination;
+      destinations.push({
+        name,
+        destinationType,
+        view: this.flavor.toDestinationView(destinationType, view),
+        sample: samples[mbean] ? this.flavor.toDestinationView(destinationType, samples[mbean]) : null
+      });
+    }
+    return destinations;
+  }
+
+  // Reads the given attributes of every destination of the given types in one
+  // bulk request. With a window, the views are read twice that many seconds
+  // apart and each entry carries the first read as `sample`.
+  async readDestinations(destinationTypes, attributes, windowSeconds = 0) {
+    if (windowSeconds && (typeof windowSeconds !== 'number' || windowSeconds < 0 || windowSeconds > MAX_SAMPLE_WINDOW)) {
+      throw new Error(`windowSeconds must be between 0 and ${MAX_SAMPLE_WINDOW}`);
+    }
+
+    const requests = await this.destinationReadRequests(destinationTypes, attributes);
+
+    const samples = windowSeconds ? await this.jolokia.bulk(requests) : null;
+    if (windowSeconds) {
+      await new Promise(resolve => setTimeout(resolve, windowSeconds * 1000));
+    }
+
+    return this.toDestinations(destinationTypes, await this.jolokia.bulk(requests), samples);
+  }
+
+  // Names only, found without reading any attributes where the MBean name
+  // tells the destination type; otherwise (Artemis addresses) the few
+  // attributes that do are read
+  async searchDestinationNames(destinationType) {
+    const serverMBean = await this.getServerMBean();
+    if (!this.flavor.describesFromName(destinationType)) {
+      const destinations = await this.readDestinations([destinationType], []);
+      return destinations.map(({ name }) => name);
     }
+
+    const mbeans = await this.jolokia.search(this.flavor.destinationPattern(serverMBean, destinationType));
+    return (mbeans || [])
+      .map(mbean => this.flavor.describeDestination(mbean)?.name)
+      .filter(Boolean);
+  }
+
+  async destinationExists(destinationType, destinationName) {
+    const destinationMBean = await this.getDestinationMBean(destinationType, destinationName);
+    const matches = await this.jolokia.search(destinationMBean);
+    return Array.isArray(matches) && matches.length > 0;
   }
 
   parseDestination(destination) {
-    let destinationName;
-    let destinationType;
-
-    if (destination.startsWith('/queue/')) {
-      destinationName = destination.replace('/queue/', '');
-      destinationType = 'queue';
-    } else if (destination.startsWith('/topic/')) {
-      destinationName = destination.replace('/topic/', '');
-      destinationType = 'topic';
-    } else if (destination.startsWith('queue/')) {
-      destinationName = destination.replace('queue/', '');
-      destinationType = 'queue';
-    } else if (destination.startsWith('topic/')) {
-      destinationName = destination.replace('topic/', '');
-      destinationType = 'topic';
-    } else {
-      // Default to queue if no prefix
-      destinationName = destination;
-      destinationType = 'queue';
-    }
-
-    return { destinationName, destinationType };
+    return parseDestination(destination);
   }
 
   cleanDestinationName(destination) {
-    return destination.replace('/queue/', '').replace('queue/', '')
-                    .replace('/topic/', '').replace('topic/', '');
+    return parseDestination(destination).destinationName;
   }
 
   async connect() {
@@ -113,16 +303,16 @@ export class CoreClient {
     });
 
     try {
-      // Test connection by getting broker info
-      await this.httpClient.get('/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=*');
+      const flavor = await this.detectFlavor();
 
       this.connected = true;
       logger.info('Successfully connected to ActiveMQ web console', {
         host: this.config.host,
-        port: this.config.port
+        port: this.config.port,
+        flavor: flavor.name
       });
 
-      return { success: true, connected: true };
+      return { success: true, connected: true, flavor: flavor.name };
     } catch (error) {
       logger.error('Failed to connect to ActiveMQ web console', {
         host: this.config.host,
@@ -137,6 +327,11 @@ export class CoreClient {
   }
 
   async disconnect() {
+    if (this._stompClient) {
+      await this._stompClient.disconnect();
+      this._stompClient = null;
+    }
+
     if (this.connected) {
       this.connected = false;
       logger.info('Disconnected from ActiveMQ', {
@@ -149,8 +344,8 @@ export class CoreClient {
 
   async testConnection() {
     try {
-      await this.httpClient.get('/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=*');
-      return { success: true, connected: true };
+      const flavor = await this.detectFlavor();
+      return { success: true, connected: true, flavor: flavor.name };
     } catch (error) {
       logger.error('Connection test failed', {
         host: this.config.host,
@@ -170,7 +365,13 @@ export class CoreClient {
       host: this.config.host,
       port: this.config.port,
       baseURL: this.config.baseURL,
+      stompPort: this.config.stompPort,
+      ssl: this.config.ssl,
+      stompSsl: this.config.stompSsl,
+      tlsVerify: (this.tlsOptions || this.stompTlsOptions)?.rejectUnauthorized,
+      clientCertificate: Boolean((this.tlsOptions || this.stompTlsOptions)?.cert),
       connected: this.connected,
+      flavor: this.flavor?.name || null,
       username: this.config.username ? '***' : 'none'
     };
   }
@@ -0,0 +1,47 @@
+// Destination names as given to tools ('/queue/orders', 'topic/prices',
+// 'queue://orders', 'orders') and their safe use in MBean names and REST URLs
+
+// Only one leading prefix is stripped, so 'a/queue/b' stays intact. The JMS
+// URI forms come before 'queue/' and 'topic/', which they also start with.
+const DESTINATION_PREFIXES = [
+  ['queue://', 'queue'],
+  ['topic://', 'topic'],
+  ['/queue/', 'queue'],
+  ['/topic/', 'topic'],
+  ['queue/', 'queue'],
+  ['topic/', 'topic']
+];
+
+// ObjectName patterns (*, ?) and ActiveMQ destination wildcards (*, >)
+const WILDCARD_CHARACTERS = /[*?>]/;
+
+// Bare names default to queues
+export function parseDestination(destination) {
+  if (typeof destination !== 'string' || destination === '') {
+    throw new Error('Destination must be a non-empty string');
+  }
+
+  const match = DESTINATION_PREFIXES.find(([prefix]) => destination.startsWith(prefix));
+  const destinationName = match ? destination.slice(match[0].length) : destination;
+  if (destinationName === '') {
+    throw new Error(`Destination '${destination}' has no name after its prefix`);
+  }
+
+  return { destinationName, destinationType: match ? match[1] : 'queue' };
+}
+
+// For operations on one destination's MBean; a wildcard would match several
+// MBeans or none
+export function requireSingleDestination(destinationName) {
+  if (WILDCARD_CHARACTERS.test(destinationName)) {
+    throw new Error(`Destination name '${destinationName}' contains a wildcard (*, ? or >) - name a single destination`);
+  }
+  return destinationName;
+}
+
+// URL of a destination on the Classic REST message servlet. The name goes in
+// the destination parameter: in the path, the servlet would read '/' as '.'.
+// Further parameters are appended with '&'.
+export function messageServletUrl(destinationType, destinationName) {
+  return `/api/message?destination=${encodeURIComponent(`${destinationType}://${destinationName}`)}`;
+}
@@ -1,2 +1,15 @@
 // Core client with shared functionality (HTTP, connection, utilities)
 export { CoreClient } from './core-client.js';
+
+// Jolokia JSON protocol client for MBean reads and operations
+export { JolokiaClient, JolokiaError } from './jolokia-client.js';
+
+// Typed not-found / unauthorized / unreachable failures
+export { BrokerError, BrokerErrorKind, classifyError } from './broker-error.js';
+
+// Native STOMP-over-TCP transport used for live subscriptions
+export { StompClient } from './stomp-client.js';
+export { encodeFrame, StompFrameParser } from './stomp-frame.js';
+
+// TLS options shared by the HTTPS agent and the STOMP socket
+export { buildTlsOptions } from './tls-options.js';
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { logger } from '../../utils/logger.js';
+
+export class JolokiaError extends Error {
+  constructor(message, { status, errorType } = {}) {
+    super(message);
+    this.name = 'JolokiaError';
+    this.status = status;
+    this.errorType = errorType;
+  }
+}
+
+// A multi-attribute read sent with config.ignoreErrors reports each attribute
+// the MBean lacks as an 'ERROR: ...' string in place of its value; those are
+// dropped so that the attribute reads as absent
+export function withoutAttributeErrors(view) {
+  return Object.fromEntries(
+    Object.entries(view || {}).filter(([, value]) => !(typeof value === 'string' && value.startsWith('ERROR:')))
+  );
+}
+
+// Thin wrapper around the Jolokia JSON protocol. Requests are POSTed so that
+// MBean names and operation arguments never have to be escaped into a URL.
+export class JolokiaClient {
+  constructor(httpClient, path = '/api/jolokia', headers = undefined) {
+    this.httpClient = httpClient;
+    this.path = path;
+    this.headers = headers;
+  }
+
+  async request(body) {
+    const response = await this.httpClient.post(this.path, body, this.headers ? { headers: this.headers } : undefined);
+    const data = response.data || {};
+
+    if (data.status !== 200) {
+      throw this.toError(body, data);
+    }
+
+    return data.value;
+  }
+
+  // Sends several requests in one POST. Results come back in request order,
+  // each either the value or, for a request that failed on its own, a
+  // JolokiaError (returned, not thrown, so the other results stay usable).
+  async bulk(requests) {
+    if (requests.length === 0) {
+      return [];
+    }
+
+    const response = await this.httpClient.post(this.path, requests, this.headers ? { headers: this.headers } : undefined);
+    const responses = Array.isArray(response.data) ? response.data : [response.data || {}];
+
+    return requests.map((body, index) => {
+      const data = responses[index] || {};
+      return data.status === 200 ? data.value : this.toError(body, data);
+    });
+  }
+
+  toError(body, data) {
+    logger.debug('Jolokia request failed', {
+      type: body.type,
+      mbean: body.mbean,
+      status: data.status,
+      errorType: data.error_type
+    });
+    return new JolokiaError(data.error || `Jolokia request failed with status ${data.status}`, {
+      status: data.status,
+      errorType: data.error_type
+    });
+  }
+
+  async read(mbean, attribute) {
+    return await this.request({ type: 'read', mbean, attribute });
+  }
+
+  // Reads a wildcard pattern as { mbean: value }. Jolokia answers 404 when
+  // nothing matches, which is an empty result rather than a failure here.
+  async readPattern(pattern, attribute) {
+    try {
+      return await this.read(pattern, attribute) || {};
+    } catch (error) {
+      if (error.status === 404) {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async exec(mbean, operation, ...args) {
+    return await this.request({ type: 'exec', mbean, operation, arguments: args });
+  }
+
+  async search(pattern) {
+    return await this.request({ type: 'search', mbean: pattern });
+  }
+}
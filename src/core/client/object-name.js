@@ -0,0 +1,70 @@
+// Helpers for JMX ObjectName strings as returned by Jolokia
+
+// Splits 'domain:key=value,...' into its domain and key properties. Quoted
+// values (as Artemis registers them) may contain commas and are returned
+// still quoted; pass them through unquoteValue.
+export function parseObjectName(objectName) {
+  const separator = objectName.indexOf(':');
+  const domain = objectName.slice(0, separator);
+  const properties = {};
+
+  const pairs = [];
+  let current = '';
+  let quoted = false;
+  for (let i = separator + 1; i < objectName.length; i++) {
+    const char = objectName[i];
+    if (quoted && char === '\\') {
+      current += char + objectName[++i];
+      continue;
+    }
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      pairs.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  pairs.push(current);
+
+  for (const pair of pairs) {
+    const equals = pair.indexOf('=');
+    if (equals > 0) {
+      properties[pair.slice(0, equals)] = pair.slice(equals + 1);
+    }
+  }
+
+  return { domain, properties };
+}
+
+// Same rules as javax.management.ObjectName.quote
+export function quoteValue(value) {
+  return `"${value.replace(/[\\"*?\n]/g, char => char === '\n' ? '\\n' : `\\${char}`)}"`;
+}
+
+export function unquoteValue(value) {
+  if (!value || !value.startsWith('"') || !value.endsWith('"')) {
+    return value;
+  }
+  return value.slice(1, -1).replace(/\\(.)/g, (_, char) => char === 'n' ? '\n' : char);
+}
+
+// ActiveMQ Classic's JMXSupport.encodeObjectNamePart: how the broker writes a
+// destination name into its MBean name
+export function encodeObjectNamePart(value) {
+  return value
+    .replace(/[:,'"]/g, '_')
+    .replace(/\?/g, '&qe;')
+    .replace(/=/g, '&amp;')
+    .replace(/\*/g, '&ast;');
+}
+
+// Reverses encodeObjectNamePart as far as possible; characters it replaced
+// with '_' cannot be recovered
+export function decodeObjectNamePart(value) {
+  return value
+    .replace(/&ast;/g, '*')
+    .replace(/&amp;/g, '=')
+    .replace(/&qe;/g, '?');
+}
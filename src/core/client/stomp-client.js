@@ -0,0 +1,365 @@
+import net from 'net';
+import tls from 'tls';
+import { randomUUID } from 'crypto';
+import { encodeFrame, StompFrameParser } from './stomp-frame.js';
+import { logger } from '../../utils/logger.js';
+
+export class StompClient {
+  constructor(options) {
+    if (!options?.host) {
+      throw new Error('Host is required for STOMP connection');
+    }
+
+    if (!options.port || typeof options.port !== 'number' || options.port <= 0) {
+      throw new Error('Valid STOMP port number is required');
+    }
+
+    this.options = {
+      host: options.host,
+      port: options.port,
+      username: options.username || '',
+      password: options.password || '',
+      timeout: options.timeout || 30000,
+      tls: options.tls || null
+    };
+
+    this.socket = null;
+    this.parser = new StompFrameParser();
+    this.connected = false;
+    this.subscriptions = new Map();
+    this.pendingReceipts = new Map();
+    this.pendingConnect = null;
+  }
+
+  async connect() {
+    if (this.connected) {
+      return { success: true, connected: true };
+    }
+
+    logger.debug('Opening STOMP connection', {
+      host: this.options.host,
+      port: this.options.port
+    });
+
+    return await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingConnect = null;
+        this.destroySocket();
+        reject(new Error(`STOMP connection timed out after ${this.options.timeout}ms`));
+      }, this.options.timeout);
+
+      this.pendingConnect = {
+        resolve: (frame) => {
+          clearTimeout(timer);
+          this.pendingConnect = null;
+          this.connected = true;
+          logger.info('STOMP connection established', {
+            host: this.options.host,
+            port: this.options.port,
+            version: frame.headers.version || '1.0'
+          });
+          resolve({ success: true, connected: true });
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          this.pendingConnect = null;
+          this.destroySocket();
+          reject(error);
+        }
+      };
+
+      this.socket = this.createSocket();
+      this.socket.on('data', (chunk) => this.handleData(chunk));
+      this.socket.on('error', (error) => this.handleSocketError(error));
+      this.socket.on('close', () => this.handleSocketClose());
+    });
+  }
+
+  createSocket() {
+    const onConnect = () => {
+      this.writeFrame('CONNECT', {
+        'accept-version': '1.0,1.1,1.2',
+        host: this.options.host,
+        login: this.options.username || undefined,
+        passcode: this.options.password || undefined,
+        'heart-beat': '0,0'
+      });
+    };
+
+    if (this.options.tls) {
+      return tls.connect({
+        ...this.options.tls,
+        host: this.options.host,
+        port: this.options.port,
+        servername: net.isIP(this.options.host) ? undefined : this.options.host
+      }, onConnect);
+    }
+
+    return net.connect({ host: this.options.host, port: this.options.port }, onConnect);
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  // String bodies are sent as TextMessages; without amq-msg-type ActiveMQ
+  // Classic may deliver them as BytesMessages
+  async send(destination, body, headers = {}) {
+    this.ensureConnected();
+
+    const receipt = randomUUID();
+    const receiptPromise = this.awaitReceipt(receipt);
+    const typeHeaders = Buffer.isBuffer(body) ? {} : { 'amq-msg-type': 'text' };
+    this.writeFrame('SEND', { ...typeHeaders, ...headers, destination, receipt }, body);
+    await receiptPromise;
+
+    return { success: true, destination };
+  }
+
+  subscribe(destination, onMessage, headers = {}) {
+    this.ensureConnected();
+
+    const id = randomUUID();
+    this.subscriptions.set(id, { destination, onMessage });
+    this.writeFrame('SUBSCRIBE', { ack: 'auto', ...headers, id, destination });
+
+    logger.debug('STOMP subscription created', { id, destination });
+    return id;
+  }
+
+  unsubscribe(id) {
+    if (!this.subscriptions.has(id)) {
+      return;
+    }
+
+    this.subscriptions.delete(id);
+    if (this.connected) {
+      this.writeFrame('UNSUBSCRIBE', { id });
+    }
+
+    logger.debug('STOMP subscription removed', { id });
+  }
+
+  // Acknowledges a message received on a client or client-individual subscription
+  async ack(message) {
+    this.ensureConnected();
+
+    const receipt = randomUUID();
+    const receiptPromise = this.awaitReceipt(receipt);
+    this.writeFrame('ACK', { id: message.headers.ack, receipt });
+    await receiptPromise;
+  }
+
+  // Collects messages from a destination until timeout or maxMessages is reached
+  async receive(destination, options = {}) {
+    const timeout = options.timeout || 10000;
+    const maxMessages = options.maxMessages || 1;
+    const headers = options.selector ? { selector: options.selector } : {};
+
+    return await new Promise((resolve, reject) => {
+      const messages = [];
+      let subscriptionId = null;
+      let timer = null;
+
+      const finish = () => {
+        clearTimeout(timer);
+        if (subscriptionId) {
+          this.unsubscribe(subscriptionId);
+        }
+        resolve(messages);
+      };
+
+      try {
+        subscriptionId = this.subscribe(destination, (message) => {
+          if (messages.length >= maxMessages) {
+            return;
+          }
+          messages.push(message);
+          if (messages.length >= maxMessages) {
+            finish();
+          }
+        }, headers);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      // Armed only once subscribed, so a failed subscribe leaves nothing behind
+      timer = setTimeout(finish, timeout);
+    });
+  }
+
+  async disconnect() {
+    if (!this.connected) {
+      this.destroySocket();
+      return { success: true, connected: false };
+    }
+
+    try {
+      const receipt = randomUUID();
+      const receiptPromise = this.awaitReceipt(receipt);
+      this.writeFrame('DISCONNECT', { receipt });
+      await receiptPromise;
+    } catch (error) {
+      logger.debug('STOMP disconnect receipt not received', { error: error.message });
+    }
+
+    this.connected = false;
+    this.subscriptions.clear();
+    this.destroySocket();
+
+    logger.info('STOMP connection closed', {
+      host: this.options.host,
+      port: this.options.port
+    });
+
+    return { success: true, connected: false };
+  }
+
+  ensureConnected() {
+    if (!this.connected) {
+      throw new Error('Not connected to STOMP broker');
+    }
+  }
+
+  writeFrame(command, headers = {}, body = '') {
+    this.socket.write(encodeFrame(command, headers, body));
+  }
+
+  awaitReceipt(receipt) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingReceipts.delete(receipt);
+        reject(new Error(`No receipt from broker after ${this.options.timeout}ms`));
+      }, this.options.timeout);
+
+      this.pendingReceipts.set(receipt, {
+        resolve: () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+    });
+  }
+
+  handleData(chunk) {
+    let frames;
+    try {
+      frames = this.parser.push(chunk);
+    } catch (error) {
+      logger.error('Failed to parse STOMP frame', { error: error.message });
+      this.destroySocket();
+      return;
+    }
+
+    for (const frame of frames) {
+      this.handleFrame(frame);
+    }
+  }
+
+  handleFrame(frame) {
+    switch (frame.command) {
+      case 'CONNECTED':
+        this.pendingConnect?.resolve(frame);
+        break;
+      case 'MESSAGE':
+        this.handleMessage(frame);
+        break;
+      case 'RECEIPT': {
+        const pending = this.pendingReceipts.get(frame.headers['receipt-id']);
+        if (pending) {
+          this.pendingReceipts.delete(frame.headers['receipt-id']);
+          pending.resolve();
+        }
+        break;
+      }
+      case 'ERROR':
+        this.handleError(frame);
+        break;
+      default:
+        logger.debug('Ignoring unexpected STOMP frame', { command: frame.command });
+    }
+  }
+
+  handleMessage(frame) {
+    const subscription = this.subscriptions.get(frame.headers.subscription);
+    if (!subscription) {
+      logger.debug('Dropping STOMP message for unknown subscription', {
+        subscription: frame.headers.subscription
+      });
+      return;
+    }
+
+    subscription.onMessage({
+      messageId: frame.headers['message-id'],
+      destination: frame.headers.destination,
+      headers: frame.headers,
+      body: frame.body.toString('utf8'),
+      timestamp: frame.headers.timestamp ? parseInt(frame.headers.timestamp, 10) : Date.now()
+    });
+  }
+
+  handleError(frame) {
+    const message = frame.headers.message || frame.body.toString('utf8') || 'Unknown STOMP error';
+    const error = new Error(`STOMP error: ${message}`);
+
+    logger.error('STOMP broker returned an error', {
+      host: this.options.host,
+      port: this.options.port,
+      error: message
+    });
+
+    if (this.pendingConnect) {
+      this.pendingConnect.reject(error);
+      return;
+    }
+
+    const receiptId = frame.headers['receipt-id'];
+    if (receiptId && this.pendingReceipts.has(receiptId)) {
+      const pending = this.pendingReceipts.get(receiptId);
+      this.pendingReceipts.delete(receiptId);
+      pending.reject(error);
+    }
+  }
+
+  handleSocketError(error) {
+    logger.error('STOMP socket error', {
+      host: this.options.host,
+      port: this.options.port,
+      error: error.message
+    });
+
+    this.pendingConnect?.reject(new Error(`Failed to connect to STOMP broker: ${error.message}`));
+  }
+
+  handleSocketClose() {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.socket = null;
+    this.parser.reset();
+
+    for (const pending of this.pendingReceipts.values()) {
+      pending.reject(new Error('STOMP connection closed'));
+    }
+    this.pendingReceipts.clear();
+    this.pendingConnect?.reject(new Error('STOMP connection closed before CONNECTED frame'));
+
+    if (wasConnected) {
+      logger.warn('STOMP connection closed by broker', {
+        host: this.options.host,
+        port: this.options.port
+      });
+    }
+  }
+
+  destroySocket() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
@@ -0,0 +1,148 @@
+// STOMP 1.2 frame encoding/decoding (https://stomp.github.io/stomp-specification-1.2.html)
+
+const NULL = 0x00;
+const LF = 0x0a;
+const CR = 0x0d;
+
+// CONNECT and CONNECTED frames never use header value escaping
+const UNESCAPED_COMMANDS = new Set(['CONNECT', 'CONNECTED', 'STOMP']);
+
+export function escapeHeaderValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+    .replace(/:/g, '\\c');
+}
+
+export function unescapeHeaderValue(value) {
+  return value.replace(/\\(.)/g, (match, char) => {
+    switch (char) {
+      case '\\': return '\\';
+      case 'r': return '\r';
+      case 'n': return '\n';
+      case 'c': return ':';
+      default: return match;
+    }
+  });
+}
+
+export function encodeFrame(command, headers = {}, body = '') {
+  const bodyBuffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body), 'utf8');
+  const escape = !UNESCAPED_COMMANDS.has(command);
+
+  let head = `${command}\n`;
+  for (const [key, value] of Object.entries(headers)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    head += escape
+      ? `${escapeHeaderValue(key)}:${escapeHeaderValue(value)}\n`
+      : `${key}:${value}\n`;
+  }
+
+  // content-length lets bodies contain NUL octets. It is left out otherwise:
+  // ActiveMQ turns a SEND that carries it into a BytesMessage.
+  if (bodyBuffer.includes(NULL) && headers['content-length'] === undefined) {
+    head += `content-length:${bodyBuffer.length}\n`;
+  }
+  head += '\n';
+
+  return Buffer.concat([Buffer.from(head, 'utf8'), bodyBuffer, Buffer.from([NULL])]);
+}
+
+export class StompFrameParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  // Feeds raw socket data and returns every frame that is now complete
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    const frames = [];
+    let frame;
+    while ((frame = this.nextFrame()) !== null) {
+      frames.push(frame);
+    }
+    return frames;
+  }
+
+  nextFrame() {
+    // Skip heart-beat EOLs between frames
+    let start = 0;
+    while (start < this.buffer.length && (this.buffer[start] === LF || this.buffer[start] === CR)) {
+      start++;
+    }
+    if (start > 0) {
+      this.buffer = this.buffer.subarray(start);
+    }
+    if (this.buffer.length === 0) {
+      return null;
+    }
+
+    const headerEnd = this.findHeaderEnd();
+    if (headerEnd === null) {
+      return null;
+    }
+
+    const lines = this.buffer.subarray(0, headerEnd.index).toString('utf8')
+      .replace(/\r$/, '')
+      .split(/\r?\n/);
+    const command = lines.shift();
+    const escaped = !UNESCAPED_COMMANDS.has(command);
+    const headers = {};
+
+    for (const line of lines) {
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        continue;
+      }
+      const key = escaped ? unescapeHeaderValue(line.slice(0, separator)) : line.slice(0, separator);
+      // Repeated headers: only the first occurrence is significant
+      if (!(key in headers)) {
+        const value = line.slice(separator + 1);
+        headers[key] = escaped ? unescapeHeaderValue(value) : value;
+      }
+    }
+
+    const bodyStart = headerEnd.index + headerEnd.length;
+    let bodyEnd;
+
+    if (headers['content-length'] !== undefined) {
+      bodyEnd = bodyStart + parseInt(headers['content-length'], 10);
+      if (this.buffer.length < bodyEnd + 1) {
+        return null;
+      }
+    } else {
+      bodyEnd = this.buffer.indexOf(NULL, bodyStart);
+      if (bodyEnd === -1) {
+        return null;
+      }
+    }
+
+    const body = Buffer.from(this.buffer.subarray(bodyStart, bodyEnd));
+    this.buffer = this.buffer.subarray(bodyEnd + 1);
+
+    return { command, headers, body };
+  }
+
+  findHeaderEnd() {
+    for (let i = 0; i < this.buffer.length - 1; i++) {
+      if (this.buffer[i] !== LF) {
+        continue;
+      }
+      if (this.buffer[i + 1] === LF) {
+        return { index: i, length: 2 };
+      }
+      if (this.buffer[i + 1] === CR && this.buffer[i + 2] === LF) {
+        return { index: i, length: 3 };
+      }
+    }
+    return null;
+  }
+
+  reset() {
+    this.buffer = Buffer.alloc(0);
+  }
+}
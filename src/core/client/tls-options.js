@@ -0,0 +1,44 @@
+import { readFileSync } from 'fs';
+import { logger } from '../../utils/logger.js';
+
+function readPem(path, label) {
+  try {
+    return readFileSync(path);
+  } catch (error) {
+    throw new Error(`Failed to read TLS ${label} file '${path}': ${error.message}`);
+  }
+}
+
+// Builds Node TLS options for the HTTPS agent or the STOMP socket.
+// Returns null when TLS is not enabled; enabled defaults to the ssl flag.
+export function buildTlsOptions(config, enabled = config?.ssl) {
+  if (!enabled) {
+    return null;
+  }
+
+  if (Boolean(config.certFile) !== Boolean(config.keyFile)) {
+    throw new Error('Both certFile and keyFile are required for client certificate authentication');
+  }
+
+  const tlsOptions = {
+    rejectUnauthorized: config.insecureSkipVerify !== true
+  };
+
+  if (config.caFile) {
+    tlsOptions.ca = readPem(config.caFile, 'CA');
+  }
+
+  if (config.certFile) {
+    tlsOptions.cert = readPem(config.certFile, 'certificate');
+    tlsOptions.key = readPem(config.keyFile, 'key');
+    if (config.keyPassphrase) {
+      tlsOptions.passphrase = config.keyPassphrase;
+    }
+  }
+
+  if (!tlsOptions.rejectUnauthorized) {
+    logger.warn('TLS certificate verification is disabled', { host: config.host });
+  }
+
+  return tlsOptions;
+}
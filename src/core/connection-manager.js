@@ -1,5 +1,7 @@
 import { ActiveMQFacade as ActiveMQFacade } from './service/activemq-facade.js';
 import { Connection } from './connection.js';
+import { toSendArguments } from './message/jms-message.js';
+import { createRateLimiter } from '../utils/rate-limiter.js';
 import { logger } from '../utils/logger.js';
 
 export class ConnectionManager {
@@ -39,8 +41,8 @@ export class ConnectionManager {
     // Connection created without event listeners
 
     try {
-      await activemqFacade.connect();
       const connection = new Connection(connectionId, activemqFacade, config);
+      await connection.connect();
       this.connections.set(connectionId, connection);
 
       logger.info('Connection added successfully', {
@@ -97,8 +99,8 @@ export class ConnectionManager {
     }
 
     if (!connection.isConnected()) {
-      logger.warn('Connection is not active', { connectionId });
-      throw new Error(`Connection '${connectionId}' is not active`);
+      logger.warn('Connection is not active', { connectionId, state: connection.state });
+      throw new Error(`Connection '${connectionId}' is not active (${connection.state})`);
     }
 
     return connection.getFacade();
@@ -123,9 +125,9 @@ export class ConnectionManager {
     return connection.getConnectionInfo();
   }
 
-  async sendMessage(connectionId, destination, message, headers = {}) {
+  async sendMessage(connectionId, destination, message, headers = {}, options = {}) {
     const activemqFacade = this.getConnection(connectionId);
-    return await activemqFacade.sendMessage(destination, message, headers);
+    return await activemqFacade.sendMessage(destination, message, headers, options);
   }
 
   async consumeMessage(connectionId, destination, options = {}) {
@@ -133,24 +135,24 @@ export class ConnectionManager {
     return await activemqFacade.consumeMessage(destination, options);
   }
 
-  async getQueueInfo(connectionId, queueName) {
+  async getQueueInfo(connectionId, queueName, options = {}) {
     const activemqFacade = this.getConnection(connectionId);
-    return await activemqFacade.getQueueInfo(queueName);
+    return await activemqFacade.getQueueInfo(queueName, options);
   }
 
-  async listQueues(connectionId) {
+  async listQueues(connectionId, options = {}) {
     const activemqFacade = this.getConnection(connectionId);
-    return await activemqFacade.listQueues();
+    return await activemqFacade.listQueues(options);
   }
 
-  async listTopics(connectionId) {
+  async listTopics(connectionId, options = {}) {
     const activemqFacade = this.getConnection(connectionId);
-    return await activemqFacade.listTopics();
+    return await activemqFacade.listTopics(options);
   }
 
-  async browseMessages(connectionId, queueName, limit = 10) {
+  async browseMessages(connectionId, queueName, limit = 10, selector = null) {
     const activemqFacade = this.getConnection(connectionId);
-    return await activemqFacade.browseMessages(queueName, limit);
+    return await activemqFacade.browseMessages(queueName, limit, selector);
   }
 
   async purgeQueue(connectionId, queueName) {
@@ -158,6 +160,114 @@ export class ConnectionManager {
     return await activemqFacade.purgeQueue(queueName);
   }
 
+  // Copies or moves messages from a queue on one connection to a destination on
+  // another. Move drains the source and acknowledges each message only after the
+  // target accepted it, so the first failed send stops the migration and leaves
+  // the remaining messages on the source queue.
+  async migrateMessages(sourceConnectionId, sourceQueue, targetConnectionId, targetDestination, options = {}) {
+    const mode = options.mode || 'copy';
+    if (!['copy', 'move'].includes(mode)) {
+      throw new Error(`Unknown migration mode '${mode}' - use copy or move`);
+    }
+
+    const source = this.getConnection(sourceConnectionId);
+    const target = this.getConnection(targetConnectionId);
+    const sourceQueueName = source.cleanDestinationName(sourceQueue);
+    const { destinationName, destinationType } = target.parseDestination(targetDestination);
+
+    // Moving a queue into itself would drain and refill it without end
+    if (destinationType === 'queue' && destinationName === sourceQueueName && await this.isSameBroker(source, target)) {
+      throw new Error('Source and target destination must be different');
+    }
+
+    logger.info('Migrating messages', {
+      sourceConnectionId,
+      sourceQueue: sourceQueueName,
+      targetConnectionId,
+      targetDestination,
+      mode,
+      selector: options.selector,
+      maxMessages: options.maxMessages,
+      rateLimit: options.rateLimit
+    });
+
+    const throttle = createRateLimiter(options.rateLimit);
+    const failures = [];
+    const startedAt = Date.now();
+    let migratedMessages = 0;
+    let truncated = false;
+    let stopError = null;
+
+    try {
+      ({ truncated } = await source.streamMessages(sourceQueueName, {
+        drain: mode === 'move',
+        selector: options.selector,
+        maxMessages: options.maxMessages,
+        idleTimeout: options.idleTimeout
+      }, async (record) => {
+        const { message, headers, options: sendOptions } = toSendArguments(record);
+        await throttle();
+        try {
+          await target.sendMessage(targetDestination, message, headers, { ...sendOptions, transport: options.transport });
+          migratedMessages++;
+        } catch (error) {
+          failures.push({ messageId: record.headers.JMSMessageID, error: error.message });
+          if (mode === 'move') {
+            stopError = error;
+            throw error;
+          }
+        }
+      }));
+    } catch (error) {
+      if (error !== stopError) {
+        logger.error('Failed to migrate messages', {
+          sourceConnectionId,
+          targetConnectionId,
+          error: error.message
+        });
+        throw new Error(`Failed to migrate messages: ${error.message}`);
+      }
+    }
+
+    const report = {
+      source: { connectionId: sourceConnectionId, queueName: sourceQueueName },
+      target: { connectionId: targetConnectionId, destination: targetDestination },
+      mode,
+      migratedMessages,
+      failedMessages: failures.length,
+      // Copy mode browses, which may not reach every message
+      truncated,
+      stoppedOnFailure: stopError !== null,
+      failures,
+      durationMs: Date.now() - startedAt
+    };
+
+    logger.info('Message migration finished', {
+      sourceConnectionId,
+      targetConnectionId,
+      migratedMessages,
+      failedMessages: failures.length
+    });
+
+    return report;
+  }
+
+  // Connection IDs are only names; two of them may point at the same broker
+  async isSameBroker(source, target) {
+    if (source === target) {
+      return true;
+    }
+
+    const sourceInfo = source.getConnectionInfo();
+    const targetInfo = target.getConnectionInfo();
+    if (sourceInfo.host.toLowerCase() !== targetInfo.host.toLowerCase() || sourceInfo.port !== targetInfo.port) {
+      return false;
+    }
+
+    const [sourceBroker, targetBroker] = await Promise.all([source.getBrokerName(), target.getBrokerName()]);
+    return sourceBroker === targetBroker;
+  }
+
   async getBrokerInfo(connectionId) {
     const activemqFacade = this.getConnection(connectionId);
     return await activemqFacade.getBrokerInfo();
@@ -274,7 +384,13 @@ export class ConnectionManager {
         host: config.host,
         port: config.port,
         username: config.username,
-        // Don't export password for security
+        ssl: config.ssl || false,
+        stompSsl: config.stompSsl || false,
+        caFile: config.caFile,
+        certFile: config.certFile,
+        keyFile: config.keyFile,
+        insecureSkipVerify: config.insecureSkipVerify || false,
+        // Don't export password or key passphrase for security
         createdAt: connection.createdAt
       };
     }
@@ -313,21 +429,25 @@ export class ConnectionManager {
       brokers: {}
     };
 
-    for (const [connectionId, connection] of this.connections) {
-      try {
-        const brokerInfo = await connection.getFacade().getBrokerInfo();
-        stats.brokers[connectionId] = brokerInfo;
+    // One broker read per connection, all connections queried concurrently
+    const connections = Array.from(this.connections);
+    const results = await Promise.allSettled(connections.map(async ([, connection]) => await connection.getFacade().getBrokerInfo()));
+
+    connections.forEach(([connectionId, connection], index) => {
+      const result = results[index];
+      if (result.status === 'fulfilled') {
+        stats.brokers[connectionId] = result.value;
 
         if (connection.isHealthy()) {
           stats.healthyConnections++;
         }
-      } catch (error) {
+      } else {
         stats.brokers[connectionId] = {
-          error: error.message,
+          error: result.reason.message,
           connected: false
         };
       }
-    }
+    });
 
     return stats;
   }
@@ -1,5 +1,23 @@
 import { logger } from '../utils/logger.js';
 
+// connecting -> connected on the first connect, failed if it does not succeed.
+// A failed health check moves a connected connection to degraded and schedules
+// a reconnect; each attempt runs in reconnecting and waits twice as long as
+// the one before. After maxReconnectAttempts failures the connection is
+// failed until it is removed and added again.
+export const ConnectionState = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  DEGRADED: 'degraded',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed'
+};
+
+const DEFAULT_MAX_RECONNECT_ATTEMPTS = 5;
+const DEFAULT_RECONNECT_DELAY = 5000;
+const MAX_RECONNECT_DELAY = 300000; // 5 minutes
+const TRANSITION_HISTORY_SIZE = 10;
+
 export class Connection {
   constructor(connectionId, activemqFacade, config) {
     this.connectionId = connectionId;
@@ -7,7 +25,61 @@ export class Connection {
     this.config = config;
     this.createdAt = new Date();
     this.lastHealthCheck = new Date();
-    this.healthy = true;
+    this.maxReconnectAttempts = config.maxReconnectAttempts ?? DEFAULT_MAX_RECONNECT_ATTEMPTS;
+    this.reconnectDelay = config.reconnectDelay ?? DEFAULT_RECONNECT_DELAY;
+
+    this.state = ConnectionState.CONNECTING;
+    this.stateChangedAt = new Date();
+    this.transitions = []; // Most recent state changes, oldest first
+    this.lastError = null;
+    this.reconnectAttempts = 0;
+    this.nextReconnectAt = null;
+    this.reconnectTimer = null;
+    this.closed = false;
+  }
+
+  async connect() {
+    try {
+      await this.activemqFacade.connect();
+      this.setState(ConnectionState.CONNECTED, 'connected');
+    } catch (error) {
+      this.lastError = error.message;
+      this.setState(ConnectionState.FAILED, error.message);
+      throw error;
+    }
+  }
+
+  setState(state, reason) {
+    if (state === this.state) {
+      return;
+    }
+
+    const transition = { from: this.state, to: state, at: new Date(), reason };
+    this.transitions.push(transition);
+    if (this.transitions.length > TRANSITION_HISTORY_SIZE) {
+      this.transitions.shift();
+    }
+    this.state = state;
+    this.stateChangedAt = transition.at;
+
+    logger.info('Connection state changed', {
+      connectionId: this.connectionId,
+      from: transition.from,
+      to: state,
+      reason
+    });
+  }
+
+  getStateInfo() {
+    return {
+      state: this.state,
+      stateChangedAt: this.stateChangedAt,
+      reconnectAttempts: this.reconnectAttempts,
+      maxReconnectAttempts: this.maxReconnectAttempts,
+      nextReconnectAt: this.nextReconnectAt,
+      lastError: this.lastError,
+      transitions: [...this.transitions]
+    };
   }
 
   getConnectionInfo() {
@@ -15,8 +87,11 @@ export class Connection {
       connectionId: this.connectionId,
       host: this.config.host,
       port: this.config.port,
+      ssl: this.config.ssl || false,
       connected: this.activemqFacade.isConnected(),
-      healthy: this.healthy,
+      flavor: this.activemqFacade.getConnectionInfo().flavor,
+      healthy: this.isHealthy(),
+      ...this.getStateInfo(),
       createdAt: this.createdAt,
       lastHealthCheck: this.lastHealthCheck,
       activemqFacadeType: 'REST API'
@@ -28,35 +103,111 @@ export class Connection {
   }
 
   isHealthy() {
-    return this.healthy && this.isConnected();
+    return this.state === ConnectionState.CONNECTED && this.isConnected();
   }
 
+  // Only connected and degraded connections are checked; the others are
+  // waiting for or running a reconnect, or have given up
   async performHealthCheck() {
+    if (this.state !== ConnectionState.CONNECTED && this.state !== ConnectionState.DEGRADED) {
+      return { success: false, healthy: false, state: this.state };
+    }
+
     try {
       const brokerInfo = await this.activemqFacade.getBrokerInfo();
-      this.healthy = brokerInfo.connected;
+      if (!brokerInfo.connected) {
+        throw new Error('Broker reported the connection as closed');
+      }
       this.lastHealthCheck = new Date();
 
       logger.debug('Health check passed', {
-        connectionId: this.connectionId,
-        healthy: this.healthy
+        connectionId: this.connectionId
       });
 
-      return { success: true, healthy: this.healthy };
+      if (this.state === ConnectionState.DEGRADED) {
+        this.cancelReconnect();
+        this.lastError = null;
+        this.setState(ConnectionState.CONNECTED, 'health check passed');
+      }
+
+      return { success: true, healthy: true, state: this.state };
     } catch (error) {
-      this.healthy = false;
       this.lastHealthCheck = new Date();
+      this.lastError = error.message;
 
       logger.warn('Health check failed', {
         connectionId: this.connectionId,
         error: error.message
       });
 
-      return { success: false, error: error.message, healthy: false };
+      if (this.state === ConnectionState.CONNECTED) {
+        this.setState(ConnectionState.DEGRADED, `health check failed: ${error.message}`);
+        this.scheduleReconnect();
+      }
+
+      return { success: false, error: error.message, healthy: false, state: this.state };
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.closed) {
+      return;
+    }
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      this.nextReconnectAt = null;
+      this.setState(ConnectionState.FAILED, `gave up after ${this.reconnectAttempts} reconnect attempts`);
+      return;
+    }
+
+    const delay = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY);
+    this.nextReconnectAt = new Date(Date.now() + delay);
+    this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+  }
+
+  cancelReconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.reconnectAttempts = 0;
+  }
+
+  async reconnect() {
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.reconnectAttempts++;
+    this.setState(ConnectionState.RECONNECTING, `attempt ${this.reconnectAttempts} of ${this.maxReconnectAttempts}`);
+
+    try {
+      // The REST client only reconnects from a disconnected state
+      await this.activemqFacade.disconnect();
+      await this.activemqFacade.connect();
+    } catch (error) {
+      this.lastError = error.message;
+      logger.warn('Reconnect attempt failed', {
+        connectionId: this.connectionId,
+        attempt: this.reconnectAttempts,
+        error: error.message
+      });
+      this.scheduleReconnect();
+      return;
     }
+
+    // Removed while the attempt was running
+    if (this.closed) {
+      await this.activemqFacade.disconnect();
+      return;
+    }
+
+    this.reconnectAttempts = 0;
+    this.lastError = null;
+    this.lastHealthCheck = new Date();
+    this.setState(ConnectionState.CONNECTED, 'reconnected');
   }
 
   async disconnect() {
+    this.closed = true;
+    this.cancelReconnect();
+
     try {
       await this.activemqFacade.disconnect();
       logger.info('Connection disconnected successfully', {
@@ -77,6 +228,7 @@ export class Connection {
       connectionId: this.connectionId,
       healthy: this.isHealthy(),
       connected: this.isConnected(),
+      ...this.getStateInfo(),
       lastHealthCheck: this.lastHealthCheck,
       host: this.config.host,
       port: this.config.port
@@ -0,0 +1,187 @@
+import { parseObjectName, quoteValue, unquoteValue } from '../client/object-name.js';
+import { fromArtemisCompositeData } from '../message/jms-message.js';
+
+const DOMAIN = 'org.apache.activemq.artemis';
+// org.apache.activemq.artemis.api.core.Message.TEXT_TYPE
+const TEXT_MESSAGE_TYPE = 3;
+const SEND_OPERATION = 'sendMessage(java.util.Map,int,java.lang.String,boolean,java.lang.String,java.lang.String)';
+
+// Classic attribute name -> the Artemis attributes it is derived from
+const QUEUE_ATTRIBUTES = {
+  QueueSize: ['MessageCount'],
+  ConsumerCount: ['ConsumerCount'],
+  EnqueueCount: ['MessagesAdded'],
+  DequeueCount: ['MessagesAcknowledged'],
+  InFlightCount: ['DeliveringCount'],
+  ExpiredCount: ['MessagesExpired'],
+  Paused: ['Paused']
+};
+const TOPIC_ATTRIBUTES = {
+  EnqueueCount: ['RoutedMessageCount', 'UnRoutedMessageCount'],
+  Subscriptions: ['QueueNames']
+};
+const BROKER_ATTRIBUTES = {
+  BrokerVersion: ['Version'],
+  UptimeMillis: ['UptimeMillis'],
+  TotalConnectionsCount: ['TotalConnectionCount'],
+  TotalConsumerCount: ['TotalConsumerCount'],
+  TotalEnqueueCount: ['TotalMessagesAdded'],
+  TotalDequeueCount: ['TotalMessagesAcknowledged'],
+  TotalMessageCount: ['TotalMessageCount'],
+  MemoryUsage: ['AddressMemoryUsage'],
+  MemoryLimit: ['GlobalMaxSize']
+};
+
+function isTopicType(destinationType) {
+  return destinationType === 'Topic' || destinationType === 'TempTopic';
+}
+
+// Classic attributes with no Artemis counterpart are left out
+function artemisAttributes(mapping, attributes, required) {
+  return [...new Set([...required, ...attributes.flatMap(attribute => mapping[attribute] || [])])];
+}
+
+// ActiveMQ Artemis: Jolokia under the management console, addresses with
+// queues beneath them, JMS queues as anycast queues named after their address
+// and JMS topics as multicast addresses. Values in ObjectNames are quoted.
+export class ArtemisFlavor {
+  constructor() {
+    this.name = 'artemis';
+    this.jolokiaPath = '/console/jolokia';
+    this.brokerSearchPattern = `${DOMAIN}:broker=*`;
+    this.purgeOperation = 'removeAllMessages()';
+  }
+
+  brokerNameFrom(mbean) {
+    return unquoteValue(parseObjectName(mbean).properties.broker);
+  }
+
+  brokerMBean(brokerName) {
+    return `${DOMAIN}:broker=${quoteValue(brokerName)}`;
+  }
+
+  destinationMBean(brokerMBean, destinationType, destinationName) {
+    return this.addressMBean(brokerMBean, destinationType, quoteValue(destinationName));
+  }
+
+  destinationPattern(brokerMBean, destinationType) {
+    return this.addressMBean(brokerMBean, destinationType, '*');
+  }
+
+  // address is an already quoted value or '*'
+  addressMBean(brokerMBean, destinationType, address) {
+    const addressMBean = `${brokerMBean},component=addresses,address=${address}`;
+    if (isTopicType(destinationType)) {
+      return addressMBean;
+    }
+    return `${addressMBean},subcomponent=queues,routing-type="anycast",queue=${address}`;
+  }
+
+  // Returns null for addresses that carry no topic (anycast only)
+  describeDestination(mbean, view = {}) {
+    const { properties } = parseObjectName(mbean);
+    if (properties.subcomponent === 'queues') {
+      return {
+        name: unquoteValue(properties.queue),
+        destinationType: view.Temporary ? 'TempQueue' : 'Queue'
+      };
+    }
+    // RoutingTypes is a String[], rendered by some versions as a joined string
+    if (!String(view.RoutingTypes || '').includes('MULTICAST')) {
+      return null;
+    }
+    return {
+      name: unquoteValue(properties.address),
+      destinationType: view.Temporary ? 'TempTopic' : 'Topic'
+    };
+  }
+
+  // Only queues can be told apart by MBean name; an address is a topic only
+  // if its RoutingTypes include MULTICAST
+  describesFromName(destinationType) {
+    return !isTopicType(destinationType);
+  }
+
+  // describeDestination needs Temporary, and RoutingTypes for addresses
+  destinationAttributes(destinationType, attributes) {
+    return isTopicType(destinationType)
+      ? artemisAttributes(TOPIC_ATTRIBUTES, attributes, ['Temporary', 'RoutingTypes'])
+      : artemisAttributes(QUEUE_ATTRIBUTES, attributes, ['Temporary']);
+  }
+
+  // Renames QueueControl / AddressControl attributes to their Classic
+  // DestinationView equivalents; attributes without one are left undefined
+  toDestinationView(destinationType, view = {}) {
+    if (isTopicType(destinationType)) {
+      return {
+        EnqueueCount: (view.RoutedMessageCount || 0) + (view.UnRoutedMessageCount || 0),
+        // One queue per subscription on a multicast address
+        Subscriptions: view.QueueNames
+      };
+    }
+    return {
+      QueueSize: view.MessageCount,
+      ConsumerCount: view.ConsumerCount,
+      EnqueueCount: view.MessagesAdded,
+      DequeueCount: view.MessagesAcknowledged,
+      InFlightCount: view.DeliveringCount,
+      ExpiredCount: view.MessagesExpired,
+      Paused: view.Paused
+    };
+  }
+
+  brokerAttributes(attributes) {
+    return artemisAttributes(BROKER_ATTRIBUTES, attributes, []);
+  }
+
+  // Renames ActiveMQServerControl attributes to their Classic BrokerView equivalents
+  toBrokerView(view = {}, brokerName) {
+    return {
+      BrokerName: brokerName,
+      BrokerVersion: view.Version,
+      UptimeMillis: view.UptimeMillis,
+      TotalConnectionsCount: view.TotalConnectionCount,
+      TotalConsumerCount: view.TotalConsumerCount,
+      TotalEnqueueCount: view.TotalMessagesAdded,
+      TotalDequeueCount: view.TotalMessagesAcknowledged,
+      TotalMessageCount: view.TotalMessageCount,
+      MemoryUsage: view.AddressMemoryUsage,
+      // -1 means no global limit
+      MemoryLimit: view.GlobalMaxSize > 0 ? view.GlobalMaxSize : 0
+    };
+  }
+
+  toMessage(data) {
+    return fromArtemisCompositeData(data);
+  }
+
+  // Artemis has no REST message servlet; AddressControl.sendMessage takes only
+  // properties, the body and the durable flag
+  async sendMessage(core, { destinationName, body, properties = {}, options = {} }) {
+    const unsupported = Object.keys(options).filter(key => !['persistent', 'transport'].includes(key));
+    if (unsupported.length > 0) {
+      throw new Error(`${unsupported.join(', ')} cannot be sent over REST on Artemis - use transport 'stomp'`);
+    }
+
+    const stringProperties = {};
+    for (const [key, value] of Object.entries(properties)) {
+      stringProperties[key] = String(value);
+    }
+
+    // Queues and topics alike are sent to their address, which routes by its
+    // own routing type
+    const addressMBean = await core.getDestinationMBean('Topic', destinationName);
+    const messageId = await core.jolokia.exec(
+      addressMBean,
+      SEND_OPERATION,
+      stringProperties,
+      TEXT_MESSAGE_TYPE,
+      body,
+      options.persistent !== false,
+      core.config.username || null,
+      core.config.password || null
+    );
+
+    return { messageId };
+  }
+}
@@ -0,0 +1,106 @@
+import { messageServletUrl } from '../client/destination.js';
+import { decodeObjectNamePart, encodeObjectNamePart, parseObjectName } from '../client/object-name.js';
+import { fromCompositeData } from '../message/jms-message.js';
+import { toRestParams } from '../message/message-options.js';
+
+const DOMAIN = 'org.apache.activemq';
+// BrokerView reports memory, store and temp usage only as a percentage of
+// the matching limit
+const BROKER_USAGE_ATTRIBUTES = {
+  MemoryUsage: ['MemoryLimit', 'MemoryPercentUsage'],
+  StoreUsage: ['StoreLimit', 'StorePercentUsage'],
+  TempUsage: ['TempLimit', 'TempPercentUsage']
+};
+
+// ActiveMQ Classic: Jolokia under the web console's /api, one MBean per
+// destination keyed by destinationType, sends through the REST message servlet
+export class ClassicFlavor {
+  constructor() {
+    this.name = 'classic';
+    this.jolokiaPath = '/api/jolokia';
+    this.brokerSearchPattern = `${DOMAIN}:type=Broker,brokerName=*`;
+    this.purgeOperation = 'purge()';
+  }
+
+  brokerNameFrom(mbean) {
+    return parseObjectName(mbean).properties.brokerName;
+  }
+
+  brokerMBean(brokerName) {
+    return `${DOMAIN}:type=Broker,brokerName=${brokerName}`;
+  }
+
+  // destinationType is the MBean key value: 'Queue', 'TempQueue', 'Topic' or 'TempTopic'
+  destinationMBean(brokerMBean, destinationType, destinationName) {
+    return `${brokerMBean},destinationType=${destinationType},destinationName=${encodeObjectNamePart(destinationName)}`;
+  }
+
+  destinationPattern(brokerMBean, destinationType) {
+    return `${brokerMBean},destinationType=${destinationType},destinationName=*`;
+  }
+
+  // The MBean name carries an encoded copy of the name; the view's Name
+  // attribute, when read, is exact
+  describeDestination(mbean, view = {}) {
+    const { properties } = parseObjectName(mbean);
+    return {
+      name: view.Name ?? decodeObjectNamePart(properties.destinationName),
+      destinationType: properties.destinationType
+    };
+  }
+
+  // The MBean name alone identifies every destination type
+  describesFromName() {
+    return true;
+  }
+
+  // Attributes to read so that toDestinationView can fill the given ones
+  destinationAttributes(destinationType, attributes) {
+    return [...new Set(['Name', ...attributes])];
+  }
+
+  toDestinationView(destinationType, view) {
+    return view;
+  }
+
+  brokerAttributes(attributes) {
+    return [...new Set(attributes.flatMap(attribute => BROKER_USAGE_ATTRIBUTES[attribute] || [attribute]))];
+  }
+
+  toBrokerView(view = {}) {
+    const brokerView = { ...view };
+    for (const [usage, [limit, percentUsage]] of Object.entries(BROKER_USAGE_ATTRIBUTES)) {
+      if (brokerView[usage] === undefined && view[limit] > 0 && view[percentUsage] !== undefined) {
+        brokerView[usage] = Math.round(view[limit] * view[percentUsage] / 100);
+      }
+    }
+    return brokerView;
+  }
+
+  toMessage(data) {
+    return fromCompositeData(data);
+  }
+
+  // destinationType is 'queue' or 'topic'
+  async sendMessage(core, { destinationType, destinationName, body, properties = {}, options = {} }) {
+    const formData = `body=${encodeURIComponent(body)}`;
+
+    // Properties and typed options travel as additional form parameters
+    let additionalParams = '';
+    for (const [key, value] of Object.entries({ ...properties, ...toRestParams(options) })) {
+      additionalParams += `&${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+    }
+
+    const response = await core.httpClient.post(
+      messageServletUrl(destinationType, destinationName),
+      formData + additionalParams,
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    );
+
+    return { status: response.status };
+  }
+}
@@ -0,0 +1,9 @@
+import { ClassicFlavor } from './classic-flavor.js';
+import { ArtemisFlavor } from './artemis-flavor.js';
+
+// Broker flavors: where Jolokia lives and how MBeans, attributes, operations
+// and browsed messages are laid out on each ActiveMQ distribution
+export { ClassicFlavor, ArtemisFlavor };
+
+// Probed in this order on connect
+export const BROKER_FLAVORS = [new ClassicFlavor(), new ArtemisFlavor()];
@@ -0,0 +1,228 @@
+// Maps the CompositeData returned by QueueView browse operations to a plain
+// message: JMS headers, user properties and body.
+
+const PROPERTY_TABLES = [
+  'StringProperties',
+  'BooleanProperties',
+  'ByteProperties',
+  'ShortProperties',
+  'IntProperties',
+  'LongProperties',
+  'FloatProperties',
+  'DoubleProperties'
+];
+
+function toMillis(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Jolokia renders single-key TabularData as { key: { key, value } }, older
+// versions as an array of rows; both collapse to { key: value }
+function tabularToObject(table) {
+  const result = {};
+  if (!table || typeof table !== 'object') {
+    return result;
+  }
+
+  const rows = Array.isArray(table) ? table : Object.values(table);
+  for (const row of rows) {
+    if (row && typeof row === 'object' && 'key' in row) {
+      result[row.key] = row.value;
+    }
+  }
+  return result;
+}
+
+function extractBody(data) {
+  if (data.Text !== undefined) {
+    return data.Text;
+  }
+  if (data.ContentMap !== undefined) {
+    return tabularToObject(data.ContentMap);
+  }
+  if (data.BodyPreview !== undefined) {
+    return Buffer.from(data.BodyPreview).toString('utf8');
+  }
+  return null;
+}
+
+export function fromCompositeData(data = {}) {
+  const properties = {};
+  for (const table of PROPERTY_TABLES) {
+    Object.assign(properties, tabularToObject(data[table]));
+  }
+
+  return {
+    headers: {
+      JMSMessageID: data.JMSMessageID,
+      JMSTimestamp: toMillis(data.JMSTimestamp),
+      JMSPriority: data.JMSPriority,
+      JMSDeliveryMode: data.JMSDeliveryMode,
+      JMSRedelivered: data.JMSRedelivered === true,
+      JMSXDeliveryCount: data.JMSXDeliveryCount || 0,
+      JMSExpiration: data.JMSExpiration || 0,
+      JMSCorrelationID: data.JMSCorrelationID || null,
+      JMSReplyTo: data.JMSReplyTo || null,
+      JMSType: data.JMSType || null,
+      JMSDestination: data.JMSDestination || null,
+      JMSXGroupID: data.JMSXGroupID || null,
+      JMSXGroupSeq: data.JMSXGroupSeq || 0,
+      JMSXUserID: data.JMSXUserID || null,
+      OriginalDestination: data.OriginalDestination || null
+    },
+    properties,
+    body: extractBody(data),
+    bodyLength: data.BodyLength
+  };
+}
+
+// Artemis keeps the JMS headers that have no core message field in these
+// message properties
+const ARTEMIS_HEADER_PROPERTIES = {
+  JMSCorrelationID: 'JMSCorrelationID',
+  JMSReplyTo: 'JMSReplyTo',
+  JMSType: 'JMSType',
+  JMSXGroupID: '_AMQ_GROUP_ID',
+  JMSXGroupSeq: '_AMQ_GROUP_SEQUENCE',
+  JMSXUserID: '_AMQ_VALIDATED_USER',
+  OriginalDestination: '_AMQ_ORIG_ADDRESS'
+};
+
+// Maps the CompositeData returned by Artemis QueueControl browse operations,
+// which uses core message field names, to the same shape as fromCompositeData
+export function fromArtemisCompositeData(data = {}) {
+  const properties = {};
+  for (const table of PROPERTY_TABLES) {
+    Object.assign(properties, tabularToObject(data[table]));
+  }
+
+  const headerProperties = {};
+  for (const [header, property] of Object.entries(ARTEMIS_HEADER_PROPERTIES)) {
+    headerProperties[header] = properties[property] ?? null;
+    delete properties[property];
+  }
+
+  return {
+    headers: {
+      JMSMessageID: data.userID || String(data.messageID),
+      JMSTimestamp: toMillis(data.timestamp),
+      JMSPriority: data.priority,
+      JMSDeliveryMode: data.durable ? 'PERSISTENT' : 'NON-PERSISTENT',
+      JMSRedelivered: data.redelivered === true,
+      JMSXDeliveryCount: data.deliveryCount || 0,
+      JMSExpiration: data.expiration || 0,
+      JMSCorrelationID: headerProperties.JMSCorrelationID,
+      JMSReplyTo: headerProperties.JMSReplyTo,
+      JMSType: headerProperties.JMSType,
+      JMSDestination: data.address || null,
+      JMSXGroupID: headerProperties.JMSXGroupID,
+      JMSXGroupSeq: headerProperties.JMSXGroupSeq || 0,
+      JMSXUserID: headerProperties.JMSXUserID,
+      OriginalDestination: headerProperties.OriginalDestination
+    },
+    properties,
+    body: extractBody({ Text: data.text ?? undefined, BodyPreview: data.BodyPreview }),
+    bodyLength: typeof data.text === 'string' ? data.text.length : data.BodyPreview?.length
+  };
+}
+
+// STOMP frame headers that carry JMS headers or protocol details rather than
+// user properties
+const STOMP_PROTOCOL_HEADERS = new Set([
+  'message-id',
+  'destination',
+  'subscription',
+  'ack',
+  'content-length',
+  'content-type',
+  'amq-msg-type',
+  'timestamp',
+  'expires',
+  'priority',
+  'persistent',
+  'redelivered',
+  'correlation-id',
+  'reply-to',
+  'type'
+]);
+
+// STOMP names destinations /queue/x, JMS CompositeData queue://x
+function toDestinationUri(destination) {
+  const match = destination?.match(/^\/(queue|topic|temp-queue|temp-topic)\/(.+)$/);
+  return match ? `${match[1]}://${match[2]}` : destination || null;
+}
+
+// Maps a message received by StompClient to the same shape as fromCompositeData.
+// STOMP carries user properties as strings, so their original types are lost.
+export function fromStompMessage(message) {
+  const headers = message.headers || {};
+  const properties = {};
+  for (const [key, value] of Object.entries(headers)) {
+    if (!STOMP_PROTOCOL_HEADERS.has(key)) {
+      properties[key] = value;
+    }
+  }
+
+  return {
+    headers: {
+      JMSMessageID: headers['message-id'],
+      JMSTimestamp: toMillis(headers.timestamp ? Number(headers.timestamp) : null),
+      JMSPriority: headers.priority !== undefined ? Number(headers.priority) : 4,
+      JMSDeliveryMode: headers.persistent === 'true' ? 'PERSISTENT' : 'NON-PERSISTENT',
+      JMSRedelivered: headers.redelivered === 'true',
+      JMSXDeliveryCount: 0,
+      JMSExpiration: headers.expires ? Number(headers.expires) : 0,
+      JMSCorrelationID: headers['correlation-id'] || null,
+      JMSReplyTo: toDestinationUri(headers['reply-to']),
+      JMSType: headers.type || null,
+      JMSDestination: toDestinationUri(headers.destination),
+      JMSXGroupID: headers.JMSXGroupID || null,
+      JMSXGroupSeq: headers.JMSXGroupSeq ? Number(headers.JMSXGroupSeq) : 0,
+      JMSXUserID: headers.JMSXUserID || null,
+      OriginalDestination: null
+    },
+    properties,
+    body: message.body,
+    bodyLength: Buffer.byteLength(message.body || '')
+  };
+}
+
+// Turns an exported message back into sendMessage arguments, keeping priority,
+// delivery mode, correlation ID, type, reply-to and user properties.
+// setProperties overrides or adds properties; removeProperties drops them.
+export function toSendArguments(record, rewrite = {}) {
+  const headers = record.headers || {};
+  const properties = { ...(record.properties || {}), ...(rewrite.setProperties || {}) };
+  for (const name of rewrite.removeProperties || []) {
+    delete properties[name];
+  }
+
+  const options = {};
+  if (Number.isInteger(headers.JMSPriority)) {
+    options.priority = headers.JMSPriority;
+  }
+  if (headers.JMSDeliveryMode) {
+    options.persistent = headers.JMSDeliveryMode === 'PERSISTENT';
+  }
+  if (headers.JMSCorrelationID) {
+    options.correlationId = headers.JMSCorrelationID;
+  }
+  if (headers.JMSType) {
+    options.type = headers.JMSType;
+  }
+  // Temporary reply destinations do not outlive their connection
+  const replyTo = headers.JMSReplyTo?.match(/^(queue|topic):\/\/(.+)$/);
+  if (replyTo) {
+    options.replyTo = `/${replyTo[1]}/${replyTo[2]}`;
+  }
+
+  const body = typeof record.body === 'string' ? record.body : JSON.stringify(record.body ?? '');
+  return { message: body, headers: properties, options };
+}
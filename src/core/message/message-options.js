@@ -0,0 +1,150 @@
+// Typed JMS send options (priority, delivery mode, scheduling, ...) and their
+// mapping to REST form parameters or STOMP frame headers.
+
+export const MESSAGE_OPTION_KEYS = [
+  'priority',
+  'timeToLive',
+  'persistent',
+  'correlationId',
+  'replyTo',
+  'type',
+  'scheduledDelay',
+  'scheduledPeriod',
+  'scheduledRepeat',
+  'scheduledCron',
+  'transport'
+];
+
+export const TRANSPORTS = ['rest', 'stomp'];
+
+const SCHEDULED_PROPERTIES = {
+  scheduledDelay: 'AMQ_SCHEDULED_DELAY',
+  scheduledPeriod: 'AMQ_SCHEDULED_PERIOD',
+  scheduledRepeat: 'AMQ_SCHEDULED_REPEAT',
+  scheduledCron: 'AMQ_SCHEDULED_CRON'
+};
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+function requireNonNegativeInteger(options, key) {
+  if (isSet(options[key]) && (!Number.isInteger(options[key]) || options[key] < 0)) {
+    throw new Error(`${key} must be a non-negative integer`);
+  }
+}
+
+function requireNonEmptyString(options, key) {
+  if (isSet(options[key]) && (typeof options[key] !== 'string' || options[key].trim() === '')) {
+    throw new Error(`${key} must be a non-empty string`);
+  }
+}
+
+// Accepts /queue/name, /topic/name or a bare queue name
+function parseReplyTo(replyTo) {
+  const match = replyTo.match(/^\/(queue|topic)\/(.+)$/);
+  return match ? { type: match[1], name: match[2] } : { type: 'queue', name: replyTo };
+}
+
+export function pickMessageOptions(source = {}) {
+  const options = {};
+  for (const key of MESSAGE_OPTION_KEYS) {
+    if (isSet(source[key])) {
+      options[key] = source[key];
+    }
+  }
+  return options;
+}
+
+export function validateMessageOptions(options = {}) {
+  if (isSet(options.priority) && (!Number.isInteger(options.priority) || options.priority < 0 || options.priority > 9)) {
+    throw new Error('priority must be an integer between 0 and 9');
+  }
+  if (isSet(options.persistent) && typeof options.persistent !== 'boolean') {
+    throw new Error('persistent must be a boolean');
+  }
+  if (isSet(options.transport) && !TRANSPORTS.includes(options.transport)) {
+    throw new Error(`transport must be one of: ${TRANSPORTS.join(', ')}`);
+  }
+
+  for (const key of ['timeToLive', 'scheduledDelay', 'scheduledPeriod', 'scheduledRepeat']) {
+    requireNonNegativeInteger(options, key);
+  }
+  for (const key of ['correlationId', 'replyTo', 'type', 'scheduledCron']) {
+    requireNonEmptyString(options, key);
+  }
+
+  if (isSet(options.scheduledRepeat) && !isSet(options.scheduledPeriod) && !isSet(options.scheduledCron)) {
+    throw new Error('scheduledRepeat requires scheduledPeriod or scheduledCron');
+  }
+  if (isSet(options.scheduledCron) && options.scheduledCron.trim().split(/\s+/).length !== 5) {
+    throw new Error('scheduledCron must be a 5-field cron expression');
+  }
+
+  return options;
+}
+
+// Form parameters understood by the ActiveMQ message servlet; the scheduled
+// properties are plain message properties converted by the broker
+export function toRestParams(options = {}) {
+  const params = {};
+
+  if (isSet(options.priority)) {
+    params.JMSPriority = options.priority;
+  }
+  if (isSet(options.timeToLive)) {
+    params.JMSTimeToLive = options.timeToLive;
+  }
+  if (isSet(options.persistent)) {
+    params.JMSDeliveryMode = options.persistent ? 'persistent' : 'non-persistent';
+  }
+  if (isSet(options.correlationId)) {
+    params.JMSCorrelationID = options.correlationId;
+  }
+  if (isSet(options.replyTo)) {
+    const { type, name } = parseReplyTo(options.replyTo);
+    params.JMSReplyTo = `${type}://${name}`;
+  }
+  if (isSet(options.type)) {
+    params.JMSType = options.type;
+  }
+  for (const [key, property] of Object.entries(SCHEDULED_PROPERTIES)) {
+    if (isSet(options[key])) {
+      params[property] = options[key];
+    }
+  }
+
+  return params;
+}
+
+// STOMP carries time-to-live as an absolute expiration time in `expires`
+export function toStompHeaders(options = {}, now = Date.now()) {
+  const headers = {};
+
+  if (isSet(options.priority)) {
+    headers.priority = String(options.priority);
+  }
+  if (options.timeToLive > 0) {
+    headers.expires = String(now + options.timeToLive);
+  }
+  if (isSet(options.persistent)) {
+    headers.persistent = String(options.persistent);
+  }
+  if (isSet(options.correlationId)) {
+    headers['correlation-id'] = options.correlationId;
+  }
+  if (isSet(options.replyTo)) {
+    const { type, name } = parseReplyTo(options.replyTo);
+    headers['reply-to'] = `/${type}/${name}`;
+  }
+  if (isSet(options.type)) {
+    headers.type = options.type;
+  }
+  for (const [key, property] of Object.entries(SCHEDULED_PROPERTIES)) {
+    if (isSet(options[key])) {
+      headers[property] = String(options[key]);
+    }
+  }
+
+  return headers;
+}
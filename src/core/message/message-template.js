@@ -0,0 +1,32 @@
+import { randomUUID } from 'crypto';
+
+// Expands a body template into a batch of messages. Supported placeholders:
+// {{index}} (0-based position), {{uuid}} (fresh per message) and
+// {{timestamp}} (epoch millis at expansion time).
+
+const PLACEHOLDER = /\{\{\s*(index|uuid|timestamp)\s*\}\}/g;
+
+export function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER, (_match, name) => String(values[name]));
+}
+
+export function expandMessageTemplate(template, count, headers = {}) {
+  if (typeof template !== 'string') {
+    throw new Error('template must be a string');
+  }
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('count must be a positive integer');
+  }
+
+  const messages = [];
+  for (let index = 0; index < count; index++) {
+    const values = { index, uuid: randomUUID(), timestamp: Date.now() };
+    const renderedHeaders = {};
+    for (const [key, value] of Object.entries(headers)) {
+      renderedHeaders[key] = typeof value === 'string' ? renderTemplate(value, values) : value;
+    }
+
+    messages.push({ message: renderTemplate(template, values), headers: renderedHeaders });
+  }
+  return messages;
+}
@@ -3,6 +3,10 @@ import { ConnectionService } from './connection-service.js';
 import { QueueService } from './queue-service.js';
 import { TopicService } from './topic-service.js';
 import { BrokerService } from './broker-service.js';
+import { DlqService } from './dlq-service.js';
+import { SchedulerService } from './scheduler-service.js';
+import { ExportService } from './export-service.js';
+import { ClientService } from './client-service.js';
 import { logger } from '../../utils/logger.js';
 
 export class ActiveMQFacade {
@@ -19,6 +23,10 @@ export class ActiveMQFacade {
     this.queueService = new QueueService(this.core);
     this.topicService = new TopicService(this.core);
     this.brokerService = new BrokerService(this.core);
+    this.dlqService = new DlqService(this.core, this.queueService);
+    this.schedulerService = new SchedulerService(this.core);
+    this.exportService = new ExportService(this.core, this.queueService);
+    this.clientService = new ClientService(this.core);
 
     logger.debug('ActiveMQFacade created with core + services architecture', {
       host: config.host,
@@ -48,41 +56,157 @@ export class ActiveMQFacade {
   }
 
   // Queue methods - delegate to queue service
-  async sendMessage(destination, message, headers = {}) {
-    return await this.queueService.sendMessage(destination, message, headers);
+  async sendMessage(destination, message, headers = {}, options = {}) {
+    return await this.queueService.sendMessage(destination, message, headers, options);
+  }
+
+  async sendMessagesBatch(destination, messages, defaults = {}, concurrency = 5) {
+    return await this.queueService.sendMessagesBatch(destination, messages, defaults, concurrency);
   }
 
   async consumeMessage(destination, options = {}) {
     return await this.queueService.consumeMessage(destination, options);
   }
 
-  async browseMessages(queueName, limit = 10) {
-    return await this.queueService.browseMessages(queueName, limit);
+  async requestReply(queueName, message, headers = {}, options = {}) {
+    return await this.queueService.requestReply(queueName, message, headers, options);
+  }
+
+  async browseMessages(queueName, limit = 10, selector = null) {
+    return await this.queueService.browseMessages(queueName, limit, selector);
+  }
+
+  async moveMessages(queueName, targetQueueName, options = {}) {
+    return await this.queueService.moveMessages(queueName, targetQueueName, options);
+  }
+
+  async copyMessages(queueName, targetQueueName, options = {}) {
+    return await this.queueService.copyMessages(queueName, targetQueueName, options);
+  }
+
+  async removeMessages(queueName, options = {}) {
+    return await this.queueService.removeMessages(queueName, options);
   }
 
   async purgeQueue(queueName) {
     return await this.queueService.purgeQueue(queueName);
   }
 
-  async getQueueInfo(queueName) {
-    return await this.queueService.getQueueInfo(queueName);
+  async createQueue(queueName) {
+    return await this.queueService.createQueue(queueName);
+  }
+
+  async deleteQueue(queueName) {
+    return await this.queueService.deleteQueue(queueName);
+  }
+
+  async pauseQueue(queueName) {
+    return await this.queueService.pauseQueue(queueName);
+  }
+
+  async resumeQueue(queueName) {
+    return await this.queueService.resumeQueue(queueName);
+  }
+
+  async getQueueInfo(queueName, options = {}) {
+    return await this.queueService.getQueueInfo(queueName, options);
+  }
+
+  async listQueues(options = {}) {
+    return await this.queueService.listQueues(options);
+  }
+
+  // Export methods - delegate to export service
+  async exportQueue(queueName, filePath, options = {}) {
+    return await this.exportService.exportQueue(queueName, filePath, options);
+  }
+
+  async replayMessages(filePath, destination, options = {}) {
+    return await this.exportService.replayFile(filePath, destination, options);
+  }
+
+  async streamMessages(queueName, options, onMessage) {
+    return await this.exportService.streamMessages(queueName, options, onMessage);
+  }
+
+  // Dead-letter queue methods - delegate to DLQ service
+  async listDeadLetterQueues() {
+    return await this.dlqService.listDeadLetterQueues();
   }
 
-  async listQueues() {
-    return await this.queueService.listQueues();
+  async listDeadLetterMessages(queueName, options = {}) {
+    return await this.dlqService.listDeadLetterMessages(queueName, options);
+  }
+
+  async retryDeadLetterMessages(queueName, options = {}) {
+    return await this.dlqService.retryMessages(queueName, options);
+  }
+
+  // Scheduler methods - delegate to scheduler service
+  async listScheduledJobs(options = {}) {
+    return await this.schedulerService.listJobs(options);
+  }
+
+  async removeScheduledJob(jobId) {
+    return await this.schedulerService.removeJob(jobId);
+  }
+
+  async removeScheduledJobs(start = null, end = null) {
+    return await this.schedulerService.removeJobs(start, end);
+  }
+
+  // Client methods - delegate to client service
+  async listConsumers(options = {}) {
+    return await this.clientService.listConsumers(options);
+  }
+
+  async listProducers(options = {}) {
+    return await this.clientService.listProducers(options);
+  }
+
+  async listClientConnections() {
+    return await this.clientService.listConnections();
+  }
+
+  async stopClientConnection(clientConnectionId) {
+    return await this.clientService.stopConnection(clientConnectionId);
   }
 
   // Topic methods - delegate to topic service
-  async publishMessage(topicName, message, headers = {}) {
-    return await this.topicService.publishMessage(topicName, message, headers);
+  async publishMessage(topicName, message, headers = {}, options = {}) {
+    return await this.topicService.publishMessage(topicName, message, headers, options);
   }
 
   async subscribeToTopic(topicName, options = {}) {
     return await this.topicService.subscribeToTopic(topicName, options);
   }
 
-  async listTopics() {
-    return await this.topicService.listTopics();
+  async listTopics(options = {}) {
+    return await this.topicService.listTopics(options);
+  }
+
+  async listDurableSubscribers(topicName = null) {
+    return await this.topicService.listDurableSubscribers(topicName);
+  }
+
+  async createDurableSubscriber(topicName, clientId, subscriptionName, selector = null) {
+    return await this.topicService.createDurableSubscriber(topicName, clientId, subscriptionName, selector);
+  }
+
+  async destroyDurableSubscriber(clientId, subscriptionName) {
+    return await this.topicService.destroyDurableSubscriber(clientId, subscriptionName);
+  }
+
+  async browseDurableSubscription(clientId, subscriptionName, limit = 10) {
+    return await this.topicService.browseDurableSubscription(clientId, subscriptionName, limit);
+  }
+
+  async createTopic(topicName) {
+    return await this.topicService.createTopic(topicName);
+  }
+
+  async deleteTopic(topicName) {
+    return await this.topicService.deleteTopic(topicName);
   }
 
   // Broker methods - delegate to broker service
@@ -1,5 +1,26 @@
 import { logger } from '../../utils/logger.js';
 
+// BrokerView attributes behind broker info and statistics
+const BROKER_ATTRIBUTES = [
+  'BrokerName',
+  'BrokerVersion',
+  'UptimeMillis',
+  'TotalConnectionsCount',
+  'TotalConsumerCount',
+  'TotalProducerCount',
+  'TotalEnqueueCount',
+  'TotalDequeueCount',
+  'TotalMessageCount',
+  'MemoryUsage',
+  'MemoryLimit',
+  'StoreUsage',
+  'StoreLimit',
+  'TempUsage',
+  'TempLimit'
+];
+const QUEUE_STATS_ATTRIBUTES = ['QueueSize', 'ConsumerCount'];
+const TOPIC_STATS_ATTRIBUTES = ['ConsumerCount', 'Subscriptions'];
+
 export class BrokerService {
   constructor(core) {
     this.core = core;
@@ -13,14 +34,12 @@ export class BrokerService {
     try {
       logger.debug('Getting broker info');
 
-      const brokerName = await this.core.getBrokerName();
-      const response = await this.core.httpClient.get(`/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=${brokerName}`);
-
-      const brokerData = response.data?.value || {};
+      const brokerData = await this.core.readBrokerView(BROKER_ATTRIBUTES);
       
       const brokerInfo = {
         host: this.core.config.host,
         port: this.core.config.port,
+        flavor: this.core.flavor.name,
         brokerName: brokerData.BrokerName || 'localhost',
         brokerVersion: brokerData.BrokerVersion || 'Unknown',
         uptime: brokerData.UptimeMillis || 0,
@@ -113,27 +132,31 @@ export class BrokerService {
     try {
       logger.debug('Getting broker statistics');
 
-      const brokerName = await this.core.getBrokerName();
-      
-      // Get broker statistics
-      const brokerResponse = await this.core.httpClient.get(`/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=${brokerName}`);
-      const brokerData = brokerResponse.data?.value || {};
+      // Broker, queue and topic attributes are read in a single bulk request
+      const brokerRequest = await this.core.brokerReadRequest(BROKER_ATTRIBUTES);
+      const queueRequests = await this.core.destinationReadRequests(['Queue'], QUEUE_STATS_ATTRIBUTES);
+      const topicRequests = await this.core.destinationReadRequests(['Topic'], TOPIC_STATS_ATTRIBUTES);
+      const [brokerResult, ...destinationResults] = await this.core.jolokia.bulk([brokerRequest, ...queueRequests, ...topicRequests]);
+
+      if (brokerResult instanceof Error) {
+        throw brokerResult;
+      }
+      const brokerData = this.core.toBrokerView(brokerResult);
 
       // Get queue statistics
       let queueStats = { count: 0, totalMessages: 0, totalConsumers: 0 };
       try {
-        const queueResponse = await this.core.httpClient.get(`/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=${brokerName},destinationType=Queue,destinationName=*`);
-        const queueData = queueResponse.data?.value || {};
+        const queues = this.core.toDestinations(['Queue'], destinationResults.slice(0, queueRequests.length));
         
         let queueCount = 0;
         let totalMessages = 0;
         let totalConsumers = 0;
         
-        for (const [key, value] of Object.entries(queueData)) {
-          if (key.includes('destinationName=') && !key.includes('ActiveMQ.Advisory')) {
+        for (const { name, view } of queues) {
+          if (!name.startsWith('ActiveMQ.Advisory')) {
             queueCount++;
-            totalMessages += value.QueueSize || 0;
-            totalConsumers += value.ConsumerCount || 0;
+            totalMessages += view.QueueSize || 0;
+            totalConsumers += view.ConsumerCount || 0;
           }
         }
         
@@ -145,18 +168,17 @@ export class BrokerService {
       // Get topic statistics
       let topicStats = { count: 0, totalConsumers: 0, totalSubscriptions: 0 };
       try {
-        const topicResponse = await this.core.httpClient.get(`/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=${brokerName},destinationType=Topic,destinationName=*`);
-        const topicData = topicResponse.data?.value || {};
+        const topics = this.core.toDestinations(['Topic'], destinationResults.slice(queueRequests.length));
         
         let topicCount = 0;
         let totalConsumers = 0;
         let totalSubscriptions = 0;
         
-        for (const [key, value] of Object.entries(topicData)) {
-          if (key.includes('destinationName=') && !key.includes('ActiveMQ.Advisory')) {
+        for (const { name, view } of topics) {
+          if (!name.startsWith('ActiveMQ.Advisory')) {
             topicCount++;
-            totalConsumers += value.ConsumerCount || 0;
-            totalSubscriptions += value.SubscriptionCount || 0;
+            totalConsumers += view.ConsumerCount || 0;
+            totalSubscriptions += view.Subscriptions?.length || 0;
           }
         }
         
@@ -168,6 +190,7 @@ export class BrokerService {
       const stats = {
         broker: {
           name: brokerData.BrokerName || 'localhost',
+          flavor: this.core.flavor.name,
           version: brokerData.BrokerVersion || 'Unknown',
           uptime: brokerData.UptimeMillis || 0,
           totalConnections: brokerData.TotalConnectionsCount || 0,
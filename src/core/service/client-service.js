@@ -0,0 +1,213 @@
+import { parseObjectName } from '../client/object-name.js';
+import { logger } from '../../utils/logger.js';
+
+// Reads the per-client MBeans the broker registers for consumers, producers
+// and client connections
+export class ClientService {
+  constructor(core) {
+    this.core = core;
+  }
+
+  // destinationType is 'Queue' or 'Topic'; both filters are optional
+  async listConsumers(options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      logger.debug('Listing consumers', options);
+
+      const brokerMBean = await this.core.getBrokerMBean();
+      const views = await this.core.jolokia.readPattern(`${brokerMBean},endpoint=Consumer,*`);
+      const remoteAddresses = await this.getRemoteAddresses();
+
+      const consumers = Object.entries(views)
+        .map(([mbean, view]) => {
+          const { properties } = parseObjectName(mbean);
+          return {
+            consumerId: properties.consumerId,
+            connectionId: view.ConnectionId,
+            clientId: view.ClientId,
+            remoteAddress: remoteAddresses.get(view.ConnectionId) || null,
+            userName: view.UserName || null,
+            destinationType: properties.destinationType || null,
+            destinationName: view.DestinationName,
+            selector: view.Selector || null,
+            prefetchSize: view.PrefetchSize || 0,
+            dispatchedCount: view.DispatchedCounter || 0,
+            dequeuedCount: view.DequeueCounter || 0,
+            inFlightCount: view.DispatchedQueueSize || 0,
+            pendingQueueSize: view.PendingQueueSize || 0,
+            slowConsumer: view.SlowConsumer === true,
+            active: view.Active === true,
+            exclusive: view.Exclusive === true,
+            network: view.Network === true
+          };
+        })
+        .filter(consumer => this.matchesDestination(consumer, options))
+        .sort((a, b) => String(a.destinationName).localeCompare(String(b.destinationName)));
+
+      logger.info('Consumers listed successfully', { consumerCount: consumers.length });
+      return consumers;
+    } catch (error) {
+      logger.error('Failed to list consumers', {
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to list consumers: ${error.message}`);
+    }
+  }
+
+  // destinationType is 'Queue' or 'Topic'; both filters are optional
+  async listProducers(options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      logger.debug('Listing producers', options);
+
+      const brokerMBean = await this.core.getBrokerMBean();
+      const views = await this.core.jolokia.readPattern(`${brokerMBean},endpoint=Producer,*`);
+
+      const producers = Object.entries(views)
+        .map(([mbean, view]) => {
+          const { properties } = parseObjectName(mbean);
+          return {
+            producerId: view.ProducerId,
+            connectionId: view.ConnectionId,
+            clientId: view.ClientId,
+            userName: view.UserName || null,
+            destinationType: properties.destinationType || null,
+            destinationName: view.DestinationName,
+            sentCount: view.SentCount || 0,
+            producerWindowSize: view.ProducerWindowSize || 0,
+            blocked: view.ProducerBlocked === true,
+            totalTimeBlocked: view.TotalTimeBlocked || 0,
+            percentageBlocked: view.PercentageBlocked || 0
+          };
+        })
+        .filter(producer => this.matchesDestination(producer, options))
+        .sort((a, b) => String(a.destinationName).localeCompare(String(b.destinationName)));
+
+      logger.info('Producers listed successfully', { producerCount: producers.length });
+      return producers;
+    } catch (error) {
+      logger.error('Failed to list producers', {
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to list producers: ${error.message}`);
+    }
+  }
+
+  async listConnections() {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      logger.debug('Listing client connections');
+
+      const views = await this.getConnectionViews();
+
+      const connections = Object.entries(views)
+        .map(([mbean, view]) => {
+          const { properties } = parseObjectName(mbean);
+          return {
+            connectionId: view.ConnectionId,
+            clientId: view.ClientId,
+            connector: properties.connectorName,
+            remoteAddress: view.RemoteAddress,
+            userName: view.UserName || null,
+            active: view.Active === true,
+            blocked: view.Blocked === true,
+            slow: view.Slow === true,
+            dispatchQueueSize: view.DispatchQueueSize || 0,
+            consumerCount: view.Consumers?.length || 0,
+            producerCount: view.Producers?.length || 0
+          };
+        })
+        .sort((a, b) => String(a.connector).localeCompare(String(b.connector)) || String(a.remoteAddress).localeCompare(String(b.remoteAddress)));
+
+      logger.info('Client connections listed successfully', { connectionCount: connections.length });
+      return connections;
+    } catch (error) {
+      logger.error('Failed to list client connections', {
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to list client connections: ${error.message}`);
+    }
+  }
+
+  // Closes the client's transport; the client sees a dropped connection and
+  // may reconnect on its own
+  async stopConnection(clientConnectionId) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      logger.info('Stopping client connection', { clientConnectionId });
+
+      const views = await this.getConnectionViews();
+      const match = Object.entries(views).find(([, view]) => view.ConnectionId === clientConnectionId);
+      if (!match) {
+        throw new Error(`Client connection '${clientConnectionId}' does not exist`);
+      }
+
+      const [mbean, view] = match;
+      await this.core.jolokia.exec(mbean, 'stop()');
+
+      logger.info('Client connection stopped successfully', {
+        clientConnectionId,
+        remoteAddress: view.RemoteAddress
+      });
+      return {
+        connectionId: clientConnectionId,
+        clientId: view.ClientId,
+        remoteAddress: view.RemoteAddress,
+        stopped: true
+      };
+    } catch (error) {
+      logger.error('Failed to stop client connection', {
+        clientConnectionId,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to stop client connection: ${error.message}`);
+    }
+  }
+
+  matchesDestination(endpoint, options) {
+    if (!options.includeAdvisory && endpoint.destinationName?.startsWith('ActiveMQ.Advisory.')) {
+      return false;
+    }
+    if (options.destinationType && endpoint.destinationType !== options.destinationType) {
+      return false;
+    }
+    if (options.destinationName && endpoint.destinationName !== this.core.cleanDestinationName(options.destinationName)) {
+      return false;
+    }
+    return true;
+  }
+
+  // Maps connection IDs to remote addresses from the client connection MBeans
+  async getRemoteAddresses() {
+    const views = await this.getConnectionViews();
+
+    const remoteAddresses = new Map();
+    for (const view of Object.values(views)) {
+      remoteAddresses.set(view.ConnectionId, view.RemoteAddress);
+    }
+    return remoteAddresses;
+  }
+
+  // Each connection is registered twice, by client ID and by remote address;
+  // reading one view type lists every connection once
+  async getConnectionViews() {
+    const brokerMBean = await this.core.getBrokerMBean();
+    return await this.core.jolokia.readPattern(`${brokerMBean},connector=clientConnectors,connectionViewType=clientId,*`);
+  }
+}
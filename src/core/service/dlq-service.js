@@ -0,0 +1,167 @@
+import { logger } from '../../utils/logger.js';
+
+const SHARED_DLQ = 'ActiveMQ.DLQ';
+const INDIVIDUAL_DLQ_PREFIX = 'DLQ.';
+const UNKNOWN = 'unknown';
+
+export class DlqService {
+  constructor(core, queueService) {
+    this.core = core;
+    this.queueService = queueService;
+  }
+
+  isDeadLetterQueue(queueName) {
+    return queueName === SHARED_DLQ || queueName.startsWith(INDIVIDUAL_DLQ_PREFIX);
+  }
+
+  async listDeadLetterQueues() {
+    const queues = await this.queueService.listQueues();
+    return queues.filter(queue => this.isDeadLetterQueue(queue.name));
+  }
+
+  async listDeadLetterMessages(queueName = SHARED_DLQ, options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    const cleanQueueName = this.core.cleanDestinationName(queueName);
+    const limit = options.limit || 400;
+
+    logger.debug('Listing dead-lettered messages', { queueName: cleanQueueName, limit });
+
+    const { messages, truncated } = await this.queueService.browseMessagesPage(cleanQueueName, limit, options.selector);
+    const groups = new Map();
+
+    for (const message of messages) {
+      const originalDestination = message.headers.OriginalDestination || UNKNOWN;
+      const failureCause = message.properties.dlqDeliveryFailureCause || UNKNOWN;
+      const key = `${originalDestination}\n${failureCause}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          originalDestination,
+          failureCause,
+          count: 0,
+          oldestTimestamp: null,
+          newestTimestamp: null,
+          messageIds: []
+        });
+      }
+
+      const group = groups.get(key);
+      const timestamp = message.headers.JMSTimestamp;
+      group.count++;
+      group.messageIds.push(message.headers.JMSMessageID);
+      if (timestamp !== null) {
+        group.oldestTimestamp = group.oldestTimestamp === null ? timestamp : Math.min(group.oldestTimestamp, timestamp);
+        group.newestTimestamp = group.newestTimestamp === null ? timestamp : Math.max(group.newestTimestamp, timestamp);
+      }
+    }
+
+    const result = {
+      queueName: cleanQueueName,
+      totalMessages: messages.length,
+      // More messages may match than were inspected
+      truncated,
+      groups: Array.from(groups.values()).sort((a, b) => b.count - a.count)
+    };
+
+    if (options.includeMessages) {
+      result.messages = messages;
+    }
+
+    logger.info('Dead-lettered messages listed', {
+      queueName: cleanQueueName,
+      messageCount: messages.length,
+      groupCount: result.groups.length
+    });
+
+    return result;
+  }
+
+  // Sends dead-lettered messages back to their original destination. Without a
+  // messageId or selector every message in the DLQ is retried.
+  async retryMessages(queueName = SHARED_DLQ, options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      const cleanQueueName = this.core.cleanDestinationName(queueName);
+      const queueMBean = await this.core.getDestinationMBean('Queue', cleanQueueName);
+
+      logger.info('Retrying dead-lettered messages', {
+        queueName: cleanQueueName,
+        messageId: options.messageId,
+        selector: options.selector
+      });
+
+      if (options.messageId) {
+        const retried = await this.core.jolokia.exec(queueMBean, 'retryMessage(java.lang.String)', options.messageId);
+        return {
+          retriedMessages: retried ? 1 : 0,
+          notRetried: retried ? [] : [options.messageId]
+        };
+      }
+
+      if (options.selector) {
+        const result = await this.retryMatchingMessages(cleanQueueName, queueMBean, options.selector);
+        logger.info('Dead-lettered messages retried', {
+          queueName: cleanQueueName,
+          matchedMessages: result.matchedMessages,
+          retriedMessages: result.retriedMessages,
+          truncated: result.truncated
+        });
+        return result;
+      }
+
+      const retriedMessages = await this.core.jolokia.exec(queueMBean, 'retryMessages()');
+
+      logger.info('Dead-lettered messages retried', { queueName: cleanQueueName, retriedMessages });
+      return { retriedMessages: retriedMessages || 0, notRetried: [] };
+    } catch (error) {
+      logger.error('Failed to retry dead-lettered messages', {
+        queueName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to retry messages: ${error.message}`);
+    }
+  }
+
+  // QueueView has no selector-based retry, so each browsed match is retried by
+  // ID. A browse only sees the head of the queue; retried messages leave the
+  // DLQ, so browsing again reaches the next matches. Stops when a browse brings
+  // no new matches, which then are reported as truncated if more may remain.
+  async retryMatchingMessages(queueName, queueMBean, selector) {
+    const attempted = new Set();
+    const notRetried = [];
+    let retriedMessages = 0;
+    let page;
+    let fresh;
+
+    do {
+      page = await this.queueService.browseMessagesPage(queueName, Infinity, selector);
+      fresh = page.messages
+        .map(message => message.headers.JMSMessageID)
+        .filter(messageId => !attempted.has(messageId));
+
+      for (const messageId of fresh) {
+        attempted.add(messageId);
+        const retried = await this.core.jolokia.exec(queueMBean, 'retryMessage(java.lang.String)', messageId);
+        if (retried) {
+          retriedMessages++;
+        } else {
+          notRetried.push(messageId);
+        }
+      }
+    } while (fresh.length > 0 && page.truncated);
+
+    return {
+      matchedMessages: attempted.size,
+      retriedMessages,
+      notRetried,
+      truncated: fresh.length === 0 && page.truncated
+    };
+  }
+}
@@ -0,0 +1,233 @@
+import { createReadStream } from 'fs';
+import { mkdir, open, realpath } from 'fs/promises';
+import path from 'path';
+import { createInterface } from 'readline';
+import { fromStompMessage, toSendArguments } from '../message/jms-message.js';
+import { configManager } from '../../utils/config.js';
+import { createRateLimiter } from '../../utils/rate-limiter.js';
+import { logger } from '../../utils/logger.js';
+
+const DEFAULT_IDLE_TIMEOUT = 2000;
+
+export class ExportService {
+  constructor(core, queueService, exportDirectory = configManager.getExportDirectory()) {
+    this.core = core;
+    this.queueService = queueService;
+    this.exportDirectory = path.resolve(exportDirectory);
+  }
+
+  // Resolves filePath against the export directory and rejects any path that
+  // ends up outside it, through '..' or a symlink alike. A file that does not
+  // exist yet is checked through its parent directory.
+  async resolveExportPath(filePath) {
+    const directory = await realpath(this.exportDirectory);
+    const requestedPath = path.resolve(directory, filePath);
+
+    let resolvedPath;
+    try {
+      resolvedPath = await realpath(requestedPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      resolvedPath = path.join(await realpath(path.dirname(requestedPath)), path.basename(requestedPath));
+    }
+
+    const relativePath = path.relative(directory, resolvedPath);
+    if (relativePath === '' || relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+      throw new Error(`File path '${filePath}' is outside the export directory '${this.exportDirectory}'`);
+    }
+    return resolvedPath;
+  }
+
+  // Writes one JSON record per line: { headers, properties, body, bodyLength }.
+  // browse mode leaves the queue untouched but is capped by maxBrowsePageSize;
+  // drain mode consumes each message and acknowledges it only once written.
+  async exportQueue(queueName, filePath, options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    const mode = options.mode || 'browse';
+    let resolvedPath = filePath;
+    let file = null;
+
+    try {
+      if (!['browse', 'drain'].includes(mode)) {
+        throw new Error(`Unknown export mode '${mode}' - use browse or drain`);
+      }
+
+      await mkdir(this.exportDirectory, { recursive: true });
+      resolvedPath = await this.resolveExportPath(filePath);
+
+      const cleanQueueName = this.core.cleanDestinationName(queueName);
+      logger.info('Exporting queue', { queueName: cleanQueueName, filePath: resolvedPath, mode });
+
+      file = await open(resolvedPath, options.overwrite ? 'w' : 'wx');
+      let exportedMessages = 0;
+
+      const { truncated } = await this.streamMessages(cleanQueueName, { ...options, drain: mode === 'drain' }, async (record) => {
+        await file.write(`${JSON.stringify(record)}\n`);
+        exportedMessages++;
+      });
+
+      logger.info('Queue exported successfully', { queueName: cleanQueueName, exportedMessages, truncated });
+      return { queueName: cleanQueueName, filePath: resolvedPath, mode, exportedMessages, truncated };
+    } catch (error) {
+      logger.error('Failed to export queue', {
+        queueName,
+        filePath: resolvedPath,
+        error: error.message
+      });
+      if (error.code === 'EEXIST') {
+        throw new Error(`Failed to export queue: file '${resolvedPath}' already exists - set overwrite to replace it`);
+      }
+      throw new Error(`Failed to export queue: ${error.message}`);
+    } finally {
+      await file?.close();
+    }
+  }
+
+  // Calls onMessage for each message record in order and resolves to
+  // { streamedMessages, truncated }. Browsing sees at most one browse page, so
+  // truncated flags messages it may have missed; draining stops after
+  // maxMessages or once no message arrives for idleTimeout milliseconds.
+  async streamMessages(queueName, options, onMessage) {
+    if (!options.drain) {
+      const { messages, truncated } = await this.queueService.browseMessagesPage(
+        queueName,
+        options.maxMessages || Infinity,
+        options.selector
+      );
+      for (const message of messages) {
+        await onMessage(message);
+      }
+      return { streamedMessages: messages.length, truncated };
+    }
+
+    const stompClient = await this.core.getStompClient();
+    const maxMessages = options.maxMessages || Infinity;
+    const idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+    const headers = { ack: 'client-individual', 'activemq.prefetchSize': '1' };
+    if (options.selector) {
+      headers.selector = options.selector;
+    }
+
+    return await new Promise((resolve, reject) => {
+      let count = 0;
+      let done = false;
+      let idleTimer = null;
+      // With a prefetch of one the broker waits for each ack, but the
+      // handler chain also keeps writes strictly ordered
+      let chain = Promise.resolve();
+
+      const finish = (error) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        clearTimeout(idleTimer);
+        stompClient.unsubscribe(subscriptionId);
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ streamedMessages: count, truncated: false });
+        }
+      };
+      const restartIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => chain.then(() => finish()), idleTimeout);
+      };
+
+      const subscriptionId = stompClient.subscribe(`/queue/${queueName}`, (message) => {
+        clearTimeout(idleTimer);
+        chain = chain.then(async () => {
+          if (done || count >= maxMessages) {
+            return;
+          }
+          await onMessage(fromStompMessage(message));
+          await stompClient.ack(message);
+          count++;
+          if (count >= maxMessages) {
+            finish();
+          } else {
+            restartIdleTimer();
+          }
+        }).catch(finish);
+      }, headers);
+
+      restartIdleTimer();
+    });
+  }
+
+  async replayFile(filePath, destination, options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    let resolvedPath = filePath;
+
+    try {
+      resolvedPath = await this.resolveExportPath(filePath);
+
+      logger.info('Replaying message file', {
+        filePath: resolvedPath,
+        destination,
+        rateLimit: options.rateLimit
+      });
+
+      const throttle = createRateLimiter(options.rateLimit);
+      const lines = createInterface({ input: createReadStream(resolvedPath), crlfDelay: Infinity });
+      const failures = [];
+      let replayedMessages = 0;
+      let lineNumber = 0;
+
+      for await (const line of lines) {
+        lineNumber++;
+        if (line.trim() === '') {
+          continue;
+        }
+        if (options.maxMessages && replayedMessages + failures.length >= options.maxMessages) {
+          break;
+        }
+
+        // Parser messages quote the offending input, so only the line is reported
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          failures.push({ line: lineNumber, error: `invalid JSON on line ${lineNumber}` });
+          continue;
+        }
+
+        try {
+          const { message, headers, options: sendOptions } = toSendArguments(record, options);
+          await throttle();
+          await this.queueService.sendMessage(destination, message, headers, {
+            ...sendOptions,
+            transport: options.transport
+          });
+          replayedMessages++;
+        } catch (error) {
+          failures.push({ line: lineNumber, error: error.message });
+        }
+      }
+
+      logger.info('Message file replayed', {
+        filePath: resolvedPath,
+        destination,
+        replayedMessages,
+        failedMessages: failures.length
+      });
+
+      return { filePath: resolvedPath, destination, replayedMessages, failedMessages: failures.length, failures };
+    } catch (error) {
+      logger.error('Failed to replay message file', {
+        filePath: resolvedPath,
+        destination,
+        error: error.message
+      });
+      throw new Error(`Failed to replay messages: ${error.message}`);
+    }
+  }
+}
@@ -5,4 +5,8 @@ export { ActiveMQFacade } from './activemq-facade.js';
 export { ConnectionService } from './connection-service.js';
 export { QueueService } from './queue-service.js';
 export { TopicService } from './topic-service.js';
-export { BrokerService } from './broker-service.js';
\ No newline at end of file
+export { BrokerService } from './broker-service.js';
+export { DlqService } from './dlq-service.js';
+export { SchedulerService } from './scheduler-service.js';
+export { ExportService } from './export-service.js';
+export { ClientService } from './client-service.js';
\ No newline at end of file
@@ -1,52 +1,133 @@
+import { randomUUID } from 'crypto';
+import { BrokerError, BrokerErrorKind, classifyError } from '../client/broker-error.js';
+import { withoutAttributeErrors } from '../client/jolokia-client.js';
+import { messageServletUrl } from '../client/destination.js';
+import { toStompHeaders, validateMessageOptions } from '../message/message-options.js';
+import { mapWithConcurrency } from '../../utils/concurrency.js';
+import { applyListQuery } from '../../utils/list-query.js';
+import { findSimilarNames } from '../../utils/similar-names.js';
 import { logger } from '../../utils/logger.js';
 
+const MAX_BATCH_SIZE = 10000;
+const MAX_BATCH_CONCURRENCY = 50;
+// ActiveMQ's default maxBrowsePageSize: a QueueView browse, with or without a
+// selector, never looks further into the queue than this
+const MAX_BROWSE_PAGE_SIZE = 400;
+
+// queue_info fields and the QueueView attribute each one is read from
+const QUEUE_INFO_ATTRIBUTES = {
+  size: 'QueueSize',
+  consumerCount: 'ConsumerCount',
+  producerCount: 'ProducerCount',
+  enqueueCount: 'EnqueueCount',
+  dequeueCount: 'DequeueCount',
+  dispatchCount: 'DispatchCount',
+  inFlightCount: 'InFlightCount',
+  expiredCount: 'ExpiredCount',
+  averageEnqueueTime: 'AverageEnqueueTime',
+  maxEnqueueTime: 'MaxEnqueueTime',
+  minEnqueueTime: 'MinEnqueueTime',
+  averageMessageSize: 'AverageMessageSize',
+  memoryUsage: 'MemoryUsageByteCount',
+  memoryLimit: 'MemoryLimit',
+  memoryPercentUsage: 'MemoryPercentUsage',
+  cursorMemoryUsage: 'CursorMemoryUsage',
+  cursorPercentUsage: 'CursorPercentUsage',
+  useCache: 'UseCache',
+  cacheEnabled: 'CacheEnabled',
+  producerFlowControl: 'ProducerFlowControl',
+  blockedProducerWarningInterval: 'BlockedProducerWarningInterval',
+  blockedSends: 'BlockedSends',
+  totalBlockedTime: 'TotalBlockedTime',
+  paused: 'Paused',
+  dlq: 'DLQ'
+};
+
+// Not an MBean attribute - taken from the message at the head of the queue
+const OLDEST_MESSAGE_AGE = 'oldestMessageAge';
+
+const QUEUE_INFO_FIELDS = ['name', ...Object.keys(QUEUE_INFO_ATTRIBUTES), OLDEST_MESSAGE_AGE];
+
+// Fields list_queues can filter and sort on
+const QUEUE_LIST_FIELDS = [
+  'name',
+  'size',
+  'consumerCount',
+  'producerCount',
+  'enqueueCount',
+  'dequeueCount',
+  'inFlightCount',
+  'expiredCount',
+  'memoryPercentUsage',
+  'paused',
+  'temporary'
+];
+// QueueView attributes behind the list fields
+const QUEUE_LIST_ATTRIBUTES = [
+  'QueueSize',
+  'ConsumerCount',
+  'ProducerCount',
+  'EnqueueCount',
+  'DequeueCount',
+  'InFlightCount',
+  'ExpiredCount',
+  'MemoryPercentUsage',
+  'Paused'
+];
+const ADVISORY_PREFIX = 'ActiveMQ.Advisory.';
+
 export class QueueService {
   constructor(core) {
     this.core = core;
   }
 
-  async sendMessage(destination, message, headers = {}) {
+  async sendMessage(destination, message, headers = {}, options = {}) {
     if (!this.core.isConnected()) {
       throw new Error('Not connected to ActiveMQ broker');
     }
 
     try {
+      validateMessageOptions(options);
+
       // Parse destination to get name and type
       const { destinationName, destinationType } = this.core.parseDestination(destination);
+      const transport = options.transport || 'rest';
       
       logger.debug('Sending message', { 
         destinationName,
         destinationType,
+        transport,
         messageLength: typeof message === 'string' ? message.length : JSON.stringify(message).length
       });
 
-      // Use proper ActiveMQ REST API format
       const messageBody = typeof message === 'string' ? message : JSON.stringify(message);
-      const formData = `body=${encodeURIComponent(messageBody)}`;
-      
-      // Add any additional headers as form parameters
-      let additionalParams = '';
-      for (const [key, value] of Object.entries(headers)) {
-        additionalParams += `&${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+
+      if (transport === 'stomp') {
+        const stompClient = await this.core.getStompClient();
+        await stompClient.send(`/${destinationType}/${destinationName}`, messageBody, {
+          ...headers,
+          ...toStompHeaders(options)
+        });
+
+        logger.info('Message sent successfully', { destinationName, destinationType, transport });
+        return { success: true, transport };
       }
 
-      const response = await this.core.httpClient.post(
-        `/api/message/${destinationName}?type=${destinationType}`,
-        formData + additionalParams,
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
+      const result = await this.core.flavor.sendMessage(this.core, {
+        destinationType,
+        destinationName,
+        body: messageBody,
+        properties: headers,
+        options
+      });
 
       logger.info('Message sent successfully', { 
         destinationName,
         destinationType,
-        status: response.status
+        ...result
       });
 
-      return { success: true, status: response.status };
+      return { success: true, ...result, transport };
     } catch (error) {
       logger.error('Failed to send message', { 
         destination,
@@ -57,6 +138,61 @@ export class QueueService {
     }
   }
 
+  // Sends each { message, headers, ...options } entry through sendMessage with
+  // bounded concurrency. Failures are reported per message instead of aborting
+  // the batch; `defaults` holds message options shared by every entry.
+  async sendMessagesBatch(destination, messages, defaults = {}, concurrency = 5) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('At least one message is required');
+    }
+    if (messages.length > MAX_BATCH_SIZE) {
+      throw new Error(`Batch size ${messages.length} exceeds the maximum of ${MAX_BATCH_SIZE} messages`);
+    }
+
+    const requestedConcurrency = Number(concurrency);
+    if (!Number.isFinite(requestedConcurrency) || requestedConcurrency < 1) {
+      throw new Error(`Concurrency must be a number between 1 and ${MAX_BATCH_CONCURRENCY}`);
+    }
+    const workerCount = Math.min(Math.floor(requestedConcurrency), MAX_BATCH_CONCURRENCY);
+
+    logger.info('Sending message batch', { destination, messageCount: messages.length, concurrency: workerCount });
+
+    const startedAt = Date.now();
+    const results = await mapWithConcurrency(messages, workerCount, async (entry, index) => {
+      try {
+        if (!entry || typeof entry !== 'object') {
+          throw new Error(`entry ${index}: must be an object with a message`);
+        }
+        const { message, headers = {}, ...options } = entry;
+        if (message === undefined || message === null) {
+          throw new Error(`entry ${index}: message is required`);
+        }
+        const result = await this.sendMessage(destination, message, headers, { ...defaults, ...options });
+        return { index, success: true, status: result.status, transport: result.transport };
+      } catch (error) {
+        return { index, success: false, error: error.message };
+      }
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+    logger.info('Message batch sent', {
+      destination,
+      succeeded,
+      failed: results.length - succeeded
+    });
+
+    return {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      durationMs: Date.now() - startedAt,
+      results
+    };
+  }
+
   async consumeMessage(destination, options = {}) {
     if (!this.core.isConnected()) {
       throw new Error('Not connected to ActiveMQ broker');
@@ -70,7 +206,6 @@ export class QueueService {
 
       // Build query parameters for REST API
       const params = new URLSearchParams();
-      params.append('type', destinationType);
       
       if (options.timeout) {
         params.append('timeout', options.timeout.toString());
@@ -84,7 +219,8 @@ export class QueueService {
         params.append('selector', options.selector);
       }
 
-      const response = await this.core.httpClient.get(`/api/message/${destinationName}?${params.toString()}`);
+      const query = params.toString();
+      const response = await this.core.httpClient.get(`${messageServletUrl(destinationType, destinationName)}${query ? `&${query}` : ''}`);
 
       if (response.status === 204 || !response.data) {
         logger.debug('No message available', { destinationName, destinationType });
@@ -122,7 +258,77 @@ export class QueueService {
     }
   }
 
-  async browseMessages(queueName, limit = 10) {
+  // Sends a request over STOMP with a fresh JMSCorrelationID and waits for the
+  // correlated reply on a temporary queue, or on a named queue via a selector
+  async requestReply(queueName, message, headers = {}, options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    const cleanQueueName = this.core.cleanDestinationName(queueName);
+    const timeout = options.timeout || 30000;
+    const correlationId = options.correlationId || randomUUID();
+    const replyTo = options.replyTo
+      ? `/queue/${this.core.cleanDestinationName(options.replyTo)}`
+      : `/temp-queue/reply-${randomUUID()}`;
+
+    try {
+      validateMessageOptions(options);
+      const { priority, timeToLive, persistent, type } = options;
+
+      const messageBody = typeof message === 'string' ? message : JSON.stringify(message);
+      const selector = `JMSCorrelationID = '${correlationId.replace(/'/g, "''")}'`;
+
+      logger.info('Sending request', { queueName: cleanQueueName, correlationId, replyTo, timeout });
+
+      const stompClient = await this.core.getStompClient();
+      // Subscribe before sending so a fast reply cannot be missed
+      const replyPromise = stompClient.receive(replyTo, { timeout, maxMessages: 1, selector });
+      const sentAt = Date.now();
+
+      await stompClient.send(`/queue/${cleanQueueName}`, messageBody, {
+        ...headers,
+        ...toStompHeaders({ priority, timeToLive, persistent, type }),
+        'correlation-id': correlationId,
+        'reply-to': replyTo
+      });
+
+      const [reply] = await replyPromise;
+      if (!reply) {
+        throw new Error(`No reply received within ${timeout}ms`);
+      }
+
+      const receivedAt = Date.now();
+      logger.info('Reply received', { queueName: cleanQueueName, correlationId, elapsedMs: receivedAt - sentAt });
+
+      return {
+        correlationId,
+        replyTo,
+        elapsedMs: receivedAt - sentAt,
+        request: {
+          destination: `/queue/${cleanQueueName}`,
+          body: messageBody,
+          sentAt
+        },
+        response: {
+          messageId: reply.messageId,
+          destination: reply.destination,
+          headers: reply.headers,
+          body: reply.body,
+          receivedAt
+        }
+      };
+    } catch (error) {
+      logger.error('Request-reply failed', {
+        queueName,
+        correlationId,
+        error: error.message
+      });
+      throw new Error(`Request-reply failed: ${error.message}`);
+    }
+  }
+
+  async browseMessages(queueName, limit = 10, selector = null) {
     if (!this.core.isConnected()) {
       throw new Error('Not connected to ActiveMQ broker');
     }
@@ -131,38 +337,15 @@ export class QueueService {
       // Clean queue name
       const cleanQueueName = this.core.cleanDestinationName(queueName);
       
-      logger.debug('Browsing messages', { queueName: cleanQueueName, limit });
-
-      const messages = [];
-      let browsed = 0;
-
-      // Browse messages one by one (REST API limitation)
-      while (browsed < limit) {
-        try {
-          const response = await this.core.httpClient.get(`/api/message/${cleanQueueName}`, {
-            params: {
-              type: 'browse'
-            }
-          });
-
-          if (response.status === 204 || !response.data) {
-            break; // No more messages
-          }
+      logger.debug('Browsing messages', { queueName: cleanQueueName, limit, selector });
 
-          messages.push({
-            headers: response.headers,
-            body: response.data,
-            timestamp: Date.now()
-          });
+      // QueueView browse is non-destructive and capped by the broker's maxBrowsePageSize
+      const queueMBean = await this.core.getDestinationMBean('Queue', cleanQueueName);
+      const browsed = selector
+        ? await this.core.jolokia.exec(queueMBean, 'browse(java.lang.String)', selector)
+        : await this.core.jolokia.exec(queueMBean, 'browse()');
 
-          browsed++;
-        } catch (error) {
-          if (error.response?.status === 204) {
-            break; // No more messages
-          }
-          throw error;
-        }
-      }
+      const messages = (browsed || []).slice(0, limit).map(data => this.core.flavor.toMessage(data));
 
       logger.info('Messages browsed successfully', { 
         queueName: cleanQueueName,
@@ -180,6 +363,216 @@ export class QueueService {
     }
   }
 
+  // Like browseMessages, but also reads the queue depth in the same round trip
+  // to report whether matches may be missing: cut off by limit, or beyond the
+  // part of the queue a single browse looks at
+  async browseMessagesPage(queueName, limit = 10, selector = null) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      const cleanQueueName = this.core.cleanDestinationName(queueName);
+
+      logger.debug('Browsing message page', { queueName: cleanQueueName, limit, selector });
+
+      const queueMBean = await this.core.getDestinationMBean('Queue', cleanQueueName);
+      const [browsed, view] = await this.core.jolokia.bulk([
+        {
+          type: 'exec',
+          mbean: queueMBean,
+          operation: selector ? 'browse(java.lang.String)' : 'browse()',
+          arguments: selector ? [selector] : []
+        },
+        {
+          type: 'read',
+          mbean: queueMBean,
+          attribute: this.core.flavor.destinationAttributes('Queue', ['QueueSize'])
+        }
+      ]);
+      for (const result of [browsed, view]) {
+        if (result instanceof Error) {
+          throw result;
+        }
+      }
+
+      const matches = browsed || [];
+      const queueSize = this.core.flavor.toDestinationView('Queue', view || {}).QueueSize || 0;
+      const scanned = selector ? MAX_BROWSE_PAGE_SIZE : matches.length;
+
+      return {
+        messages: matches.slice(0, limit).map(data => this.core.flavor.toMessage(data)),
+        queueSize,
+        truncated: matches.length > limit || queueSize > scanned
+      };
+    } catch (error) {
+      logger.error('Failed to browse messages', {
+        queueName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to browse messages: ${error.message}`);
+    }
+  }
+
+  async moveMessages(queueName, targetQueueName, options = {}) {
+    const movedMessages = await this.transferMessages('move', queueName, targetQueueName, options);
+    return { movedMessages };
+  }
+
+  async copyMessages(queueName, targetQueueName, options = {}) {
+    const copiedMessages = await this.transferMessages('copy', queueName, targetQueueName, options);
+    return { copiedMessages };
+  }
+
+  // Shared implementation of the QueueView move*/copy* operations; returns the message count
+  async transferMessages(mode, queueName, targetQueueName, options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      const cleanQueueName = this.core.cleanDestinationName(queueName);
+      const cleanTargetName = this.core.cleanDestinationName(targetQueueName);
+
+      if (cleanQueueName === cleanTargetName) {
+        throw new Error('Source and target queue must be different');
+      }
+
+      logger.info(`Transferring messages (${mode})`, {
+        queueName: cleanQueueName,
+        targetQueueName: cleanTargetName,
+        messageId: options.messageId,
+        selector: options.selector,
+        maxMessages: options.maxMessages
+      });
+
+      const queueMBean = await this.core.getDestinationMBean('Queue', cleanQueueName);
+      let count;
+
+      if (options.messageId) {
+        const transferred = await this.core.jolokia.exec(
+          queueMBean,
+          `${mode}MessageTo(java.lang.String,java.lang.String)`,
+          options.messageId,
+          cleanTargetName
+        );
+        count = transferred ? 1 : 0;
+      } else if (options.maxMessages) {
+        count = await this.core.jolokia.exec(
+          queueMBean,
+          `${mode}MatchingMessagesTo(java.lang.String,java.lang.String,int)`,
+          options.selector || '',
+          cleanTargetName,
+          options.maxMessages
+        );
+      } else {
+        count = await this.core.jolokia.exec(
+          queueMBean,
+          `${mode}MatchingMessagesTo(java.lang.String,java.lang.String)`,
+          options.selector || '',
+          cleanTargetName
+        );
+      }
+
+      logger.info(`Messages transferred (${mode})`, {
+        queueName: cleanQueueName,
+        targetQueueName: cleanTargetName,
+        count
+      });
+
+      return count || 0;
+    } catch (error) {
+      logger.error(`Failed to ${mode} messages`, {
+        queueName,
+        targetQueueName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to ${mode} messages: ${error.message}`);
+    }
+  }
+
+  // Removes one message by ID or every message matching a selector. With
+  // dryRun the matches are only counted by browsing, which is capped by the
+  // broker's maxBrowsePageSize; truncated flags a count that may be short.
+  async removeMessages(queueName, options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      if (!options.messageId && !options.selector) {
+        throw new Error('Either messageId or selector is required - use purge_queue to remove all messages');
+      }
+
+      const cleanQueueName = this.core.cleanDestinationName(queueName);
+
+      if (options.dryRun) {
+        const selector = options.messageId
+          ? `JMSMessageID = '${options.messageId.replace(/'/g, "''")}'`
+          : options.selector;
+        const { messages: matches, truncated } = await this.browseMessagesPage(
+          cleanQueueName,
+          options.maxMessages || Infinity,
+          selector
+        );
+
+        logger.info('Counted messages matching removal', {
+          queueName: cleanQueueName,
+          selector,
+          matchingMessages: matches.length,
+          truncated
+        });
+
+        return {
+          dryRun: true,
+          matchingMessages: matches.length,
+          truncated,
+          messageIds: matches.map(message => message.headers.JMSMessageID)
+        };
+      }
+
+      logger.info('Removing messages', {
+        queueName: cleanQueueName,
+        messageId: options.messageId,
+        selector: options.selector,
+        maxMessages: options.maxMessages
+      });
+
+      const queueMBean = await this.core.getDestinationMBean('Queue', cleanQueueName);
+      let removedMessages;
+
+      if (options.messageId) {
+        const removed = await this.core.jolokia.exec(queueMBean, 'removeMessage(java.lang.String)', options.messageId);
+        removedMessages = removed ? 1 : 0;
+      } else if (options.maxMessages) {
+        removedMessages = await this.core.jolokia.exec(
+          queueMBean,
+          'removeMatchingMessages(java.lang.String,int)',
+          options.selector,
+          options.maxMessages
+        );
+      } else {
+        removedMessages = await this.core.jolokia.exec(queueMBean, 'removeMatchingMessages(java.lang.String)', options.selector);
+      }
+
+      logger.info('Messages removed successfully', {
+        queueName: cleanQueueName,
+        removedMessages
+      });
+
+      return { removedMessages: removedMessages || 0 };
+    } catch (error) {
+      logger.error('Failed to remove messages', {
+        queueName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to remove messages: ${error.message}`);
+    }
+  }
+
   async purgeQueue(queueName) {
     if (!this.core.isConnected()) {
       throw new Error('Not connected to ActiveMQ broker');
@@ -191,11 +584,8 @@ export class QueueService {
       
       logger.info('Purging queue', { queueName: cleanQueueName });
 
-      // Use Jolokia API to purge queue
-      const brokerName = await this.core.getBrokerName();
-      const response = await this.core.httpClient.post(`/api/jolokia/exec/org.apache.activemq:type=Broker,brokerName=${brokerName},destinationType=Queue,destinationName=${cleanQueueName}/purge`);
-
-      const purgedCount = response.data?.value || 0;
+      const queueMBean = await this.core.getDestinationMBean('Queue', cleanQueueName);
+      const purgedCount = await this.core.jolokia.exec(queueMBean, this.core.flavor.purgeOperation) || 0;
       
       logger.info('Queue purged successfully', { 
         queueName: cleanQueueName,
@@ -213,117 +603,274 @@ export class QueueService {
     }
   }
 
-  async getQueueInfo(queueName) {
+  async createQueue(queueName) {
     if (!this.core.isConnected()) {
       throw new Error('Not connected to ActiveMQ broker');
     }
 
     try {
-      // Clean queue name
       const cleanQueueName = this.core.cleanDestinationName(queueName);
-      
-      logger.debug('Getting queue info', { queueName: cleanQueueName });
 
-      const brokerName = await this.core.getBrokerName();
-      const response = await this.core.httpClient.get(`/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=${brokerName},destinationType=Queue,destinationName=${cleanQueueName}`);
+      logger.info('Creating queue', { queueName: cleanQueueName });
 
-      const queueData = response.data?.value || {};
-      
-      const queueInfo = {
-        name: cleanQueueName,
-        size: queueData.QueueSize || 0,
-        consumerCount: queueData.ConsumerCount || 0,
-        enqueueCount: queueData.EnqueueCount || 0,
-        dequeueCount: queueData.DequeueCount || 0,
-        memoryUsage: queueData.MemoryUsageByteCount || 0,
-        memoryLimit: queueData.MemoryLimit || 0
-      };
+      // addQueue is a no-op for an existing queue, so report whether it was new
+      const existed = await this.core.destinationExists('Queue', cleanQueueName);
+      if (!existed) {
+        const brokerMBean = await this.core.getBrokerMBean();
+        await this.core.jolokia.exec(brokerMBean, 'addQueue(java.lang.String)', cleanQueueName);
+      }
 
-      logger.debug('Queue info retrieved', { queueName: cleanQueueName, queueInfo });
-      return queueInfo;
+      logger.info('Queue created successfully', { queueName: cleanQueueName, created: !existed });
+      return { queueName: cleanQueueName, created: !existed };
     } catch (error) {
-      logger.error('Failed to get queue info', { 
+      logger.error('Failed to create queue', {
         queueName,
         error: error.message,
         status: error.response?.status
       });
-      
-      return {
-        name: queueName,
-        size: 0,
-        consumerCount: 0,
-        enqueueCount: 0,
-        dequeueCount: 0,
-        error: error.message
-      };
+      throw new Error(`Failed to create queue: ${error.message}`);
     }
   }
 
-  async listQueues() {
+  async deleteQueue(queueName) {
     if (!this.core.isConnected()) {
       throw new Error('Not connected to ActiveMQ broker');
     }
 
     try {
-      logger.debug('Listing queues');
+      const cleanQueueName = this.core.cleanDestinationName(queueName);
 
-      // Try multiple approaches to get queue list
-      let response;
-      let data = {};
-      
+      logger.info('Deleting queue', { queueName: cleanQueueName });
+
+      // removeQueue silently ignores unknown queues, which hides typos
+      if (!await this.core.destinationExists('Queue', cleanQueueName)) {
+        throw new Error(`Queue '${cleanQueueName}' does not exist`);
+      }
+
+      const brokerMBean = await this.core.getBrokerMBean();
+      await this.core.jolokia.exec(brokerMBean, 'removeQueue(java.lang.String)', cleanQueueName);
+
+      logger.info('Queue deleted successfully', { queueName: cleanQueueName });
+      return { queueName: cleanQueueName, deleted: true };
+    } catch (error) {
+      logger.error('Failed to delete queue', {
+        queueName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to delete queue: ${error.message}`);
+    }
+  }
+
+  // A paused queue keeps accepting messages but dispatches none to its
+  // consumers until it is resumed
+  async pauseQueue(queueName) {
+    return await this.setQueuePaused(queueName, true);
+  }
+
+  async resumeQueue(queueName) {
+    return await this.setQueuePaused(queueName, false);
+  }
+
+  async setQueuePaused(queueName, paused) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    const action = paused ? 'pause' : 'resume';
+
+    try {
+      const cleanQueueName = this.core.cleanDestinationName(queueName);
+
+      logger.info(paused ? 'Pausing queue' : 'Resuming queue', { queueName: cleanQueueName });
+
+      if (!await this.core.destinationExists('Queue', cleanQueueName)) {
+        throw new Error(`Queue '${cleanQueueName}' does not exist`);
+      }
+
+      const queueMBean = await this.core.getDestinationMBean('Queue', cleanQueueName);
       try {
-        // First try with wildcard broker name
-        response = await this.core.httpClient.get('/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=*,destinationType=Queue,destinationName=*');
-        data = response.data?.value || {};
+        await this.core.jolokia.exec(queueMBean, `${action}()`);
       } catch (error) {
-        logger.debug('Wildcard broker query failed, trying specific broker name');
-        
-        // Fall back to localhost broker name
-        try {
-          response = await this.core.httpClient.get('/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=localhost,destinationType=Queue,destinationName=*');
-          data = response.data?.value || {};
-        } catch (error2) {
-          // Try to get broker name first, then query queues
-          const brokerResponse = await this.core.httpClient.get('/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=*');
-          const brokerData = brokerResponse.data?.value || {};
-          
-          // Extract broker name from response
-          let brokerName = 'localhost';
-          for (const key of Object.keys(brokerData)) {
-            if (key.includes('brokerName=')) {
-              brokerName = key.split('brokerName=')[1].split(',')[0];
-              break;
-            }
-          }
-          
-          // Query with discovered broker name
-          response = await this.core.httpClient.get(`/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=${brokerName},destinationType=Queue,destinationName=*`);
-          data = response.data?.value || {};
+        if (error.errorType === 'java.lang.IllegalArgumentException') {
+          throw new Error('This broker version does not support pausing queues');
         }
+        throw error;
       }
 
-      const queues = [];
-
-      // Parse queue data from Jolokia response
-      if (typeof data === 'object' && data !== null) {
-        for (const [key, value] of Object.entries(data)) {
-          if (key.includes('destinationName=') && !key.includes('ActiveMQ.Advisory')) {
-            const queueName = key.split('destinationName=')[1].split(',')[0];
-            if (queueName && typeof value === 'object' && value !== null) {
-              queues.push({
-                name: queueName,
-                size: value.QueueSize || 0,
-                consumerCount: value.ConsumerCount || 0,
-                enqueueCount: value.EnqueueCount || 0,
-                dequeueCount: value.DequeueCount || 0
-              });
-            }
-          }
+      logger.info(paused ? 'Queue paused successfully' : 'Queue resumed successfully', { queueName: cleanQueueName });
+      return { queueName: cleanQueueName, paused };
+    } catch (error) {
+      logger.error(`Failed to ${action} queue`, {
+        queueName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to ${action} queue: ${error.message}`);
+    }
+  }
+
+  // options.fields restricts the result to a subset of QUEUE_INFO_FIELDS
+  async getQueueInfo(queueName, options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    const fields = options.fields?.length ? options.fields : QUEUE_INFO_FIELDS;
+    const unknownFields = fields.filter(field => !QUEUE_INFO_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown queue info fields: ${unknownFields.join(', ')}. Valid fields: ${QUEUE_INFO_FIELDS.join(', ')}`);
+    }
+
+    try {
+      // Clean queue name
+      const cleanQueueName = this.core.cleanDestinationName(queueName);
+      
+      logger.debug('Getting queue info', { queueName: cleanQueueName, fields: options.fields });
+
+      // Only the attributes behind the requested fields are read. Older Classic
+      // brokers lack some of them (Paused, DLQ); with ignoreErrors those read as
+      // absent instead of failing the read. The head message for
+      // oldestMessageAge is browsed in the same round trip.
+      const queueMBean = await this.core.getDestinationMBean('Queue', cleanQueueName);
+      const attributes = fields.map(field => QUEUE_INFO_ATTRIBUTES[field]).filter(Boolean);
+      const requests = [{
+        type: 'read',
+        mbean: queueMBean,
+        attribute: this.core.flavor.destinationAttributes('Queue', attributes),
+        config: { ignoreErrors: true }
+      }];
+      if (fields.includes(OLDEST_MESSAGE_AGE)) {
+        requests.push(this.oldestMessageRequest(queueMBean));
+      }
+      const [view, browsed] = await this.core.jolokia.bulk(requests);
+      for (const result of [view, browsed]) {
+        if (result instanceof Error) {
+          throw result;
         }
       }
+      const queueData = this.core.flavor.toDestinationView('Queue', withoutAttributeErrors(view));
+
+      const queueInfo = {};
+      for (const field of fields) {
+        if (field === 'name') {
+          queueInfo.name = cleanQueueName;
+        } else if (field === OLDEST_MESSAGE_AGE) {
+          queueInfo.oldestMessageAge = this.getOldestMessageAge(browsed);
+        } else {
+          // Attributes the broker lacks are reported as unset
+          queueInfo[field] = queueData[QUEUE_INFO_ATTRIBUTES[field]] ?? null;
+        }
+      }
+
+      logger.debug('Queue info retrieved', { queueName: cleanQueueName, queueInfo });
+      return queueInfo;
+    } catch (error) {
+      logger.error('Failed to get queue info', { 
+        queueName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw await this.describeQueueError(error, this.core.cleanDestinationName(queueName), 'get queue info');
+    }
+  }
+
+  // Turns a failed queue MBean access into a BrokerError, with similarly named
+  // queues as suggestions when the queue does not exist
+  async describeQueueError(error, queueName, action) {
+    const kind = classifyError(error);
+
+    if (kind === BrokerErrorKind.NOT_FOUND) {
+      const suggestions = await this.findSimilarQueueNames(queueName);
+      const hint = suggestions.length > 0 ? `. Did you mean: ${suggestions.join(', ')}?` : '';
+      return new BrokerError(`Failed to ${action}: Queue '${queueName}' does not exist${hint}`, { kind, suggestions });
+    }
+    if (kind === BrokerErrorKind.UNAUTHORIZED) {
+      return new BrokerError(`Failed to ${action}: Access to queue '${queueName}' was denied - check the connection credentials`, { kind });
+    }
+    if (kind === BrokerErrorKind.UNREACHABLE) {
+      return new BrokerError(`Failed to ${action}: Broker is unreachable (${error.code || error.message})`, { kind });
+    }
+    if (kind === BrokerErrorKind.MISCONFIGURED) {
+      return new BrokerError(`Failed to ${action}: Jolokia endpoint not found (HTTP 404) - check the connection's port and that the web console exposes Jolokia`, { kind });
+    }
+    return new Error(`Failed to ${action}: ${error.message}`);
+  }
+
+  // Suggestions are best effort; a failed lookup just means none are offered
+  async findSimilarQueueNames(queueName) {
+    try {
+      const names = await this.core.searchDestinationNames('Queue');
+      return findSimilarNames(queueName, names);
+    } catch (error) {
+      logger.debug('Could not look up similar queue names', { queueName, error: error.message });
+      return [];
+    }
+  }
+
+  // Browses the head message only. Jolokia truncates the result to that one
+  // message so a deep queue is not serialized in full.
+  oldestMessageRequest(queueMBean) {
+    return {
+      type: 'exec',
+      mbean: queueMBean,
+      operation: 'browse()',
+      arguments: [],
+      config: { maxCollectionSize: 1 }
+    };
+  }
+
+  // Milliseconds since the head message was sent, from the oldestMessageRequest result
+  getOldestMessageAge(browsed) {
+    if (!browsed?.length) {
+      return null;
+    }
+    const { JMSTimestamp } = this.core.flavor.toMessage(browsed[0]).headers;
+    return JMSTimestamp === null ? null : Math.max(0, Date.now() - JMSTimestamp);
+  }
+
+  // options: name (glob), nameRegex, where ("size > 100", ...), sortBy,
+  // sortOrder, includeAdvisory, includeTemp and windowSeconds, which adds
+  // enqueueDelta/dequeueDelta measured over that many seconds
+  async listQueues(options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      logger.debug('Listing queues', options);
+
+      const destinationTypes = options.includeTemp ? ['Queue', 'TempQueue'] : ['Queue'];
+      const destinations = await this.core.readDestinations(destinationTypes, QUEUE_LIST_ATTRIBUTES, options.windowSeconds);
+
+      const queues = destinations
+        .filter(({ name }) => options.includeAdvisory || !name.startsWith(ADVISORY_PREFIX))
+        .map(({ name, destinationType, view, sample }) => {
+          const queue = {
+            name,
+            size: view.QueueSize || 0,
+            consumerCount: view.ConsumerCount || 0,
+            producerCount: view.ProducerCount || 0,
+            enqueueCount: view.EnqueueCount || 0,
+            dequeueCount: view.DequeueCount || 0,
+            inFlightCount: view.InFlightCount || 0,
+            expiredCount: view.ExpiredCount || 0,
+            memoryPercentUsage: view.MemoryPercentUsage || 0,
+            paused: view.Paused === true,
+            temporary: destinationType === 'TempQueue'
+          };
+          if (sample) {
+            queue.enqueueDelta = queue.enqueueCount - (sample.EnqueueCount || 0);
+            queue.dequeueDelta = queue.dequeueCount - (sample.DequeueCount || 0);
+          }
+          return queue;
+        });
+
+      const fields = options.windowSeconds ? [...QUEUE_LIST_FIELDS, 'enqueueDelta', 'dequeueDelta'] : QUEUE_LIST_FIELDS;
+      const matched = applyListQuery(queues, options, fields);
 
-      logger.info('Queues listed successfully', { queueCount: queues.length });
-      return queues;
+      logger.info('Queues listed successfully', { queueCount: matched.length });
+      return matched;
     } catch (error) {
       logger.error('Failed to list queues', { 
         error: error.message,
@@ -0,0 +1,199 @@
+import { randomUUID } from 'crypto';
+import { logger } from '../../utils/logger.js';
+
+// The broker's management topic for scheduler browse/remove requests
+const SCHEDULER_MANAGEMENT_TOPIC = '/topic/ActiveMQ.Scheduler.Management';
+// JobSupport formats and parses times in the broker's local time zone
+const SCHEDULER_TIME_FORMAT = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const PAYLOAD_PREVIEW_LENGTH = 200;
+const BROWSE_IDLE_TIMEOUT = 500;
+const BROWSE_TIMEOUT = 5000;
+
+export class SchedulerService {
+  constructor(core) {
+    this.core = core;
+  }
+
+  async getSchedulerMBean() {
+    const brokerMBean = await this.core.getBrokerMBean();
+    return `${brokerMBean},service=JobScheduler,name=JMS`;
+  }
+
+  async listJobs(options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      logger.debug('Listing scheduled jobs', options);
+
+      const jobs = await this.getAllJobs();
+
+      if (options.includePayload && jobs.length > 0) {
+        const payloads = await this.browsePayloads();
+        for (const job of jobs) {
+          const payload = payloads.get(job.jobId);
+          job.payloadPreview = payload === undefined ? null : payload.slice(0, PAYLOAD_PREVIEW_LENGTH);
+        }
+      }
+
+      logger.info('Scheduled jobs listed successfully', { jobCount: jobs.length });
+      return jobs;
+    } catch (error) {
+      logger.error('Failed to list scheduled jobs', {
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to list scheduled jobs: ${this.describeError(error)}`);
+    }
+  }
+
+  async removeJob(jobId) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      logger.info('Removing scheduled job', { jobId });
+
+      // removeJob silently ignores unknown IDs
+      const jobs = await this.getAllJobs();
+      if (!jobs.some(job => job.jobId === jobId)) {
+        throw new Error(`Scheduled job '${jobId}' does not exist`);
+      }
+
+      const schedulerMBean = await this.getSchedulerMBean();
+      await this.core.jolokia.exec(schedulerMBean, 'removeJob(java.lang.String)', jobId);
+
+      logger.info('Scheduled job removed successfully', { jobId });
+      return { jobId, removed: true };
+    } catch (error) {
+      logger.error('Failed to remove scheduled job', {
+        jobId,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to remove scheduled job: ${this.describeError(error)}`);
+    }
+  }
+
+  // Removes every job, or only the jobs whose next run falls between start
+  // and end (both 'yyyy-MM-dd HH:mm:ss' in the broker's time zone)
+  async removeJobs(start = null, end = null) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      const windowed = start !== null || end !== null;
+      if (windowed) {
+        for (const value of [start, end]) {
+          if (typeof value !== 'string' || !SCHEDULER_TIME_FORMAT.test(value)) {
+            throw new Error('start and end must both be given as yyyy-MM-dd HH:mm:ss');
+          }
+        }
+      }
+
+      logger.info('Removing scheduled jobs', { start, end });
+
+      const schedulerMBean = await this.getSchedulerMBean();
+      const jobs = windowed ? await this.getAllJobs(start, end) : await this.getAllJobs();
+
+      if (windowed) {
+        await this.core.jolokia.exec(schedulerMBean, 'removeAllJobs(java.lang.String,java.lang.String)', start, end);
+      } else {
+        await this.core.jolokia.exec(schedulerMBean, 'removeAllJobs()');
+      }
+
+      logger.info('Scheduled jobs removed successfully', { start, end, removedJobs: jobs.length });
+      return { removedJobs: jobs.length, start, end };
+    } catch (error) {
+      logger.error('Failed to remove scheduled jobs', {
+        start,
+        end,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to remove scheduled jobs: ${this.describeError(error)}`);
+    }
+  }
+
+  async getAllJobs(start = null, end = null) {
+    const schedulerMBean = await this.getSchedulerMBean();
+    const table = start !== null
+      ? await this.core.jolokia.exec(schedulerMBean, 'getAllJobs(java.lang.String,java.lang.String)', start, end)
+      : await this.core.jolokia.exec(schedulerMBean, 'getAllJobs()');
+
+    // TabularData indexed by jobId renders as { jobId: row }
+    const rows = Array.isArray(table) ? table : Object.values(table || {});
+    return rows
+      .map(row => ({
+        jobId: row.jobId,
+        cronEntry: row.cronEntry || null,
+        start: row.start,
+        next: row.next,
+        delay: row.delay || 0,
+        period: row.period || 0,
+        repeat: row.repeat || 0
+      }))
+      .sort((a, b) => String(a.next).localeCompare(String(b.next)));
+  }
+
+  // JobSchedulerView has no payload access, so ask the scheduler to replay
+  // its jobs to a temporary queue and collect them until the stream goes quiet
+  async browsePayloads() {
+    const stompClient = await this.core.getStompClient();
+    const replyTo = `/temp-queue/scheduler-browse-${randomUUID()}`;
+    const payloads = new Map();
+
+    await new Promise((resolve, reject) => {
+      let idleTimer = null;
+      let overallTimer = null;
+      let subscriptionId = null;
+
+      const finish = (error) => {
+        clearTimeout(idleTimer);
+        clearTimeout(overallTimer);
+        if (subscriptionId) {
+          stompClient.unsubscribe(subscriptionId);
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      const restartIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(finish, BROWSE_IDLE_TIMEOUT);
+      };
+
+      // Subscribe before arming any timer, so a failed subscribe leaves
+      // nothing behind to fire later
+      try {
+        subscriptionId = stompClient.subscribe(replyTo, (message) => {
+          payloads.set(message.headers.scheduledJobId, message.body);
+          restartIdleTimer();
+        });
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      overallTimer = setTimeout(finish, BROWSE_TIMEOUT);
+
+      stompClient.send(SCHEDULER_MANAGEMENT_TOPIC, '', {
+        AMQ_SCHEDULER_ACTION: 'BROWSE',
+        'reply-to': replyTo
+      }).then(() => restartIdleTimer(), finish);
+    });
+
+    return payloads;
+  }
+
+  describeError(error) {
+    if (error.errorType === 'javax.management.InstanceNotFoundException') {
+      return 'Job scheduler is not available - enable schedulerSupport on the broker';
+    }
+    return error.message;
+  }
+}
@@ -1,50 +1,87 @@
+import { BrokerErrorKind, classifyError } from '../client/broker-error.js';
+import { withoutAttributeErrors } from '../client/jolokia-client.js';
+import { fromCompositeData } from '../message/jms-message.js';
+import { toStompHeaders, validateMessageOptions } from '../message/message-options.js';
+import { applyListQuery } from '../../utils/list-query.js';
 import { logger } from '../../utils/logger.js';
 
+// Fields list_topics can filter and sort on
+const TOPIC_LIST_FIELDS = [
+  'name',
+  'consumerCount',
+  'producerCount',
+  'enqueueCount',
+  'dequeueCount',
+  'subscriptionCount',
+  'temporary'
+];
+// TopicView attributes behind the list fields
+const TOPIC_LIST_ATTRIBUTES = ['ConsumerCount', 'ProducerCount', 'EnqueueCount', 'DequeueCount', 'Subscriptions'];
+const ADVISORY_PREFIX = 'ActiveMQ.Advisory.';
+// DurableSubscriptionView attributes behind listed durable subscribers
+const SUBSCRIPTION_ATTRIBUTES = [
+  'ClientId',
+  'SubscriptionName',
+  'DestinationName',
+  'Selector',
+  'Active',
+  'PendingQueueSize',
+  'DispatchedQueueSize',
+  'DispatchedCounter',
+  'EnqueueCounter',
+  'DequeueCounter'
+];
+
 export class TopicService {
   constructor(core) {
     this.core = core;
   }
 
-  async publishMessage(topicName, message, headers = {}) {
+  async publishMessage(topicName, message, headers = {}, options = {}) {
     if (!this.core.isConnected()) {
       throw new Error('Not connected to ActiveMQ broker');
     }
 
     try {
+      validateMessageOptions(options);
+
       // Clean topic name
       const cleanTopicName = this.core.cleanDestinationName(topicName);
+      const transport = options.transport || 'rest';
       
       logger.debug('Publishing message to topic', { 
         topicName: cleanTopicName,
+        transport,
         messageLength: typeof message === 'string' ? message.length : JSON.stringify(message).length
       });
 
-      // Use proper ActiveMQ REST API format for topics
       const messageBody = typeof message === 'string' ? message : JSON.stringify(message);
-      const formData = `body=${encodeURIComponent(messageBody)}`;
-      
-      // Add any additional headers as form parameters
-      let additionalParams = '';
-      for (const [key, value] of Object.entries(headers)) {
-        additionalParams += `&${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+
+      if (transport === 'stomp') {
+        const stompClient = await this.core.getStompClient();
+        await stompClient.send(`/topic/${cleanTopicName}`, messageBody, {
+          ...headers,
+          ...toStompHeaders(options)
+        });
+
+        logger.info('Message published successfully', { topicName: cleanTopicName, transport });
+        return { success: true, transport };
       }
 
-      const response = await this.core.httpClient.post(
-        `/api/message/${cleanTopicName}?type=topic`,
-        formData + additionalParams,
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      );
+      const result = await this.core.flavor.sendMessage(this.core, {
+        destinationType: 'topic',
+        destinationName: cleanTopicName,
+        body: messageBody,
+        properties: headers,
+        options
+      });
 
       logger.info('Message published successfully', { 
         topicName: cleanTopicName,
-        status: response.status
+        ...result
       });
 
-      return { success: true, status: response.status };
+      return { success: true, ...result, transport };
     } catch (error) {
       logger.error('Failed to publish message', { 
         topicName,
@@ -56,102 +93,323 @@ export class TopicService {
   }
 
   async subscribeToTopic(topicName, options = {}) {
-    // Note: REST API doesn't support real-time subscriptions
-    // This is a polling-based simulation
-    logger.warn('Topic subscription via REST API is polling-based, not real-time');
-    
-    const messages = [];
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    const cleanTopicName = this.core.cleanDestinationName(topicName);
     const timeout = options.timeout || 10000;
     const maxMessages = options.maxMessages || 1;
-    const pollInterval = 1000; // Poll every second
-    
-    const startTime = Date.now();
-    
-    while (Date.now() - startTime < timeout && messages.length < maxMessages) {
-      try {
-        // In REST API, we can't truly subscribe, so we'll just return a placeholder
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
-        
-        if (messages.length === 0) {
-          // Simulate no messages received for now
-          // In a real implementation, you might poll a specific endpoint
-          logger.info('Topic subscription timeout (REST API limitation)', { topicName });
-          break;
-        }
-      } catch (error) {
-        logger.error('Error during topic subscription', { topicName, error: error.message });
-        break;
+
+    try {
+      logger.debug('Subscribing to topic', { topicName: cleanTopicName, timeout, maxMessages });
+
+      const stompClient = await this.core.getStompClient();
+      const messages = await stompClient.receive(`/topic/${cleanTopicName}`, {
+        timeout,
+        maxMessages,
+        selector: options.selector
+      });
+
+      logger.info('Topic subscription completed', {
+        topicName: cleanTopicName,
+        messageCount: messages.length
+      });
+
+      return messages;
+    } catch (error) {
+      logger.error('Failed to subscribe to topic', {
+        topicName,
+        error: error.message
+      });
+      throw new Error(`Failed to subscribe to topic: ${error.message}`);
+    }
+  }
+
+  async createTopic(topicName) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      const cleanTopicName = this.core.cleanDestinationName(topicName);
+
+      logger.info('Creating topic', { topicName: cleanTopicName });
+
+      const existed = await this.core.destinationExists('Topic', cleanTopicName);
+      if (!existed) {
+        const brokerMBean = await this.core.getBrokerMBean();
+        await this.core.jolokia.exec(brokerMBean, 'addTopic(java.lang.String)', cleanTopicName);
       }
+
+      logger.info('Topic created successfully', { topicName: cleanTopicName, created: !existed });
+      return { topicName: cleanTopicName, created: !existed };
+    } catch (error) {
+      logger.error('Failed to create topic', {
+        topicName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to create topic: ${error.message}`);
     }
-    
-    return messages;
   }
 
-  async listTopics() {
+  async deleteTopic(topicName) {
     if (!this.core.isConnected()) {
       throw new Error('Not connected to ActiveMQ broker');
     }
 
     try {
-      logger.debug('Listing topics');
+      const cleanTopicName = this.core.cleanDestinationName(topicName);
 
-      // Try multiple approaches to get topic list
-      let response;
-      let data = {};
-      
-      try {
-        // First try with wildcard broker name
-        response = await this.core.httpClient.get('/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=*,destinationType=Topic,destinationName=*');
-        data = response.data?.value || {};
-      } catch (error) {
-        logger.debug('Wildcard broker query failed, trying specific broker name');
-        
-        // Fall back to localhost broker name
-        try {
-          response = await this.core.httpClient.get('/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=localhost,destinationType=Topic,destinationName=*');
-          data = response.data?.value || {};
-        } catch (error2) {
-          // Try to get broker name first, then query topics
-          const brokerResponse = await this.core.httpClient.get('/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=*');
-          const brokerData = brokerResponse.data?.value || {};
-          
-          // Extract broker name from response
-          let brokerName = 'localhost';
-          for (const key of Object.keys(brokerData)) {
-            if (key.includes('brokerName=')) {
-              brokerName = key.split('brokerName=')[1].split(',')[0];
-              break;
-            }
-          }
-          
-          // Query with discovered broker name
-          response = await this.core.httpClient.get(`/api/jolokia/read/org.apache.activemq:type=Broker,brokerName=${brokerName},destinationType=Topic,destinationName=*`);
-          data = response.data?.value || {};
-        }
+      logger.info('Deleting topic', { topicName: cleanTopicName });
+
+      if (!await this.core.destinationExists('Topic', cleanTopicName)) {
+        throw new Error(`Topic '${cleanTopicName}' does not exist`);
       }
 
-      const topics = [];
-
-      // Parse topic data from Jolokia response
-      if (typeof data === 'object' && data !== null) {
-        for (const [key, value] of Object.entries(data)) {
-          if (key.includes('destinationName=') && !key.includes('ActiveMQ.Advisory')) {
-            const topicName = key.split('destinationName=')[1].split(',')[0];
-            if (topicName && typeof value === 'object' && value !== null) {
-              topics.push({
-                name: topicName,
-                consumerCount: value.ConsumerCount || 0,
-                enqueueCount: value.EnqueueCount || 0,
-                dequeueCount: value.DequeueCount || 0,
-                subscriptionCount: value.SubscriptionCount || 0
-              });
-            }
+      const brokerMBean = await this.core.getBrokerMBean();
+      await this.core.jolokia.exec(brokerMBean, 'removeTopic(java.lang.String)', cleanTopicName);
+
+      logger.info('Topic deleted successfully', { topicName: cleanTopicName });
+      return { topicName: cleanTopicName, deleted: true };
+    } catch (error) {
+      logger.error('Failed to delete topic', {
+        topicName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to delete topic: ${error.message}`);
+    }
+  }
+
+  // Lists active and inactive durable subscribers from the Broker MBean
+  // subscriber attributes, optionally for a single topic
+  async listDurableSubscribers(topicName = null) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      const cleanTopicName = topicName ? this.core.cleanDestinationName(topicName) : null;
+
+      logger.debug('Listing durable subscribers', { topicName: cleanTopicName });
+
+      const brokerMBean = await this.core.getBrokerMBean();
+      const attributes = await this.core.jolokia.read(brokerMBean, [
+        'DurableTopicSubscribers',
+        'InactiveDurableTopicSubscribers'
+      ]);
+
+      const subscriptionMBeans = [
+        ...(attributes.DurableTopicSubscribers || []),
+        ...(attributes.InactiveDurableTopicSubscribers || [])
+      ].map(objectName => objectName.objectName || objectName);
+
+      // All subscriptions are read in one round trip; one removed in the
+      // meantime is left out
+      const views = await this.core.jolokia.bulk(subscriptionMBeans.map(mbean => ({
+        type: 'read',
+        mbean,
+        attribute: SUBSCRIPTION_ATTRIBUTES,
+        config: { ignoreErrors: true }
+      })));
+
+      const subscribers = [];
+      for (const [index, subscriptionMBean] of subscriptionMBeans.entries()) {
+        if (views[index] instanceof Error) {
+          if (classifyError(views[index]) !== BrokerErrorKind.NOT_FOUND) {
+            throw views[index];
           }
+          logger.debug('Skipping removed durable subscription', { mbean: subscriptionMBean });
+          continue;
         }
+        const view = withoutAttributeErrors(views[index]);
+        if (cleanTopicName && view.DestinationName !== cleanTopicName) {
+          continue;
+        }
+
+        subscribers.push({
+          clientId: view.ClientId,
+          subscriptionName: view.SubscriptionName,
+          topicName: view.DestinationName,
+          selector: view.Selector || null,
+          active: view.Active === true,
+          pendingQueueSize: view.PendingQueueSize || 0,
+          dispatchedQueueSize: view.DispatchedQueueSize || 0,
+          dispatchedCounter: view.DispatchedCounter || 0,
+          enqueueCounter: view.EnqueueCounter || 0,
+          dequeueCounter: view.DequeueCounter || 0,
+          mbean: subscriptionMBean
+        });
       }
 
-      logger.info('Topics listed successfully', { topicCount: topics.length });
-      return topics;
+      logger.info('Durable subscribers listed successfully', {
+        topicName: cleanTopicName,
+        subscriberCount: subscribers.length
+      });
+
+      return subscribers;
+    } catch (error) {
+      logger.error('Failed to list durable subscribers', {
+        topicName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to list durable subscribers: ${error.message}`);
+    }
+  }
+
+  async createDurableSubscriber(topicName, clientId, subscriptionName, selector = null) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      const cleanTopicName = this.core.cleanDestinationName(topicName);
+
+      logger.info('Creating durable subscriber', {
+        topicName: cleanTopicName,
+        clientId,
+        subscriptionName,
+        selector
+      });
+
+      const brokerMBean = await this.core.getBrokerMBean();
+      await this.core.jolokia.exec(
+        brokerMBean,
+        'createDurableSubscriber(java.lang.String,java.lang.String,java.lang.String,java.lang.String)',
+        clientId,
+        subscriptionName,
+        cleanTopicName,
+        selector
+      );
+
+      logger.info('Durable subscriber created successfully', { topicName: cleanTopicName, clientId, subscriptionName });
+      return { topicName: cleanTopicName, clientId, subscriptionName, selector };
+    } catch (error) {
+      logger.error('Failed to create durable subscriber', {
+        topicName,
+        clientId,
+        subscriptionName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to create durable subscriber: ${error.message}`);
+    }
+  }
+
+  // The broker refuses to destroy a subscription while a consumer is attached
+  async destroyDurableSubscriber(clientId, subscriptionName) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      logger.info('Destroying durable subscriber', { clientId, subscriptionName });
+
+      const subscriber = await this.findDurableSubscriber(clientId, subscriptionName);
+      const brokerMBean = await this.core.getBrokerMBean();
+      await this.core.jolokia.exec(
+        brokerMBean,
+        'destroyDurableSubscriber(java.lang.String,java.lang.String)',
+        clientId,
+        subscriptionName
+      );
+
+      logger.info('Durable subscriber destroyed successfully', { clientId, subscriptionName });
+      return {
+        clientId,
+        subscriptionName,
+        topicName: subscriber.topicName,
+        discardedMessages: subscriber.pendingQueueSize
+      };
+    } catch (error) {
+      logger.error('Failed to destroy durable subscriber', {
+        clientId,
+        subscriptionName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to destroy durable subscriber: ${error.message}`);
+    }
+  }
+
+  async browseDurableSubscription(clientId, subscriptionName, limit = 10) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      logger.debug('Browsing durable subscription', { clientId, subscriptionName, limit });
+
+      const subscriber = await this.findDurableSubscriber(clientId, subscriptionName);
+      const browsed = await this.core.jolokia.exec(subscriber.mbean, 'browse()');
+      const messages = (browsed || []).slice(0, limit).map(fromCompositeData);
+
+      logger.info('Durable subscription browsed successfully', {
+        clientId,
+        subscriptionName,
+        messageCount: messages.length
+      });
+
+      return messages;
+    } catch (error) {
+      logger.error('Failed to browse durable subscription', {
+        clientId,
+        subscriptionName,
+        error: error.message,
+        status: error.response?.status
+      });
+      throw new Error(`Failed to browse durable subscription: ${error.message}`);
+    }
+  }
+
+  async findDurableSubscriber(clientId, subscriptionName) {
+    const subscribers = await this.listDurableSubscribers();
+    const subscriber = subscribers.find(s => s.clientId === clientId && s.subscriptionName === subscriptionName);
+    if (!subscriber) {
+      throw new Error(`Durable subscription '${subscriptionName}' for client '${clientId}' does not exist`);
+    }
+    return subscriber;
+  }
+
+  // Takes the same options as QueueService.listQueues
+  async listTopics(options = {}) {
+    if (!this.core.isConnected()) {
+      throw new Error('Not connected to ActiveMQ broker');
+    }
+
+    try {
+      logger.debug('Listing topics', options);
+
+      const destinationTypes = options.includeTemp ? ['Topic', 'TempTopic'] : ['Topic'];
+      const destinations = await this.core.readDestinations(destinationTypes, TOPIC_LIST_ATTRIBUTES, options.windowSeconds);
+
+      const topics = destinations
+        .filter(({ name }) => options.includeAdvisory || !name.startsWith(ADVISORY_PREFIX))
+        .map(({ name, destinationType, view, sample }) => {
+          const topic = {
+            name,
+            consumerCount: view.ConsumerCount || 0,
+            producerCount: view.ProducerCount || 0,
+            enqueueCount: view.EnqueueCount || 0,
+            dequeueCount: view.DequeueCount || 0,
+            subscriptionCount: view.Subscriptions?.length || 0,
+            temporary: destinationType === 'TempTopic'
+          };
+          if (sample) {
+            topic.enqueueDelta = topic.enqueueCount - (sample.EnqueueCount || 0);
+            topic.dequeueDelta = topic.dequeueCount - (sample.DequeueCount || 0);
+          }
+          return topic;
+        });
+
+      const fields = options.windowSeconds ? [...TOPIC_LIST_FIELDS, 'enqueueDelta', 'dequeueDelta'] : TOPIC_LIST_FIELDS;
+      const matched = applyListQuery(topics, options, fields);
+
+      logger.info('Topics listed successfully', { topicCount: matched.length });
+      return matched;
     } catch (error) {
       logger.error('Failed to list topics', { 
         error: error.message,
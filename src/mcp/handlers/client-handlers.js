@@ -0,0 +1,174 @@
+import { logger } from '../../utils/logger.js'
+
+export class ClientHandlers {
+  constructor(connectionManager) {
+    this.connectionManager = connectionManager
+  }
+
+  async handleListConsumers(args) {
+    try {
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const consumers = await client.listConsumers({
+        destinationType: args.destinationType,
+        destinationName: args.destinationName,
+        includeAdvisory: args.includeAdvisory === true
+      })
+      logger.info(`Listed ${consumers.length} consumers for connection '${args.connectionId}'`)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              consumers,
+              count: consumers.length,
+              slowConsumers: consumers.filter(consumer => consumer.slowConsumer).length,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to list consumers: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleListProducers(args) {
+    try {
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const producers = await client.listProducers({
+        destinationType: args.destinationType,
+        destinationName: args.destinationName,
+        includeAdvisory: args.includeAdvisory === true
+      })
+      logger.info(`Listed ${producers.length} producers for connection '${args.connectionId}'`)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              producers,
+              count: producers.length,
+              blockedProducers: producers.filter(producer => producer.blocked).length,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to list producers: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleListClientConnections(args) {
+    try {
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const connections = await client.listClientConnections()
+      logger.info(`Listed ${connections.length} client connections for connection '${args.connectionId}'`)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              connections,
+              count: connections.length,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to list client connections: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleStopClientConnection(args) {
+    try {
+      if (!args.confirm) {
+        throw new Error('Confirmation required - set confirm to true to proceed with stopping the client connection')
+      }
+
+      logger.info(`Stopping client connection '${args.clientConnectionId}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.stopClientConnection(args.clientConnectionId)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to stop client connection: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              clientConnectionId: args.clientConnectionId
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+}
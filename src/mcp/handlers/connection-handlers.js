@@ -1,6 +1,27 @@
 import { logger } from '../../utils/logger.js'
 import { configManager } from '../../utils/config.js'
 
+// TLS settings shared by manual, config-file and test connections
+function tlsConfig(source) {
+  return {
+    ssl: source.ssl || false,
+    stompSsl: source.stompSsl || false,
+    caFile: source.caFile,
+    certFile: source.certFile,
+    keyFile: source.keyFile,
+    keyPassphrase: source.keyPassphrase,
+    insecureSkipVerify: source.insecureSkipVerify || false
+  }
+}
+
+function maskSecrets(config) {
+  return {
+    ...config,
+    password: config.password ? '***' : '',
+    keyPassphrase: config.keyPassphrase ? '***' : undefined
+  }
+}
+
 export class ConnectionHandlers {
   constructor(connectionManager) {
     this.connectionManager = connectionManager
@@ -48,10 +69,12 @@ export class ConnectionHandlers {
       const config = {
         host: args.host || 'localhost',
         port: args.port || 61613,
+        stompPort: args.stompPort || 61613,
         username: args.username || '',
         password: args.password || '',
-        maxReconnectAttempts: args.maxReconnectAttempts || 5,
-        reconnectDelay: args.reconnectDelay || 5000
+        ...tlsConfig(args),
+        maxReconnectAttempts: args.maxReconnectAttempts ?? 5,
+        reconnectDelay: args.reconnectDelay ?? 5000
       }
 
       await this.connectionManager.addConnection(args.connectionId, config)
@@ -64,7 +87,7 @@ export class ConnectionHandlers {
             text: JSON.stringify({
               success: true,
               connectionId: args.connectionId,
-              config: { ...config, password: config.password ? '***' : '' },
+              config: maskSecrets(config),
               message: `Connection '${args.connectionId}' added successfully`
             }, null, 2)
           }
@@ -132,7 +155,8 @@ export class ConnectionHandlers {
         host: args.host || 'localhost',
         port: args.port || 61613,
         username: args.username || '',
-        password: args.password || ''
+        password: args.password || '',
+        ...tlsConfig(args)
       }
 
       const result = await this.connectionManager.testConnection(config)
@@ -249,9 +273,10 @@ export class ConnectionHandlers {
       const connectionConfig = {
         host: config.host,
         port: config.port || 61613,
+        stompPort: config.stompPort || 61613,
         username: config.username || '',
         password: config.password || '',
-        ssl: config.ssl || false
+        ...tlsConfig(config)
       }
       
       await this.connectionManager.addConnection(connectionId, connectionConfig)
@@ -265,7 +290,7 @@ export class ConnectionHandlers {
               success: true,
               connectionId: connectionId,
               configUsed: configName,
-              config: { ...connectionConfig, password: connectionConfig.password ? '***' : '' },
+              config: maskSecrets(connectionConfig),
               message: `Successfully connected to ActiveMQ broker as '${connectionId}' using config '${configName}'`
             }, null, 2)
           }
@@ -314,8 +339,13 @@ export class ConnectionHandlers {
         configs[name] = {
           host: config.host,
           port: config.port || 61613,
+          stompPort: config.stompPort || 61613,
           username: config.username || '',
           ssl: config.ssl || false,
+          stompSsl: config.stompSsl || false,
+          caFile: config.caFile,
+          certFile: config.certFile,
+          insecureSkipVerify: config.insecureSkipVerify || false,
           hasPassword: !!config.password
         }
       }
@@ -0,0 +1,139 @@
+import { logger } from '../../utils/logger.js'
+
+export class DlqHandlers {
+  constructor(connectionManager) {
+    this.connectionManager = connectionManager
+  }
+
+  async handleListDeadLetterQueues(args) {
+    try {
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const queues = await client.listDeadLetterQueues()
+      logger.info(`Listed ${queues.length} dead-letter queues for connection '${args.connectionId}'`)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              queues,
+              count: queues.length,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to list dead-letter queues: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleListDlqMessages(args) {
+    const queueName = args.queueName || 'ActiveMQ.DLQ'
+
+    try {
+      logger.info(`Listing dead-lettered messages in '${queueName}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.listDeadLetterMessages(queueName, {
+        limit: args.limit,
+        selector: args.selector,
+        includeMessages: args.includeMessages === true
+      })
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              ...result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to list dead-lettered messages: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleRetryDlqMessages(args) {
+    const queueName = args.queueName || 'ActiveMQ.DLQ'
+
+    try {
+      if (!args.messageId && !args.selector && !args.confirm) {
+        throw new Error('Confirmation required - set confirm to true to retry every message in the dead-letter queue')
+      }
+
+      logger.info(`Retrying dead-lettered messages in '${queueName}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.retryDeadLetterMessages(queueName, {
+        messageId: args.messageId,
+        selector: args.selector
+      })
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              queueName,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to retry dead-lettered messages: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+}
@@ -4,6 +4,9 @@ import { ConnectionHandlers } from './connection-handlers.js'
 import { QueueHandlers } from './queue-handlers.js'
 import { TopicHandlers } from './topic-handlers.js'
 import { BrokerHandlers } from './broker-handlers.js'
+import { DlqHandlers } from './dlq-handlers.js'
+import { SchedulerHandlers } from './scheduler-handlers.js'
+import { ClientHandlers } from './client-handlers.js'
 
 export class ToolHandlers {
   constructor() {
@@ -14,6 +17,9 @@ export class ToolHandlers {
     this.queueHandlers = new QueueHandlers(this.connectionManager)
     this.topicHandlers = new TopicHandlers(this.connectionManager)
     this.brokerHandlers = new BrokerHandlers(this.connectionManager)
+    this.dlqHandlers = new DlqHandlers(this.connectionManager)
+    this.schedulerHandlers = new SchedulerHandlers(this.connectionManager)
+    this.clientHandlers = new ClientHandlers(this.connectionManager)
   }
 
   async handleTool(name, args) {
@@ -44,12 +50,62 @@ export class ToolHandlers {
           return await this.queueHandlers.handleQueueInfo(args)
         case 'send_message':
           return await this.queueHandlers.handleSendMessage(args)
+        case 'send_messages_batch':
+          return await this.queueHandlers.handleSendMessagesBatch(args)
+        case 'request_reply':
+          return await this.queueHandlers.handleRequestReply(args)
         case 'consume_message':
           return await this.queueHandlers.handleConsumeMessage(args)
         case 'browse_messages':
           return await this.queueHandlers.handleBrowseMessages(args)
         case 'purge_queue':
           return await this.queueHandlers.handlePurgeQueue(args)
+        case 'remove_messages':
+          return await this.queueHandlers.handleRemoveMessages(args)
+        case 'export_queue':
+          return await this.queueHandlers.handleExportQueue(args)
+        case 'replay_messages':
+          return await this.queueHandlers.handleReplayMessages(args)
+        case 'migrate_messages':
+          return await this.queueHandlers.handleMigrateMessages(args)
+        case 'create_queue':
+          return await this.queueHandlers.handleCreateQueue(args)
+        case 'delete_queue':
+          return await this.queueHandlers.handleDeleteQueue(args)
+        case 'pause_queue':
+          return await this.queueHandlers.handlePauseQueue(args)
+        case 'resume_queue':
+          return await this.queueHandlers.handleResumeQueue(args)
+        case 'move_messages':
+          return await this.queueHandlers.handleMoveMessages(args)
+        case 'copy_messages':
+          return await this.queueHandlers.handleCopyMessages(args)
+
+        // Dead-Letter Queue Tools
+        case 'list_dead_letter_queues':
+          return await this.dlqHandlers.handleListDeadLetterQueues(args)
+        case 'list_dlq_messages':
+          return await this.dlqHandlers.handleListDlqMessages(args)
+        case 'retry_dlq_messages':
+          return await this.dlqHandlers.handleRetryDlqMessages(args)
+
+        // Scheduled Message Tools
+        case 'list_scheduled_jobs':
+          return await this.schedulerHandlers.handleListScheduledJobs(args)
+        case 'remove_scheduled_job':
+          return await this.schedulerHandlers.handleRemoveScheduledJob(args)
+        case 'remove_scheduled_jobs':
+          return await this.schedulerHandlers.handleRemoveScheduledJobs(args)
+
+        // Client Tools
+        case 'list_consumers':
+          return await this.clientHandlers.handleListConsumers(args)
+        case 'list_producers':
+          return await this.clientHandlers.handleListProducers(args)
+        case 'list_client_connections':
+          return await this.clientHandlers.handleListClientConnections(args)
+        case 'stop_client_connection':
+          return await this.clientHandlers.handleStopClientConnection(args)
 
         // Topic Management Tools
         case 'list_topics':
@@ -58,6 +114,18 @@ export class ToolHandlers {
           return await this.topicHandlers.handlePublishMessage(args)
         case 'subscribe_topic':
           return await this.topicHandlers.handleSubscribeTopic(args)
+        case 'list_durable_subscribers':
+          return await this.topicHandlers.handleListDurableSubscribers(args)
+        case 'create_durable_subscriber':
+          return await this.topicHandlers.handleCreateDurableSubscriber(args)
+        case 'destroy_durable_subscriber':
+          return await this.topicHandlers.handleDestroyDurableSubscriber(args)
+        case 'browse_durable_subscription':
+          return await this.topicHandlers.handleBrowseDurableSubscription(args)
+        case 'create_topic':
+          return await this.topicHandlers.handleCreateTopic(args)
+        case 'delete_topic':
+          return await this.topicHandlers.handleDeleteTopic(args)
 
         // Broker Management Tools
         case 'broker_info':
@@ -1,3 +1,6 @@
+import { pickMessageOptions } from '../../core/message/message-options.js'
+import { expandMessageTemplate } from '../../core/message/message-template.js'
+import { paginate, pickListOptions } from '../../utils/list-query.js'
 import { logger } from '../../utils/logger.js'
 
 export class QueueHandlers {
@@ -7,8 +10,9 @@ export class QueueHandlers {
 
   async handleListQueues(args) {
     try {
-      const queues = await this.connectionManager.listQueues(args.connectionId)
-      logger.info(`Listed ${queues.length} queues for connection '${args.connectionId}'`)
+      const matched = await this.connectionManager.listQueues(args.connectionId, pickListOptions(args))
+      const page = paginate(matched, { limit: args.limit, offset: args.offset })
+      logger.info(`Listed ${page.items.length} of ${page.total} queues for connection '${args.connectionId}'`)
       
       return {
         content: [
@@ -17,8 +21,10 @@ export class QueueHandlers {
             text: JSON.stringify({
               success: true,
               connectionId: args.connectionId,
-              queues,
-              count: queues.length,
+              queues: page.items,
+              count: page.items.length,
+              total: page.total,
+              offset: page.offset,
               timestamp: new Date().toISOString()
             }, null, 2)
           }
@@ -44,7 +50,7 @@ export class QueueHandlers {
 
   async handleQueueInfo(args) {
     try {
-      const info = await this.connectionManager.getQueueInfo(args.connectionId, args.queueName)
+      const info = await this.connectionManager.getQueueInfo(args.connectionId, args.queueName, { fields: args.fields })
       logger.info(`Retrieved info for queue '${args.queueName}' on connection '${args.connectionId}'`)
       
       return {
@@ -70,6 +76,8 @@ export class QueueHandlers {
             text: JSON.stringify({
               success: false,
               error: error.message,
+              errorKind: error.kind,
+              suggestions: error.suggestions,
               connectionId: args.connectionId,
               queueName: args.queueName
             }, null, 2)
@@ -85,7 +93,7 @@ export class QueueHandlers {
       logger.info(`Sending message to '${args.destination}' on connection '${args.connectionId}'`)
       
       const client = this.connectionManager.getConnection(args.connectionId)
-      await client.sendMessage(args.destination, args.message, args.headers || {})
+      const result = await client.sendMessage(args.destination, args.message, args.headers || {}, pickMessageOptions(args))
       
       return {
         content: [
@@ -95,6 +103,7 @@ export class QueueHandlers {
               success: true,
               connectionId: args.connectionId,
               destination: args.destination,
+              transport: result.transport,
               message: typeof args.message === 'string' ? args.message.substring(0, 100) + (args.message.length > 100 ? '...' : '') : args.message,
               timestamp: new Date().toISOString()
             }, null, 2)
@@ -120,13 +129,115 @@ export class QueueHandlers {
     }
   }
 
+  async handleSendMessagesBatch(args) {
+    try {
+      if (args.messages && args.template !== undefined) {
+        throw new Error('Provide either messages or count with template, not both')
+      }
+      if (!args.messages && args.template === undefined) {
+        throw new Error('Either messages or count with template is required')
+      }
+
+      const sharedHeaders = args.headers || {}
+      const messages = args.messages
+        // Malformed entries are passed through and reported as failed sends
+        ? args.messages.map(entry => entry && typeof entry === 'object'
+          ? {
+            message: entry.message,
+            headers: { ...sharedHeaders, ...(entry.headers || {}) },
+            ...pickMessageOptions(entry)
+          }
+          : entry)
+        : expandMessageTemplate(args.template, args.count, sharedHeaders)
+
+      logger.info(`Sending batch of ${messages.length} messages to '${args.destination}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.sendMessagesBatch(args.destination, messages, pickMessageOptions(args), args.concurrency ?? 5)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: result.failed === 0,
+              connectionId: args.connectionId,
+              destination: args.destination,
+              ...result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to send message batch: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              destination: args.destination
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleRequestReply(args) {
+    try {
+      logger.info(`Sending request to queue '${args.queueName}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.requestReply(args.queueName, args.message, args.headers || {}, {
+        ...pickMessageOptions(args),
+        timeout: args.timeout
+      })
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              queueName: args.queueName,
+              ...result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed request-reply: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName: args.queueName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
   async handleConsumeMessage(args) {
     try {
       logger.info(`Consuming message from queue '${args.queueName}' on connection '${args.connectionId}'`)
       
       const client = this.connectionManager.getConnection(args.connectionId)
       const message = await client.receiveMessage(
-        `/queue/${args.queueName}`, 
+        args.queueName,
         args.timeout || 5000,
         args.autoAck !== false
       )
@@ -169,7 +280,7 @@ export class QueueHandlers {
       logger.info(`Browsing messages in queue '${args.queueName}' on connection '${args.connectionId}'`)
       
       const client = this.connectionManager.getConnection(args.connectionId)
-      const messages = await client.browseMessages(`/queue/${args.queueName}`, args.limit || 10)
+      const messages = await client.browseMessages(args.queueName, args.limit || 10, args.selector)
       
       return {
         content: [
@@ -248,4 +359,459 @@ export class QueueHandlers {
       }
     }
   }
+
+  async handleRemoveMessages(args) {
+    try {
+      if (!args.dryRun && !args.confirm) {
+        throw new Error('Confirmation required - set confirm to true to remove messages, or use dryRun to count them first')
+      }
+
+      logger.info(`Removing messages from queue '${args.queueName}' on connection '${args.connectionId}'${args.dryRun ? ' (dry run)' : ''}`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.removeMessages(args.queueName, {
+        messageId: args.messageId,
+        selector: args.selector,
+        maxMessages: args.maxMessages,
+        dryRun: args.dryRun === true
+      })
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              queueName: args.queueName,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to remove messages: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName: args.queueName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleExportQueue(args) {
+    try {
+      const mode = args.mode || 'browse'
+      if (mode === 'drain' && !args.confirm) {
+        throw new Error('Confirmation required - set confirm to true to drain messages from the queue while exporting')
+      }
+
+      logger.info(`Exporting queue '${args.queueName}' to '${args.filePath}' (${mode}) on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.exportQueue(args.queueName, args.filePath, {
+        mode,
+        selector: args.selector,
+        maxMessages: args.maxMessages,
+        idleTimeout: args.idleTimeout,
+        overwrite: args.overwrite === true
+      })
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to export queue: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName: args.queueName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleReplayMessages(args) {
+    try {
+      logger.info(`Replaying '${args.filePath}' into '${args.destination}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.replayMessages(args.filePath, args.destination, {
+        rateLimit: args.rateLimit,
+        maxMessages: args.maxMessages,
+        setProperties: args.setProperties,
+        removeProperties: args.removeProperties,
+        transport: args.transport
+      })
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: result.failedMessages === 0,
+              connectionId: args.connectionId,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to replay messages: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              destination: args.destination
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleMigrateMessages(args) {
+    try {
+      const mode = args.mode || 'copy'
+      if (mode === 'move' && !args.confirm) {
+        throw new Error('Confirmation required - set confirm to true to move messages off the source queue')
+      }
+
+      logger.info(`Migrating messages (${mode}) from '${args.sourceConnectionId}:${args.sourceQueue}' to '${args.targetConnectionId}:${args.targetDestination}'`)
+
+      const report = await this.connectionManager.migrateMessages(
+        args.sourceConnectionId,
+        args.sourceQueue,
+        args.targetConnectionId,
+        args.targetDestination,
+        {
+          mode,
+          selector: args.selector,
+          maxMessages: args.maxMessages,
+          rateLimit: args.rateLimit,
+          idleTimeout: args.idleTimeout,
+          transport: args.transport
+        }
+      )
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: report.failedMessages === 0,
+              report,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to migrate messages: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              sourceConnectionId: args.sourceConnectionId,
+              targetConnectionId: args.targetConnectionId
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleCreateQueue(args) {
+    try {
+      logger.info(`Creating queue '${args.queueName}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.createQueue(args.queueName)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              queueName: result.queueName,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to create queue: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName: args.queueName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleDeleteQueue(args) {
+    try {
+      if (!args.confirm) {
+        throw new Error('Confirmation required - set confirm to true to proceed with queue deletion')
+      }
+
+      logger.info(`Deleting queue '${args.queueName}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.deleteQueue(args.queueName)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              queueName: result.queueName,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to delete queue: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName: args.queueName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handlePauseQueue(args) {
+    try {
+      logger.info(`Pausing queue '${args.queueName}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.pauseQueue(args.queueName)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              queueName: result.queueName,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to pause queue: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName: args.queueName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleResumeQueue(args) {
+    try {
+      logger.info(`Resuming queue '${args.queueName}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.resumeQueue(args.queueName)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              queueName: result.queueName,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to resume queue: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName: args.queueName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleMoveMessages(args) {
+    try {
+      logger.info(`Moving messages from queue '${args.queueName}' to '${args.targetQueue}' on connection '${args.connectionId}'`)
+      
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.moveMessages(args.queueName, args.targetQueue, {
+        messageId: args.messageId,
+        selector: args.selector,
+        maxMessages: args.maxMessages
+      })
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              queueName: args.queueName,
+              targetQueue: args.targetQueue,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to move messages: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName: args.queueName,
+              targetQueue: args.targetQueue
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleCopyMessages(args) {
+    try {
+      logger.info(`Copying messages from queue '${args.queueName}' to '${args.targetQueue}' on connection '${args.connectionId}'`)
+      
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.copyMessages(args.queueName, args.targetQueue, {
+        messageId: args.messageId,
+        selector: args.selector,
+        maxMessages: args.maxMessages
+      })
+      
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              queueName: args.queueName,
+              targetQueue: args.targetQueue,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to copy messages: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              queueName: args.queueName,
+              targetQueue: args.targetQueue
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
 }
\ No newline at end of file
@@ -0,0 +1,127 @@
+import { logger } from '../../utils/logger.js'
+
+export class SchedulerHandlers {
+  constructor(connectionManager) {
+    this.connectionManager = connectionManager
+  }
+
+  async handleListScheduledJobs(args) {
+    try {
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const jobs = await client.listScheduledJobs({ includePayload: args.includePayload === true })
+      logger.info(`Listed ${jobs.length} scheduled jobs for connection '${args.connectionId}'`)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              jobs,
+              count: jobs.length,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to list scheduled jobs: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleRemoveScheduledJob(args) {
+    try {
+      logger.info(`Removing scheduled job '${args.jobId}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.removeScheduledJob(args.jobId)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to remove scheduled job: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              jobId: args.jobId
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleRemoveScheduledJobs(args) {
+    try {
+      if (!args.confirm) {
+        throw new Error('Confirmation required - set confirm to true to proceed with removing scheduled jobs')
+      }
+
+      const window = args.start || args.end ? ` between '${args.start}' and '${args.end}'` : ''
+      logger.info(`Removing scheduled jobs${window} on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.removeScheduledJobs(args.start || null, args.end || null)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to remove scheduled jobs: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+}
\ No newline at end of file
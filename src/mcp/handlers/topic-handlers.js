@@ -1,3 +1,5 @@
+import { pickMessageOptions } from '../../core/message/message-options.js'
+import { paginate, pickListOptions } from '../../utils/list-query.js'
 import { logger } from '../../utils/logger.js'
 
 export class TopicHandlers {
@@ -7,8 +9,9 @@ export class TopicHandlers {
 
   async handleListTopics(args) {
     try {
-      const topics = await this.connectionManager.listTopics(args.connectionId)
-      logger.info(`Listed ${topics.length} topics for connection '${args.connectionId}'`)
+      const matched = await this.connectionManager.listTopics(args.connectionId, pickListOptions(args))
+      const page = paginate(matched, { limit: args.limit, offset: args.offset })
+      logger.info(`Listed ${page.items.length} of ${page.total} topics for connection '${args.connectionId}'`)
       
       return {
         content: [
@@ -17,8 +20,10 @@ export class TopicHandlers {
             text: JSON.stringify({
               success: true,
               connectionId: args.connectionId,
-              topics,
-              count: topics.length,
+              topics: page.items,
+              count: page.items.length,
+              total: page.total,
+              offset: page.offset,
               timestamp: new Date().toISOString()
             }, null, 2)
           }
@@ -47,7 +52,7 @@ export class TopicHandlers {
       logger.info(`Publishing message to topic '${args.topicName}' on connection '${args.connectionId}'`)
       
       const client = this.connectionManager.getConnection(args.connectionId)
-      await client.publishMessage(args.topicName, args.message, args.headers || {})
+      const result = await client.publishMessage(args.topicName, args.message, args.headers || {}, pickMessageOptions(args))
       
       return {
         content: [
@@ -57,6 +62,7 @@ export class TopicHandlers {
               success: true,
               connectionId: args.connectionId,
               topicName: args.topicName,
+              transport: result.transport,
               message: typeof args.message === 'string' ? args.message.substring(0, 100) + (args.message.length > 100 ? '...' : '') : args.message,
               timestamp: new Date().toISOString()
             }, null, 2)
@@ -91,7 +97,8 @@ export class TopicHandlers {
         args.topicName,
         {
           timeout: args.timeout || 10000,
-          maxMessages: args.maxMessages || 1
+          maxMessages: args.maxMessages || 1,
+          selector: args.selector
         }
       )
       
@@ -128,4 +135,258 @@ export class TopicHandlers {
       }
     }
   }
+
+  async handleListDurableSubscribers(args) {
+    try {
+      logger.info(`Listing durable subscribers${args.topicName ? ` of topic '${args.topicName}'` : ''} on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const allSubscribers = await client.listDurableSubscribers(args.topicName)
+      const subscribers = allSubscribers.filter(subscriber =>
+        !args.state || args.state === 'all' || subscriber.active === (args.state === 'active'))
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              subscribers,
+              count: subscribers.length,
+              inactiveCount: subscribers.filter(subscriber => !subscriber.active).length,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to list durable subscribers: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleCreateDurableSubscriber(args) {
+    try {
+      logger.info(`Creating durable subscriber '${args.subscriptionName}' for client '${args.clientId}' on topic '${args.topicName}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.createDurableSubscriber(args.topicName, args.clientId, args.subscriptionName, args.selector || null)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to create durable subscriber: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              topicName: args.topicName,
+              clientId: args.clientId,
+              subscriptionName: args.subscriptionName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleDestroyDurableSubscriber(args) {
+    try {
+      if (!args.confirm) {
+        throw new Error('Confirmation required - set confirm to true to destroy the durable subscription and its pending messages')
+      }
+
+      logger.info(`Destroying durable subscriber '${args.subscriptionName}' for client '${args.clientId}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.destroyDurableSubscriber(args.clientId, args.subscriptionName)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to destroy durable subscriber: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              clientId: args.clientId,
+              subscriptionName: args.subscriptionName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleBrowseDurableSubscription(args) {
+    try {
+      logger.info(`Browsing durable subscription '${args.subscriptionName}' for client '${args.clientId}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const messages = await client.browseDurableSubscription(args.clientId, args.subscriptionName, args.limit || 10)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              clientId: args.clientId,
+              subscriptionName: args.subscriptionName,
+              messages,
+              count: messages.length,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to browse durable subscription: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              clientId: args.clientId,
+              subscriptionName: args.subscriptionName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleCreateTopic(args) {
+    try {
+      logger.info(`Creating topic '${args.topicName}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.createTopic(args.topicName)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              topicName: result.topicName,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to create topic: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              topicName: args.topicName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
+
+  async handleDeleteTopic(args) {
+    try {
+      if (!args.confirm) {
+        throw new Error('Confirmation required - set confirm to true to proceed with topic deletion')
+      }
+
+      logger.info(`Deleting topic '${args.topicName}' on connection '${args.connectionId}'`)
+
+      const client = this.connectionManager.getConnection(args.connectionId)
+      const result = await client.deleteTopic(args.topicName)
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: true,
+              connectionId: args.connectionId,
+              topicName: result.topicName,
+              result,
+              timestamp: new Date().toISOString()
+            }, null, 2)
+          }
+        ]
+      }
+    } catch (error) {
+      logger.error(`Failed to delete topic: ${error.message}`)
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              connectionId: args.connectionId,
+              topicName: args.topicName
+            }, null, 2)
+          }
+        ],
+        isError: true
+      }
+    }
+  }
 }
\ No newline at end of file
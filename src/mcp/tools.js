@@ -1,3 +1,112 @@
+// Filtering, sorting and paging shared by list_queues and list_topics
+const LIST_QUERY_PROPERTIES = {
+  name: {
+    type: "string",
+    description: "Only destinations whose name matches this glob, e.g. 'orders.*' (case-insensitive)"
+  },
+  nameRegex: {
+    type: "string",
+    description: "Only destinations whose name matches this regular expression"
+  },
+  where: {
+    type: "array",
+    items: { type: "string" },
+    description: "Predicates that must all hold, e.g. [\"size > 100\", \"consumerCount == 0\"]; operators are > >= < <= == !="
+  },
+  windowSeconds: {
+    type: "integer",
+    minimum: 1,
+    maximum: 60,
+    description: "Sample the counters twice this many seconds apart and add enqueueDelta and dequeueDelta, which can be filtered and sorted on"
+  },
+  sortBy: {
+    type: "string",
+    description: "Field to sort by (default name)"
+  },
+  sortOrder: {
+    type: "string",
+    enum: ["asc", "desc"],
+    description: "Sort direction (default asc)"
+  },
+  limit: {
+    type: "integer",
+    minimum: 1,
+    description: "Maximum number of destinations to return"
+  },
+  offset: {
+    type: "integer",
+    minimum: 0,
+    description: "Number of matching destinations to skip",
+    default: 0
+  },
+  includeAdvisory: {
+    type: "boolean",
+    description: "Include ActiveMQ.Advisory destinations",
+    default: false
+  },
+  includeTemp: {
+    type: "boolean",
+    description: "Include temporary destinations",
+    default: false
+  }
+}
+
+// Typed JMS send options shared by send_message and publish_message
+const MESSAGE_OPTION_PROPERTIES = {
+  priority: {
+    type: "integer",
+    minimum: 0,
+    maximum: 9,
+    description: "JMSPriority from 0 (lowest) to 9 (highest)"
+  },
+  timeToLive: {
+    type: "integer",
+    minimum: 0,
+    description: "Time-to-live in milliseconds; 0 means the message never expires"
+  },
+  persistent: {
+    type: "boolean",
+    description: "Persistent (true) or non-persistent (false) delivery"
+  },
+  correlationId: {
+    type: "string",
+    description: "JMSCorrelationID"
+  },
+  replyTo: {
+    type: "string",
+    description: "JMSReplyTo destination (e.g., /queue/replies or /topic/replies)"
+  },
+  type: {
+    type: "string",
+    description: "JMSType"
+  },
+  scheduledDelay: {
+    type: "integer",
+    minimum: 0,
+    description: "AMQ_SCHEDULED_DELAY - milliseconds to wait before delivery (requires schedulerSupport)"
+  },
+  scheduledPeriod: {
+    type: "integer",
+    minimum: 0,
+    description: "AMQ_SCHEDULED_PERIOD - milliseconds between repeated deliveries"
+  },
+  scheduledRepeat: {
+    type: "integer",
+    minimum: 0,
+    description: "AMQ_SCHEDULED_REPEAT - number of additional deliveries"
+  },
+  scheduledCron: {
+    type: "string",
+    description: "AMQ_SCHEDULED_CRON - 5-field cron expression for scheduled delivery"
+  },
+  transport: {
+    type: "string",
+    enum: ["rest", "stomp"],
+    description: "Transport used to send the message",
+    default: "rest"
+  }
+}
+
 export const TOOLS = [
   {
     name: "list_connections",
@@ -28,6 +137,11 @@ export const TOOLS = [
           description: "ActiveMQ web console port",
           default: 8161
         },
+        stompPort: {
+          type: "number",
+          description: "ActiveMQ STOMP port used for topic subscriptions",
+          default: 61613
+        },
         username: {
           type: "string",
           description: "Username for authentication (optional)"
@@ -36,14 +150,45 @@ export const TOOLS = [
           type: "string",
           description: "Password for authentication (optional)"
         },
+        ssl: {
+          type: "boolean",
+          description: "Use HTTPS for the web console/Jolokia",
+          default: false
+        },
+        stompSsl: {
+          type: "boolean",
+          description: "Use TLS for STOMP - point stompPort at a stomp+ssl connector (e.g. 61612)",
+          default: false
+        },
+        caFile: {
+          type: "string",
+          description: "Path to a PEM CA bundle used to verify the broker certificate (optional)"
+        },
+        certFile: {
+          type: "string",
+          description: "Path to a PEM client certificate for mutual TLS (optional, requires keyFile)"
+        },
+        keyFile: {
+          type: "string",
+          description: "Path to the PEM private key for the client certificate (optional, requires certFile)"
+        },
+        keyPassphrase: {
+          type: "string",
+          description: "Passphrase for an encrypted client private key (optional)"
+        },
+        insecureSkipVerify: {
+          type: "boolean",
+          description: "Skip broker certificate verification - only for testing",
+          default: false
+        },
         maxReconnectAttempts: {
           type: "number",
-          description: "Maximum number of reconnection attempts",
+          description: "Maximum number of reconnection attempts after a failed health check before the connection is marked failed",
           default: 5
         },
         reconnectDelay: {
           type: "number",
-          description: "Delay between reconnection attempts in milliseconds",
+          description: "Delay before the first reconnection attempt in milliseconds; doubles after each failed attempt",
           default: 5000
         }
       },
@@ -87,6 +232,32 @@ export const TOOLS = [
         password: {
           type: "string",
           description: "Password for authentication (optional)"
+        },
+        ssl: {
+          type: "boolean",
+          description: "Use HTTPS for the web console/Jolokia",
+          default: false
+        },
+        caFile: {
+          type: "string",
+          description: "Path to a PEM CA bundle used to verify the broker certificate (optional)"
+        },
+        certFile: {
+          type: "string",
+          description: "Path to a PEM client certificate for mutual TLS (optional, requires keyFile)"
+        },
+        keyFile: {
+          type: "string",
+          description: "Path to the PEM private key for the client certificate (optional, requires certFile)"
+        },
+        keyPassphrase: {
+          type: "string",
+          description: "Passphrase for an encrypted client private key (optional)"
+        },
+        insecureSkipVerify: {
+          type: "boolean",
+          description: "Skip broker certificate verification - only for testing",
+          default: false
         }
       },
       required: ["host", "port"]
@@ -117,21 +288,22 @@ export const TOOLS = [
   },
   {
     name: "list_queues",
-    description: "List all queues for a connection",
+    description: "List queues with their statistics, filtered by name and numeric predicates, sorted and paged. Filter/sort fields: name, size, consumerCount, producerCount, enqueueCount, dequeueCount, inFlightCount, expiredCount, memoryPercentUsage, paused, temporary",
     inputSchema: {
       type: "object",
       properties: {
         connectionId: {
           type: "string",
           description: "ID of the connection to list queues for"
-        }
+        },
+        ...LIST_QUERY_PROPERTIES
       },
       required: ["connectionId"]
     }
   },
   {
     name: "queue_info",
-    description: "Get queue statistics and information",
+    description: "Get queue statistics: sizes and counters, enqueue times, message size, memory and cursor usage, cache and flow-control settings, oldest message age, paused and DLQ flags",
     inputSchema: {
       type: "object",
       properties: {
@@ -142,6 +314,20 @@ export const TOOLS = [
         queueName: {
           type: "string",
           description: "Name of the queue"
+        },
+        fields: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: [
+              "name", "size", "consumerCount", "producerCount", "enqueueCount", "dequeueCount", "dispatchCount",
+              "inFlightCount", "expiredCount", "averageEnqueueTime", "maxEnqueueTime", "minEnqueueTime",
+              "averageMessageSize", "memoryUsage", "memoryLimit", "memoryPercentUsage", "cursorMemoryUsage",
+              "cursorPercentUsage", "useCache", "cacheEnabled", "producerFlowControl", "blockedProducerWarningInterval",
+              "blockedSends", "totalBlockedTime", "paused", "dlq", "oldestMessageAge"
+            ]
+          },
+          description: "Only return these fields (optional, defaults to all)"
         }
       },
       required: ["connectionId", "queueName"]
@@ -168,11 +354,114 @@ export const TOOLS = [
         headers: {
           type: "object",
           description: "Optional message headers"
-        }
+        },
+        ...MESSAGE_OPTION_PROPERTIES
       },
       required: ["connectionId", "destination", "message"]
     }
   },
+  {
+    name: "send_messages_batch",
+    description: "Send many messages to a queue or topic in one call, from a list or from a body template",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        destination: {
+          type: "string",
+          description: "Queue or topic destination (e.g., /queue/myqueue or /topic/mytopic)"
+        },
+        messages: {
+          type: "array",
+          description: "Messages to send; each entry has its own body, headers and typed JMS options",
+          items: {
+            type: "object",
+            properties: {
+              message: {
+                type: "string",
+                description: "Message content"
+              },
+              headers: {
+                type: "object",
+                description: "Headers for this message"
+              },
+              ...MESSAGE_OPTION_PROPERTIES
+            },
+            required: ["message"]
+          }
+        },
+        count: {
+          type: "integer",
+          minimum: 1,
+          maximum: 10000,
+          description: "Number of messages to generate from template"
+        },
+        template: {
+          type: "string",
+          description: "Body template with {{index}}, {{uuid}} and {{timestamp}} placeholders"
+        },
+        headers: {
+          type: "object",
+          description: "Headers for every message; with template, string values may use the same placeholders"
+        },
+        concurrency: {
+          type: "integer",
+          minimum: 1,
+          maximum: 50,
+          description: "Maximum number of sends in flight",
+          default: 5
+        },
+        ...MESSAGE_OPTION_PROPERTIES
+      },
+      required: ["connectionId", "destination"]
+    }
+  },
+  {
+    name: "request_reply",
+    description: "Send a request to a queue with a generated correlation ID and wait for the correlated reply",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        queueName: {
+          type: "string",
+          description: "Name of the queue to send the request to"
+        },
+        message: {
+          type: "string",
+          description: "Request message content"
+        },
+        headers: {
+          type: "object",
+          description: "Optional message headers"
+        },
+        replyTo: {
+          type: "string",
+          description: "Named reply queue; a temporary queue is used when omitted"
+        },
+        correlationId: {
+          type: "string",
+          description: "JMSCorrelationID to use instead of a generated one"
+        },
+        timeout: {
+          type: "number",
+          description: "Time to wait for the reply in milliseconds",
+          default: 30000
+        },
+        priority: MESSAGE_OPTION_PROPERTIES.priority,
+        timeToLive: MESSAGE_OPTION_PROPERTIES.timeToLive,
+        persistent: MESSAGE_OPTION_PROPERTIES.persistent,
+        type: MESSAGE_OPTION_PROPERTIES.type
+      },
+      required: ["connectionId", "queueName", "message"]
+    }
+  },
   {
     name: "consume_message",
     description: "Consume a message from a queue",
@@ -211,7 +500,7 @@ export const TOOLS = [
   },
   {
     name: "browse_messages",
-    description: "Browse messages in a queue without consuming them",
+    description: "Browse messages in a queue without consuming them, including JMS headers and user properties",
     inputSchema: {
       type: "object",
       properties: {
@@ -227,6 +516,10 @@ export const TOOLS = [
           type: "number",
           description: "Maximum number of messages to retrieve",
           default: 10
+        },
+        selector: {
+          type: "string",
+          description: "JMS message selector for filtering messages (optional)"
         }
       },
       required: ["connectionId", "queueName"]
@@ -255,22 +548,47 @@ export const TOOLS = [
     }
   },
   {
-    name: "list_topics",
-    description: "List all topics for a connection",
+    name: "remove_messages",
+    description: "Remove a single message by ID or all messages matching a JMS selector from a queue",
     inputSchema: {
       type: "object",
       properties: {
         connectionId: {
           type: "string",
-          description: "ID of the connection to list topics for"
+          description: "ID of the connection"
+        },
+        queueName: {
+          type: "string",
+          description: "Name of the queue to remove messages from"
+        },
+        messageId: {
+          type: "string",
+          description: "JMSMessageID of a single message to remove"
+        },
+        selector: {
+          type: "string",
+          description: "JMS message selector - removes every matching message"
+        },
+        maxMessages: {
+          type: "number",
+          description: "Maximum number of selector matches to remove (optional)"
+        },
+        dryRun: {
+          type: "boolean",
+          description: "Only count the matching messages by browsing the queue, without removing them",
+          default: false
+        },
+        confirm: {
+          type: "boolean",
+          description: "Confirmation flag - must be true to remove messages unless dryRun is set"
         }
       },
-      required: ["connectionId"]
+      required: ["connectionId", "queueName"]
     }
   },
   {
-    name: "publish_message",
-    description: "Publish a message to a topic",
+    name: "export_queue",
+    description: "Export a queue's messages (body, JMS headers and properties) to an NDJSON file",
     inputSchema: {
       type: "object",
       properties: {
@@ -278,48 +596,738 @@ export const TOOLS = [
           type: "string",
           description: "ID of the connection"
         },
-        topicName: {
+        queueName: {
           type: "string",
-          description: "Name of the topic to publish to"
+          description: "Name of the queue to export"
         },
-        message: {
+        filePath: {
           type: "string",
-          description: "Message content to publish"
+          description: "Path of the NDJSON file to write, relative to the export directory (ACTIVEMQ_EXPORT_DIR)"
         },
-        headers: {
-          type: "object",
-          description: "Optional message headers"
+        mode: {
+          type: "string",
+          enum: ["browse", "drain"],
+          description: "browse leaves messages on the queue; drain consumes them after writing each one",
+          default: "browse"
+        },
+        selector: {
+          type: "string",
+          description: "JMS message selector for filtering messages (optional)"
+        },
+        maxMessages: {
+          type: "number",
+          description: "Maximum number of messages to export (optional)"
+        },
+        idleTimeout: {
+          type: "number",
+          description: "Drain mode: stop after this many milliseconds without a message",
+          default: 2000
+        },
+        overwrite: {
+          type: "boolean",
+          description: "Replace the file if it already exists",
+          default: false
+        },
+        confirm: {
+          type: "boolean",
+          description: "Confirmation flag - must be true to drain the queue"
         }
       },
-      required: ["connectionId", "topicName", "message"]
+      required: ["connectionId", "queueName", "filePath"]
     }
   },
   {
-    name: "subscribe_topic",
-    description: "Subscribe to a topic and receive messages",
+    name: "replay_messages",
+    description: "Replay an NDJSON export file into a queue or topic",
     inputSchema: {
       type: "object",
       properties: {
         connectionId: {
           type: "string",
-          description: "ID of the connection"
+          description: "ID of the connection to replay into"
         },
-        topicName: {
+        filePath: {
           type: "string",
-          description: "Name of the topic to subscribe to"
+          description: "Path of the NDJSON file written by export_queue, relative to the export directory (ACTIVEMQ_EXPORT_DIR)"
         },
-        timeout: {
+        destination: {
+          type: "string",
+          description: "Queue or topic destination (e.g., /queue/myqueue or /topic/mytopic)"
+        },
+        rateLimit: {
           type: "number",
-          description: "Timeout in milliseconds to wait for messages",
-          default: 10000
+          description: "Maximum messages per second (optional, unlimited by default)"
         },
         maxMessages: {
           type: "number",
-          description: "Maximum number of messages to receive",
-          default: 1
+          description: "Maximum number of messages to replay (optional)"
+        },
+        setProperties: {
+          type: "object",
+          description: "Message properties to add or override on every replayed message"
+        },
+        removeProperties: {
+          type: "array",
+          items: {
+            type: "string"
+          },
+          description: "Message properties to drop from every replayed message"
+        },
+        transport: MESSAGE_OPTION_PROPERTIES.transport
+      },
+      required: ["connectionId", "filePath", "destination"]
+    }
+  },
+  {
+    name: "migrate_messages",
+    description: "Copy or move messages from a queue on one connection to a destination on another connection",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sourceConnectionId: {
+          type: "string",
+          description: "ID of the connection to read messages from"
+        },
+        sourceQueue: {
+          type: "string",
+          description: "Name of the source queue"
+        },
+        targetConnectionId: {
+          type: "string",
+          description: "ID of the connection to send messages to"
+        },
+        targetDestination: {
+          type: "string",
+          description: "Target queue or topic destination (e.g., /queue/myqueue or /topic/mytopic)"
+        },
+        mode: {
+          type: "string",
+          enum: ["copy", "move"],
+          description: "copy browses the source and leaves it intact; move drains it",
+          default: "copy"
+        },
+        selector: {
+          type: "string",
+          description: "JMS message selector for filtering messages (optional)"
+        },
+        maxMessages: {
+          type: "number",
+          description: "Maximum number of messages to migrate (optional)"
+        },
+        rateLimit: {
+          type: "number",
+          description: "Maximum messages per second (optional, unlimited by default)"
+        },
+        idleTimeout: {
+          type: "number",
+          description: "Move mode: stop after this many milliseconds without a message",
+          default: 2000
+        },
+        transport: MESSAGE_OPTION_PROPERTIES.transport,
+        confirm: {
+          type: "boolean",
+          description: "Confirmation flag - must be true to move messages"
         }
       },
-      required: ["connectionId", "topicName"]
+      required: ["sourceConnectionId", "sourceQueue", "targetConnectionId", "targetDestination"]
+    }
+  },
+  {
+    name: "create_queue",
+    description: "Create a queue on the broker (no-op if it already exists)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        queueName: {
+          type: "string",
+          description: "Name of the queue to create"
+        }
+      },
+      required: ["connectionId", "queueName"]
+    }
+  },
+  {
+    name: "delete_queue",
+    description: "Delete a queue and all of its messages from the broker",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        queueName: {
+          type: "string",
+          description: "Name of the queue to delete"
+        },
+        confirm: {
+          type: "boolean",
+          description: "Confirmation flag - must be true to proceed with queue deletion"
+        }
+      },
+      required: ["connectionId", "queueName", "confirm"]
+    }
+  },
+  {
+    name: "pause_queue",
+    description: "Pause dispatch from a queue to its consumers; producers can still send and messages accumulate until the queue is resumed",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        queueName: {
+          type: "string",
+          description: "Name of the queue to pause"
+        }
+      },
+      required: ["connectionId", "queueName"]
+    }
+  },
+  {
+    name: "resume_queue",
+    description: "Resume dispatch from a paused queue to its consumers",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        queueName: {
+          type: "string",
+          description: "Name of the queue to resume"
+        }
+      },
+      required: ["connectionId", "queueName"]
+    }
+  },
+  {
+    name: "move_messages",
+    description: "Move messages from one queue to another by message ID or JMS selector",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        queueName: {
+          type: "string",
+          description: "Name of the source queue"
+        },
+        targetQueue: {
+          type: "string",
+          description: "Name of the queue to move messages to"
+        },
+        messageId: {
+          type: "string",
+          description: "JMSMessageID of a single message to move (optional)"
+        },
+        selector: {
+          type: "string",
+          description: "JMS message selector choosing which messages to move (optional, all messages if omitted)"
+        },
+        maxMessages: {
+          type: "number",
+          description: "Maximum number of matching messages to move (optional)"
+        }
+      },
+      required: ["connectionId", "queueName", "targetQueue"]
+    }
+  },
+  {
+    name: "copy_messages",
+    description: "Copy messages from one queue to another by message ID or JMS selector, leaving the originals in place",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        queueName: {
+          type: "string",
+          description: "Name of the source queue"
+        },
+        targetQueue: {
+          type: "string",
+          description: "Name of the queue to copy messages to"
+        },
+        messageId: {
+          type: "string",
+          description: "JMSMessageID of a single message to copy (optional)"
+        },
+        selector: {
+          type: "string",
+          description: "JMS message selector choosing which messages to copy (optional, all messages if omitted)"
+        },
+        maxMessages: {
+          type: "number",
+          description: "Maximum number of matching messages to copy (optional)"
+        }
+      },
+      required: ["connectionId", "queueName", "targetQueue"]
+    }
+  },
+  {
+    name: "list_dead_letter_queues",
+    description: "List dead-letter queues (ActiveMQ.DLQ and individual DLQ.* queues) with their message counts",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        }
+      },
+      required: ["connectionId"]
+    }
+  },
+  {
+    name: "list_dlq_messages",
+    description: "List dead-lettered messages grouped by original destination and failure cause (dlqDeliveryFailureCause)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        queueName: {
+          type: "string",
+          description: "Dead-letter queue to inspect",
+          default: "ActiveMQ.DLQ"
+        },
+        selector: {
+          type: "string",
+          description: "JMS message selector for filtering messages (optional)"
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of messages to inspect",
+          default: 400
+        },
+        includeMessages: {
+          type: "boolean",
+          description: "Include the full browsed messages in addition to the groups",
+          default: false
+        }
+      },
+      required: ["connectionId"]
+    }
+  },
+  {
+    name: "retry_dlq_messages",
+    description: "Retry dead-lettered messages to their original destinations, preserving their headers",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        queueName: {
+          type: "string",
+          description: "Dead-letter queue to retry from",
+          default: "ActiveMQ.DLQ"
+        },
+        messageId: {
+          type: "string",
+          description: "JMSMessageID of a single message to retry (optional)"
+        },
+        selector: {
+          type: "string",
+          description: "JMS message selector choosing which messages to retry (optional)"
+        },
+        confirm: {
+          type: "boolean",
+          description: "Confirmation flag - must be true to retry all messages when no messageId or selector is given"
+        }
+      },
+      required: ["connectionId"]
+    }
+  },
+  {
+    name: "list_scheduled_jobs",
+    description: "List jobs in the broker's job scheduler with next run time, delay, period and repeat",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        includePayload: {
+          type: "boolean",
+          description: "Include a preview of each scheduled message body (browsed over STOMP)",
+          default: false
+        }
+      },
+      required: ["connectionId"]
+    }
+  },
+  {
+    name: "remove_scheduled_job",
+    description: "Remove a single job from the broker's job scheduler",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        jobId: {
+          type: "string",
+          description: "ID of the scheduled job to remove"
+        }
+      },
+      required: ["connectionId", "jobId"]
+    }
+  },
+  {
+    name: "remove_scheduled_jobs",
+    description: "Remove all scheduled jobs, or only those scheduled to run within a time window",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        start: {
+          type: "string",
+          description: "Start of the time window as yyyy-MM-dd HH:mm:ss in the broker's time zone (optional)"
+        },
+        end: {
+          type: "string",
+          description: "End of the time window as yyyy-MM-dd HH:mm:ss in the broker's time zone (optional)"
+        },
+        confirm: {
+          type: "boolean",
+          description: "Confirmation flag - must be true to proceed with removing jobs"
+        }
+      },
+      required: ["connectionId", "confirm"]
+    }
+  },
+  {
+    name: "list_consumers",
+    description: "List consumers on queues and topics with prefetch, dispatched, dequeued and in-flight counts, pending messages and slow-consumer status",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        destinationType: {
+          type: "string",
+          enum: ["Queue", "Topic"],
+          description: "Only list consumers on queues or on topics (optional)"
+        },
+        destinationName: {
+          type: "string",
+          description: "Only list consumers on this destination (optional)"
+        },
+        includeAdvisory: {
+          type: "boolean",
+          description: "Include the broker's internal consumers on ActiveMQ.Advisory topics",
+          default: false
+        }
+      },
+      required: ["connectionId"]
+    }
+  },
+  {
+    name: "list_producers",
+    description: "List producers on queues and topics with sent count and whether producer flow control is blocking them",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        destinationType: {
+          type: "string",
+          enum: ["Queue", "Topic"],
+          description: "Only list producers on queues or on topics (optional)"
+        },
+        destinationName: {
+          type: "string",
+          description: "Only list producers on this destination (optional)"
+        },
+        includeAdvisory: {
+          type: "boolean",
+          description: "Include the broker's internal producers on ActiveMQ.Advisory topics",
+          default: false
+        }
+      },
+      required: ["connectionId"]
+    }
+  },
+  {
+    name: "list_client_connections",
+    description: "List the broker's client connections with connector, remote address, client ID, user name, active and blocked flags and dispatch queue size",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        }
+      },
+      required: ["connectionId"]
+    }
+  },
+  {
+    name: "stop_client_connection",
+    description: "Forcibly stop a client connection on the broker, closing all of its sessions",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        clientConnectionId: {
+          type: "string",
+          description: "Broker-assigned ID of the client connection to stop, as returned by list_client_connections"
+        },
+        confirm: {
+          type: "boolean",
+          description: "Confirmation flag - must be true to proceed with stopping the client connection"
+        }
+      },
+      required: ["connectionId", "clientConnectionId", "confirm"]
+    }
+  },
+  {
+    name: "list_topics",
+    description: "List topics with their statistics, filtered by name and numeric predicates, sorted and paged. Filter/sort fields: name, consumerCount, producerCount, enqueueCount, dequeueCount, subscriptionCount, temporary",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection to list topics for"
+        },
+        ...LIST_QUERY_PROPERTIES
+      },
+      required: ["connectionId"]
+    }
+  },
+  {
+    name: "publish_message",
+    description: "Publish a message to a topic",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        topicName: {
+          type: "string",
+          description: "Name of the topic to publish to"
+        },
+        message: {
+          type: "string",
+          description: "Message content to publish"
+        },
+        headers: {
+          type: "object",
+          description: "Optional message headers"
+        },
+        ...MESSAGE_OPTION_PROPERTIES
+      },
+      required: ["connectionId", "topicName", "message"]
+    }
+  },
+  {
+    name: "subscribe_topic",
+    description: "Subscribe to a topic over STOMP and receive live messages published while subscribed",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        topicName: {
+          type: "string",
+          description: "Name of the topic to subscribe to"
+        },
+        timeout: {
+          type: "number",
+          description: "Timeout in milliseconds to wait for messages",
+          default: 10000
+        },
+        maxMessages: {
+          type: "number",
+          description: "Maximum number of messages to receive",
+          default: 1
+        },
+        selector: {
+          type: "string",
+          description: "JMS message selector for filtering messages (optional)"
+        }
+      },
+      required: ["connectionId", "topicName"]
+    }
+  },
+  {
+    name: "list_durable_subscribers",
+    description: "List durable topic subscribers with their pending and dispatched message counts",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        topicName: {
+          type: "string",
+          description: "Only list subscribers of this topic (optional)"
+        },
+        state: {
+          type: "string",
+          enum: ["all", "active", "inactive"],
+          description: "Filter by subscriber state",
+          default: "all"
+        }
+      },
+      required: ["connectionId"]
+    }
+  },
+  {
+    name: "create_durable_subscriber",
+    description: "Create a durable subscription on a topic so messages are retained while the client is offline",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        topicName: {
+          type: "string",
+          description: "Name of the topic to subscribe to"
+        },
+        clientId: {
+          type: "string",
+          description: "Client ID of the durable subscription"
+        },
+        subscriptionName: {
+          type: "string",
+          description: "Name of the durable subscription"
+        },
+        selector: {
+          type: "string",
+          description: "JMS message selector for the subscription (optional)"
+        }
+      },
+      required: ["connectionId", "topicName", "clientId", "subscriptionName"]
+    }
+  },
+  {
+    name: "destroy_durable_subscriber",
+    description: "Destroy an inactive durable subscription and discard its pending messages",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        clientId: {
+          type: "string",
+          description: "Client ID of the durable subscription"
+        },
+        subscriptionName: {
+          type: "string",
+          description: "Name of the durable subscription"
+        },
+        confirm: {
+          type: "boolean",
+          description: "Confirmation flag - must be true to proceed with destroying the subscription"
+        }
+      },
+      required: ["connectionId", "clientId", "subscriptionName", "confirm"]
+    }
+  },
+  {
+    name: "browse_durable_subscription",
+    description: "Browse the pending messages of a durable subscription without consuming them",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        clientId: {
+          type: "string",
+          description: "Client ID of the durable subscription"
+        },
+        subscriptionName: {
+          type: "string",
+          description: "Name of the durable subscription"
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of messages to retrieve",
+          default: 10
+        }
+      },
+      required: ["connectionId", "clientId", "subscriptionName"]
+    }
+  },
+  {
+    name: "create_topic",
+    description: "Create a topic on the broker (no-op if it already exists)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        topicName: {
+          type: "string",
+          description: "Name of the topic to create"
+        }
+      },
+      required: ["connectionId", "topicName"]
+    }
+  },
+  {
+    name: "delete_topic",
+    description: "Delete a topic from the broker",
+    inputSchema: {
+      type: "object",
+      properties: {
+        connectionId: {
+          type: "string",
+          description: "ID of the connection"
+        },
+        topicName: {
+          type: "string",
+          description: "Name of the topic to delete"
+        },
+        confirm: {
+          type: "boolean",
+          description: "Confirmation flag - must be true to proceed with topic deletion"
+        }
+      },
+      required: ["connectionId", "topicName", "confirm"]
     }
   },
   {
@@ -0,0 +1,18 @@
+// Runs fn over items with at most `limit` calls in flight. Results keep the
+// order of items; a rejected call rejects the whole run, so callers that need
+// per-item outcomes should catch inside fn.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  const workerCount = Math.max(1, Math.min(limit, items.length))
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker))
+  return results
+}
@@ -1,4 +1,6 @@
 import { readFileSync, existsSync } from 'fs'
+import os from 'os'
+import path from 'path'
 import { logger } from './logger.js'
 
 export class ConfigManager {
@@ -46,9 +48,30 @@ export class ConfigManager {
     if (process.env.ACTIVEMQ_PASSWORD) {
       envConfig.password = process.env.ACTIVEMQ_PASSWORD
     }
+    if (process.env.ACTIVEMQ_STOMP_PORT) {
+      envConfig.stompPort = parseInt(process.env.ACTIVEMQ_STOMP_PORT, 10)
+    }
     if (process.env.ACTIVEMQ_SSL) {
       envConfig.ssl = process.env.ACTIVEMQ_SSL === 'true'
     }
+    if (process.env.ACTIVEMQ_STOMP_SSL) {
+      envConfig.stompSsl = process.env.ACTIVEMQ_STOMP_SSL === 'true'
+    }
+    if (process.env.ACTIVEMQ_CA_FILE) {
+      envConfig.caFile = process.env.ACTIVEMQ_CA_FILE
+    }
+    if (process.env.ACTIVEMQ_CERT_FILE) {
+      envConfig.certFile = process.env.ACTIVEMQ_CERT_FILE
+    }
+    if (process.env.ACTIVEMQ_KEY_FILE) {
+      envConfig.keyFile = process.env.ACTIVEMQ_KEY_FILE
+    }
+    if (process.env.ACTIVEMQ_KEY_PASSPHRASE) {
+      envConfig.keyPassphrase = process.env.ACTIVEMQ_KEY_PASSPHRASE
+    }
+    if (process.env.ACTIVEMQ_INSECURE_SKIP_VERIFY) {
+      envConfig.insecureSkipVerify = process.env.ACTIVEMQ_INSECURE_SKIP_VERIFY === 'true'
+    }
 
     if (Object.keys(envConfig).length > 0) {
       this.config.default = { ...this.config.default, ...envConfig }
@@ -84,6 +107,9 @@ export class ConfigManager {
           case 'PORT':
             brokerConnections[normalizedConnectionName].port = parseInt(value, 10)
             break
+          case 'STOMP_PORT':
+            brokerConnections[normalizedConnectionName].stompPort = parseInt(value, 10)
+            break
           case 'USERNAME':
             brokerConnections[normalizedConnectionName].username = value
             break
@@ -93,6 +119,24 @@ export class ConfigManager {
           case 'SSL':
             brokerConnections[normalizedConnectionName].ssl = value.toLowerCase() === 'true'
             break
+          case 'STOMP_SSL':
+            brokerConnections[normalizedConnectionName].stompSsl = value.toLowerCase() === 'true'
+            break
+          case 'CA_FILE':
+            brokerConnections[normalizedConnectionName].caFile = value
+            break
+          case 'CERT_FILE':
+            brokerConnections[normalizedConnectionName].certFile = value
+            break
+          case 'KEY_FILE':
+            brokerConnections[normalizedConnectionName].keyFile = value
+            break
+          case 'KEY_PASSPHRASE':
+            brokerConnections[normalizedConnectionName].keyPassphrase = value
+            break
+          case 'INSECURE_SKIP_VERIFY':
+            brokerConnections[normalizedConnectionName].insecureSkipVerify = value.toLowerCase() === 'true'
+            break
           default:
             logger.warn(`Unknown ActiveMQ environment variable parameter: ${parameter} for connection ${connectionName}`)
         }
@@ -153,6 +197,16 @@ export class ConfigManager {
     return true
   }
 
+  // The only directory export_queue writes to and replay_messages reads from.
+  // The default sits under the user's home: an MCP host may start the server
+  // in any working directory, often '/'.
+  getExportDirectory() {
+    if (process.env.ACTIVEMQ_EXPORT_DIR) {
+      return path.resolve(process.env.ACTIVEMQ_EXPORT_DIR)
+    }
+    return path.join(os.homedir(), '.activemq-mcp-server', 'exports')
+  }
+
   // Get all configured connection names
   getConfiguredConnections() {
     return Object.keys(this.config).filter(name => 
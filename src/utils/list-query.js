@@ -0,0 +1,91 @@
+// Filtering, sorting and paging for list tools. Predicates are written the
+// way an operator would say them: "size > 100", "consumerCount == 0".
+
+const PREDICATE = /^\s*(\w+)\s*(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?|true|false)\s*$/
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+}
+
+function requireField(field, fields) {
+  if (!fields.includes(field)) {
+    throw new Error(`Unknown field '${field}'. Valid fields: ${fields.join(', ')}`)
+  }
+}
+
+export function parsePredicate(expression, fields) {
+  const match = typeof expression === 'string' && expression.match(PREDICATE)
+  if (!match) {
+    throw new Error(`Invalid filter '${expression}' - use <field> <op> <number>, e.g. "size > 100"`)
+  }
+
+  const [, field, operator, literal] = match
+  requireField(field, fields)
+  const value = literal === 'true' || literal === 'false' ? literal === 'true' : Number(literal)
+  return { field, operator, value }
+}
+
+// `*` matches any run of characters and `?` a single one; case-insensitive
+export function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('')
+  return new RegExp(`^${source}$`, 'i')
+}
+
+// query: { name, nameRegex, where, sortBy, sortOrder }; fields lists the
+// record keys that predicates and sortBy may refer to
+export function applyListQuery(items, query = {}, fields = []) {
+  const predicates = (query.where || []).map(expression => parsePredicate(expression, fields))
+  const nameGlob = query.name ? globToRegExp(query.name) : null
+  let nameRegex = null
+  if (query.nameRegex) {
+    try {
+      nameRegex = new RegExp(query.nameRegex)
+    } catch (error) {
+      throw new Error(`Invalid nameRegex: ${error.message}`)
+    }
+  }
+
+  const sortBy = query.sortBy || 'name'
+  requireField(sortBy, fields)
+  const direction = query.sortOrder === 'desc' ? -1 : 1
+
+  return items
+    .filter(item => !nameGlob || nameGlob.test(item.name))
+    .filter(item => !nameRegex || nameRegex.test(item.name))
+    .filter(item => predicates.every(({ field, operator, value }) => OPERATORS[operator](item[field], value)))
+    .sort((a, b) => {
+      const left = a[sortBy]
+      const right = b[sortBy]
+      const order = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left).localeCompare(String(right))
+      return order * direction || a.name.localeCompare(b.name)
+    })
+}
+
+const LIST_OPTION_KEYS = ['name', 'nameRegex', 'where', 'sortBy', 'sortOrder', 'includeAdvisory', 'includeTemp', 'windowSeconds']
+
+// Picks the list options out of tool arguments
+export function pickListOptions(source = {}) {
+  const options = {}
+  for (const key of LIST_OPTION_KEYS) {
+    if (source[key] !== undefined && source[key] !== null) {
+      options[key] = source[key]
+    }
+  }
+  return options
+}
+
+export function paginate(items, { limit, offset = 0 } = {}) {
+  const start = Math.max(0, offset || 0)
+  const page = limit > 0 ? items.slice(start, start + limit) : items.slice(start)
+  return { items: page, total: items.length, offset: start }
+}
@@ -0,0 +1,20 @@
+// Returns an async throttle that spaces calls evenly at `perSecond` calls per
+// second. A missing or zero rate disables throttling.
+export function createRateLimiter(perSecond) {
+  if (!perSecond || perSecond <= 0) {
+    return async () => {}
+  }
+
+  const interval = 1000 / perSecond
+  let nextSlot = 0
+
+  return async () => {
+    const now = Date.now()
+    const wait = nextSlot - now
+    nextSlot = Math.max(now, nextSlot) + interval
+
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait))
+    }
+  }
+}
@@ -0,0 +1,39 @@
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution)
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+const MIN_CONTAINED_LENGTH = 3
+
+function contains(a, b) {
+  return (b.length >= MIN_CONTAINED_LENGTH && a.includes(b)) || (a.length >= MIN_CONTAINED_LENGTH && b.includes(a))
+}
+
+// Picks the candidates closest to `name`, for "did you mean" hints. Names that
+// contain one another always qualify; otherwise the case-insensitive edit
+// distance must stay within a third of the longer name.
+export function findSimilarNames(name, candidates, limit = 3) {
+  const target = name.toLowerCase()
+
+  return candidates
+    .filter(candidate => candidate !== name)
+    .map(candidate => {
+      const lower = candidate.toLowerCase()
+      const distance = contains(lower, target) ? 0 : editDistance(target, lower)
+      return { candidate, distance, limit: Math.max(target.length, lower.length) / 3 }
+    })
+    .filter(entry => entry.distance <= entry.limit)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map(entry => entry.candidate)
+}
@@ -0,0 +1,92 @@
+import {afterEach, beforeEach, describe, expect, it} from 'vitest'
+import {ConnectionManager} from '../../src/core/connection-manager.js'
+import {activemqConfig} from './setup/activemq-config.js'
+import {randomUUID} from 'crypto'
+
+describe('ConnectionManager Integration Tests', () => {
+	let sut
+	let source
+	let target
+
+	beforeEach(async () => {
+		// Initialize two connections to the test broker
+		sut = new ConnectionManager()
+		await sut.addConnection('source', activemqConfig)
+		await sut.addConnection('target', activemqConfig)
+		source = sut.getConnection('source')
+		target = sut.getConnection('target')
+	})
+
+	afterEach(async () => {
+		// CLEANUP - Close connections and stop health checks
+		await sut.disconnectAll()
+	})
+
+	describe('migrateMessages', () => {
+		// Happy path tests first
+		it('should copy selected messages and preserve JMS headers', async () => {
+			// GIVEN - Source queue with two kinds of messages
+			const sourceQueue = `test-queue-${randomUUID()}`
+			const targetQueue = `test-queue-${randomUUID()}`
+			await source.sendMessage(`/queue/${sourceQueue}`, 'Keep', {kind: 'order'}, {priority: 8, correlationId: 'order-42', type: 'OrderCreated'})
+			await source.sendMessage(`/queue/${sourceQueue}`, 'Skip', {kind: 'audit'})
+
+			// WHEN - Matching messages are copied to the other connection
+			const report = await sut.migrateMessages('source', sourceQueue, 'target', `/queue/${targetQueue}`, {selector: "kind = 'order'"})
+
+			// THEN - Target should hold the message with its headers; source stays intact
+			expect(report).toMatchObject({mode: 'copy', migratedMessages: 1, failedMessages: 0, truncated: false, stoppedOnFailure: false})
+			const [message] = await target.browseMessages(targetQueue)
+			expect(message.body).toBe('Keep')
+			expect(message.headers).toMatchObject({JMSPriority: 8, JMSCorrelationID: 'order-42', JMSType: 'OrderCreated'})
+			expect(message.properties).toMatchObject({kind: 'order'})
+			expect(await source.browseMessages(sourceQueue)).toHaveLength(2)
+		})
+
+		it('should drain source queue in move mode', async () => {
+			// GIVEN - Source queue with messages
+			const sourceQueue = `test-queue-${randomUUID()}`
+			const targetQueue = `test-queue-${randomUUID()}`
+			await source.sendMessage(`/queue/${sourceQueue}`, 'First')
+			await source.sendMessage(`/queue/${sourceQueue}`, 'Second')
+
+			// WHEN - Messages are moved
+			const report = await sut.migrateMessages('source', sourceQueue, 'target', `/queue/${targetQueue}`, {mode: 'move', idleTimeout: 1000})
+
+			// THEN - Messages should leave the source in order
+			expect(report.migratedMessages).toBe(2)
+			expect((await target.browseMessages(targetQueue)).map(m => m.body)).toEqual(['First', 'Second'])
+			expect(await source.browseMessages(sourceQueue)).toEqual([])
+		})
+
+		// Unhappy path tests
+		it('should reject migrating a queue onto itself', async () => {
+			// GIVEN - Same connection and queue
+			const queueName = `test-queue-${randomUUID()}`
+
+			// WHEN/THEN - Should refuse
+			await expect(sut.migrateMessages('source', queueName, 'source', `/queue/${queueName}`)).rejects.toThrow('Source and target destination must be different')
+		})
+
+		it('should reject migrating a queue onto itself by bare name', async () => {
+			// GIVEN - Same connection, target given without a prefix
+			const queueName = `test-queue-${randomUUID()}`
+
+			// WHEN/THEN - Should refuse
+			await expect(sut.migrateMessages('source', queueName, 'source', queueName, {mode: 'move', confirm: true})).rejects.toThrow('Source and target destination must be different')
+		})
+
+		it('should reject migrating a queue onto itself through another connection to the same broker', async () => {
+			// GIVEN - Both connections point at the test broker
+			const queueName = `test-queue-${randomUUID()}`
+
+			// WHEN/THEN - Should refuse
+			await expect(sut.migrateMessages('source', queueName, 'target', `queue/${queueName}`, {mode: 'move'})).rejects.toThrow('Source and target destination must be different')
+		})
+
+		it('should throw error for unknown connection', async () => {
+			// WHEN/THEN - Should name the missing connection
+			await expect(sut.migrateMessages('source', 'orders', 'missing', '/queue/orders')).rejects.toThrow("Connection 'missing' not found")
+		})
+	})
+})
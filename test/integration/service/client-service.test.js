@@ -0,0 +1,152 @@
+import {afterEach, beforeEach, describe, expect, it} from 'vitest'
+import {CoreClient} from '../../../src/core/client/index.js'
+import {ClientService} from '../../../src/core/service/index.js'
+import {activemqConfig} from '../setup/activemq-config.js'
+import {randomUUID} from 'crypto'
+
+describe('ClientService Integration Tests', () => {
+	let coreClient
+	let sut
+
+	beforeEach(async () => {
+		// Initialize components and unique test data
+		coreClient = new CoreClient(activemqConfig)
+		sut = new ClientService(coreClient)
+
+		await coreClient.connect()
+	})
+
+	afterEach(async () => {
+		// CLEANUP - Close connections
+		if (coreClient.isConnected()) {
+			await coreClient.disconnect()
+		}
+	})
+
+	describe('listConsumers', () => {
+		// Happy path tests first
+		it('should list STOMP consumer on queue with its prefetch and selector', async () => {
+			// GIVEN - A STOMP subscription on a unique queue
+			const testQueueName = `test-queue-${randomUUID()}`
+			const stompClient = await coreClient.getStompClient()
+			stompClient.subscribe(`/queue/${testQueueName}`, () => {}, {
+				'activemq.prefetchSize': '5',
+				selector: "kind = 'order'"
+			})
+			await new Promise(resolve => setTimeout(resolve, 500))
+
+			// WHEN - Consumers on that queue are listed
+			const consumers = await sut.listConsumers({destinationType: 'Queue', destinationName: testQueueName})
+
+			// THEN - Should report the subscription with its connection details
+			expect(consumers).toHaveLength(1)
+			expect(consumers[0]).toMatchObject({
+				destinationType: 'Queue',
+				destinationName: testQueueName,
+				selector: "kind = 'order'",
+				prefetchSize: 5,
+				dispatchedCount: 0,
+				inFlightCount: 0,
+				slowConsumer: false
+			})
+			expect(consumers[0].connectionId).toBeTruthy()
+			expect(consumers[0].remoteAddress).toBeTruthy()
+		})
+
+		it('should return empty array for destination without consumers', async () => {
+			// GIVEN - Queue name nobody subscribed to
+			const testQueueName = `test-queue-${randomUUID()}`
+
+			// WHEN - Consumers are listed
+			const consumers = await sut.listConsumers({destinationName: testQueueName})
+
+			// THEN - Should be empty
+			expect(consumers).toEqual([])
+		})
+
+		// Unhappy path tests
+		it('should throw error when not connected', async () => {
+			// GIVEN - Disconnected client
+			await coreClient.disconnect()
+
+			// WHEN/THEN - Should throw connection error
+			await expect(sut.listConsumers()).rejects.toThrow('Not connected to ActiveMQ broker')
+		})
+	})
+
+	describe('listProducers', () => {
+		// Happy path tests first
+		it('should return empty array for destination without producers', async () => {
+			// GIVEN - Queue name nobody produces to
+			const testQueueName = `test-queue-${randomUUID()}`
+
+			// WHEN - Producers are listed
+			const producers = await sut.listProducers({destinationType: 'Queue', destinationName: testQueueName})
+
+			// THEN - Should be empty
+			expect(producers).toEqual([])
+		})
+
+		// Unhappy path tests
+		it('should throw error when not connected', async () => {
+			// GIVEN - Disconnected client
+			await coreClient.disconnect()
+
+			// WHEN/THEN - Should throw connection error
+			await expect(sut.listProducers()).rejects.toThrow('Not connected to ActiveMQ broker')
+		})
+	})
+	describe('listConnections', () => {
+		// Happy path tests first
+		it('should list STOMP connection with its connector and remote address', async () => {
+			// GIVEN - A STOMP consumer identifying its connection
+			const testQueueName = `test-queue-${randomUUID()}`
+			const stompClient = await coreClient.getStompClient()
+			stompClient.subscribe(`/queue/${testQueueName}`, () => {})
+			await new Promise(resolve => setTimeout(resolve, 500))
+			const [consumer] = await sut.listConsumers({destinationName: testQueueName})
+
+			// WHEN - Client connections are listed
+			const connections = await sut.listConnections()
+
+			// THEN - Should include the STOMP connection
+			const connection = connections.find(c => c.connectionId === consumer.connectionId)
+			expect(connection).toMatchObject({
+				connector: 'stomp',
+				remoteAddress: consumer.remoteAddress,
+				blocked: false,
+				consumerCount: 1
+			})
+		})
+	})
+
+	describe('stopConnection', () => {
+		// Happy path tests first
+		it('should stop client connection', async () => {
+			// GIVEN - An open STOMP connection
+			const testQueueName = `test-queue-${randomUUID()}`
+			const stompClient = await coreClient.getStompClient()
+			stompClient.subscribe(`/queue/${testQueueName}`, () => {})
+			await new Promise(resolve => setTimeout(resolve, 500))
+			const [consumer] = await sut.listConsumers({destinationName: testQueueName})
+
+			// WHEN - Connection is stopped
+			const result = await sut.stopConnection(consumer.connectionId)
+			await new Promise(resolve => setTimeout(resolve, 500))
+
+			// THEN - Should no longer be listed
+			expect(result).toMatchObject({connectionId: consumer.connectionId, stopped: true})
+			const connections = await sut.listConnections()
+			expect(connections.find(c => c.connectionId === consumer.connectionId)).toBeUndefined()
+		})
+
+		// Unhappy path tests
+		it('should throw error when connection does not exist', async () => {
+			// GIVEN - Unknown connection ID
+			const clientConnectionId = `ID:missing-${randomUUID()}`
+
+			// WHEN/THEN - Should report the missing connection
+			await expect(sut.stopConnection(clientConnectionId)).rejects.toThrow('does not exist')
+		})
+	})
+})
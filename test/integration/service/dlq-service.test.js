@@ -0,0 +1,125 @@
+import {afterEach, beforeEach, describe, expect, it} from 'vitest'
+import {CoreClient} from '../../../src/core/client/index.js'
+import {DlqService, QueueService} from '../../../src/core/service/index.js'
+import {activemqConfig} from '../setup/activemq-config.js'
+import {randomUUID} from 'crypto'
+
+describe('DlqService Integration Tests', () => {
+	let coreClient
+	let queueService
+	let sut
+
+	// Expired persistent messages are moved to ActiveMQ.DLQ by the broker
+	async function deadLetterMessage(queueName, testRun) {
+		const stompClient = await coreClient.getStompClient()
+		await stompClient.send(`/queue/${queueName}`, `Expiring message - ${testRun}`, {
+			persistent: 'true',
+			expires: String(Date.now() + 200),
+			testRun
+		})
+		await new Promise(resolve => setTimeout(resolve, 1000))
+		// Browsing the source queue makes the broker expire the message
+		await queueService.browseMessages(queueName)
+		await new Promise(resolve => setTimeout(resolve, 500))
+	}
+
+	beforeEach(async () => {
+		// Initialize components and unique test data
+		coreClient = new CoreClient(activemqConfig)
+		queueService = new QueueService(coreClient)
+		sut = new DlqService(coreClient, queueService)
+
+		await coreClient.connect()
+	})
+
+	afterEach(async () => {
+		// CLEANUP - Close connections
+		if (coreClient.isConnected()) {
+			await coreClient.disconnect()
+		}
+	})
+
+	describe('listDeadLetterMessages', () => {
+		// Happy path tests first
+		it('should group dead-lettered messages by original destination', async () => {
+			// GIVEN - Message dead-lettered from a unique queue
+			const testQueueName = `test-queue-${randomUUID()}`
+			const testRun = randomUUID()
+			await deadLetterMessage(testQueueName, testRun)
+
+			// WHEN - DLQ messages are listed for this test run
+			const result = await sut.listDeadLetterMessages('ActiveMQ.DLQ', {selector: `testRun = '${testRun}'`})
+
+			// THEN - Should return one group for the original queue
+			expect(result.queueName).toBe('ActiveMQ.DLQ')
+			expect(result.totalMessages).toBe(1)
+			expect(result.groups).toHaveLength(1)
+			expect(result.groups[0].originalDestination).toBe(`queue://${testQueueName}`)
+			expect(result.groups[0].count).toBe(1)
+			expect(result.groups[0].messageIds).toHaveLength(1)
+		})
+
+		// Unhappy path tests
+		it('should throw error when not connected', async () => {
+			// GIVEN - Disconnected client
+			await coreClient.disconnect()
+
+			// WHEN/THEN - Should throw connection error
+			await expect(sut.listDeadLetterMessages()).rejects.toThrow('Not connected to ActiveMQ broker')
+		})
+	})
+
+	describe('listDeadLetterQueues', () => {
+		it('should include the shared DLQ once it holds messages', async () => {
+			// GIVEN - At least one dead-lettered message
+			await deadLetterMessage(`test-queue-${randomUUID()}`, randomUUID())
+
+			// WHEN - Dead-letter queues are listed
+			const queues = await sut.listDeadLetterQueues()
+
+			// THEN - Should contain ActiveMQ.DLQ and only DLQ names
+			expect(queues.map(q => q.name)).toContain('ActiveMQ.DLQ')
+			queues.forEach(queue => expect(sut.isDeadLetterQueue(queue.name)).toBe(true))
+		})
+	})
+
+	describe('retryMessages', () => {
+		// Happy path tests first
+		it('should retry selector-matched messages out of the DLQ', async () => {
+			// GIVEN - Dead-lettered message for this test run
+			const testRun = randomUUID()
+			await deadLetterMessage(`test-queue-${randomUUID()}`, testRun)
+
+			// WHEN - Matching messages are retried
+			const result = await sut.retryMessages('ActiveMQ.DLQ', {selector: `testRun = '${testRun}'`})
+
+			// THEN - Message should be retried and leave the DLQ
+			expect(result.matchedMessages).toBe(1)
+			expect(result.retriedMessages).toBe(1)
+			expect(result.notRetried).toEqual([])
+			const remaining = await sut.listDeadLetterMessages('ActiveMQ.DLQ', {selector: `testRun = '${testRun}'`})
+			expect(remaining.totalMessages).toBe(0)
+		})
+
+		// Unhappy path tests
+		it('should report message ID that could not be retried', async () => {
+			// GIVEN - Unknown message ID
+			const messageId = `ID:missing-${randomUUID()}`
+
+			// WHEN - Retrying unknown message
+			const result = await sut.retryMessages('ActiveMQ.DLQ', {messageId})
+
+			// THEN - Should report nothing retried
+			expect(result.retriedMessages).toBe(0)
+			expect(result.notRetried).toEqual([messageId])
+		})
+
+		it('should throw error when not connected', async () => {
+			// GIVEN - Disconnected client
+			await coreClient.disconnect()
+
+			// WHEN/THEN - Should throw connection error
+			await expect(sut.retryMessages()).rejects.toThrow('Not connected to ActiveMQ broker')
+		})
+	})
+})
@@ -0,0 +1,126 @@
+import {afterEach, beforeEach, describe, expect, it} from 'vitest'
+import {readFileSync, rmSync, writeFileSync} from 'fs'
+import {tmpdir} from 'os'
+import path from 'path'
+import {CoreClient} from '../../../src/core/client/index.js'
+import {ExportService, QueueService} from '../../../src/core/service/index.js'
+import {activemqConfig} from '../setup/activemq-config.js'
+import {randomUUID} from 'crypto'
+
+describe('ExportService Integration Tests', () => {
+	let coreClient
+	let queueService
+	let sut
+	let filePath
+
+	function readRecords() {
+		return readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+	}
+
+	beforeEach(async () => {
+		// Initialize components and unique test data
+		coreClient = new CoreClient(activemqConfig)
+		queueService = new QueueService(coreClient)
+		sut = new ExportService(coreClient, queueService, tmpdir())
+		filePath = path.join(tmpdir(), `export-${randomUUID()}.ndjson`)
+
+		await coreClient.connect()
+	})
+
+	afterEach(async () => {
+		// CLEANUP - Close connections and remove export file
+		rmSync(filePath, {force: true})
+		if (coreClient.isConnected()) {
+			await coreClient.disconnect()
+		}
+	})
+
+	describe('exportQueue', () => {
+		// Happy path tests first
+		it('should export messages without consuming them in browse mode', async () => {
+			// GIVEN - Queue with a typed message
+			const testQueueName = `test-queue-${randomUUID()}`
+			await queueService.sendMessage(`/queue/${testQueueName}`, 'Snapshot me', {region: 'eu'}, {priority: 7, correlationId: 'order-42'})
+
+			// WHEN - Queue is exported
+			const result = await sut.exportQueue(testQueueName, filePath)
+
+			// THEN - File should hold the message and the queue keep it
+			expect(result).toMatchObject({queueName: testQueueName, mode: 'browse', exportedMessages: 1})
+			const [record] = readRecords()
+			expect(record.body).toBe('Snapshot me')
+			expect(record.headers).toMatchObject({JMSPriority: 7, JMSCorrelationID: 'order-42'})
+			expect(record.properties).toMatchObject({region: 'eu'})
+			expect(await queueService.browseMessages(testQueueName)).toHaveLength(1)
+		})
+
+		it('should consume exported messages in drain mode', async () => {
+			// GIVEN - Queue with two messages
+			const testQueueName = `test-queue-${randomUUID()}`
+			await queueService.sendMessage(`/queue/${testQueueName}`, 'First')
+			await queueService.sendMessage(`/queue/${testQueueName}`, 'Second')
+
+			// WHEN - Queue is drained to file
+			const result = await sut.exportQueue(testQueueName, filePath, {mode: 'drain', idleTimeout: 1000})
+
+			// THEN - File should hold both messages and the queue be empty
+			expect(result.exportedMessages).toBe(2)
+			expect(readRecords().map(r => r.body)).toEqual(['First', 'Second'])
+			expect(await queueService.browseMessages(testQueueName)).toEqual([])
+		})
+
+		// Unhappy path tests
+		it('should refuse to overwrite existing file', async () => {
+			// GIVEN - Existing export file
+			writeFileSync(filePath, '')
+
+			// WHEN/THEN - Should require overwrite
+			await expect(sut.exportQueue(`test-queue-${randomUUID()}`, filePath)).rejects.toThrow('already exists')
+		})
+
+		it('should refuse a path outside the export directory', async () => {
+			// WHEN/THEN - Should reject a path escaping the directory
+			await expect(sut.exportQueue(`test-queue-${randomUUID()}`, '../escaped.ndjson')).rejects.toThrow('outside the export directory')
+		})
+	})
+
+	describe('replayFile', () => {
+		// Happy path tests first
+		it('should replay exported messages with rewritten properties', async () => {
+			// GIVEN - Exported queue
+			const sourceQueue = `test-queue-${randomUUID()}`
+			const targetQueue = `test-queue-${randomUUID()}`
+			await queueService.sendMessage(`/queue/${sourceQueue}`, 'Replay me', {region: 'eu', secret: 'x'}, {type: 'OrderCreated'})
+			await sut.exportQueue(sourceQueue, filePath)
+
+			// WHEN - File is replayed into another queue
+			const result = await sut.replayFile(filePath, `/queue/${targetQueue}`, {
+				setProperties: {replayed: 'true'},
+				removeProperties: ['secret']
+			})
+
+			// THEN - Target should hold the rewritten message
+			expect(result).toMatchObject({replayedMessages: 1, failedMessages: 0})
+			const [message] = await queueService.browseMessages(targetQueue)
+			expect(message.body).toBe('Replay me')
+			expect(message.headers.JMSType).toBe('OrderCreated')
+			expect(message.properties).toMatchObject({region: 'eu', replayed: 'true'})
+			expect(message.properties.secret).toBeUndefined()
+		})
+
+		// Unhappy path tests
+		it('should report malformed lines and continue', async () => {
+			// GIVEN - File with one bad line
+			const targetQueue = `test-queue-${randomUUID()}`
+			writeFileSync(filePath, 'not json\n{"headers":{},"properties":{},"body":"Good"}\n')
+
+			// WHEN - File is replayed
+			const result = await sut.replayFile(filePath, `/queue/${targetQueue}`)
+
+			// THEN - Should replay the valid line and report the bad one
+			expect(result.replayedMessages).toBe(1)
+			expect(result.failures).toHaveLength(1)
+			expect(result.failures[0]).toEqual({line: 1, error: 'invalid JSON on line 1'})
+		})
+	})
+})
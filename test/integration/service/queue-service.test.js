@@ -79,6 +79,158 @@ describe('QueueService Integration Tests', () => {
 			expect(queueInfo.size).toBe(1)
 		})
 
+		it('should apply typed JMS options over REST', async () => {
+			// GIVEN - Queue and typed send options
+			const testQueueName = `test-queue-${randomUUID()}`
+			const options = {priority: 8, persistent: false, correlationId: 'order-42', replyTo: '/queue/replies', type: 'OrderCreated'}
+
+			// WHEN - Message is sent with options
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Typed message', {}, options)
+
+			// THEN - Browsed message should carry the JMS headers
+			const [message] = await sut.browseMessages(testQueueName)
+			expect(message.headers).toMatchObject({
+				JMSPriority: 8,
+				JMSDeliveryMode: 'NON-PERSISTENT',
+				JMSCorrelationID: 'order-42',
+				JMSReplyTo: 'queue://replies',
+				JMSType: 'OrderCreated'
+			})
+		})
+
+		it('should apply typed JMS options over STOMP', async () => {
+			// GIVEN - Queue and typed send options for the STOMP transport
+			const testQueueName = `test-queue-${randomUUID()}`
+			const options = {priority: 2, correlationId: 'order-43', transport: 'stomp'}
+
+			// WHEN - Message is sent over STOMP
+			const result = await sut.sendMessage(`/queue/${testQueueName}`, 'STOMP message', {}, options)
+
+			// THEN - Browsed message should carry the JMS headers
+			expect(result).toEqual({success: true, transport: 'stomp'})
+			const [message] = await sut.browseMessages(testQueueName)
+			expect(message.headers).toMatchObject({JMSPriority: 2, JMSCorrelationID: 'order-43'})
+			expect(message.body).toBe('STOMP message')
+		})
+
+		// Unhappy path tests
+		it('should reject invalid typed options', async () => {
+			// GIVEN - Out of range priority
+			const testQueuePath = `/queue/test-queue-${randomUUID()}`
+
+			// WHEN/THEN - Should fail validation before sending
+			await expect(sut.sendMessage(testQueuePath, 'Invalid', {}, {priority: 12})).rejects.toThrow('priority must be an integer between 0 and 9')
+		})
+
+	})
+
+	describe('sendMessagesBatch', () => {
+		// Happy path tests first
+		it('should send every message in the batch', async () => {
+			// GIVEN - Batch of three messages
+			const testQueueName = `test-queue-${randomUUID()}`
+			const messages = [{message: 'One'}, {message: 'Two', headers: {kind: 'b'}}, {message: 'Three', priority: 9}]
+
+			// WHEN - Batch is sent
+			const result = await sut.sendMessagesBatch(`/queue/${testQueueName}`, messages, {}, 2)
+
+			// THEN - All messages should arrive
+			expect(result).toMatchObject({total: 3, succeeded: 3, failed: 0})
+			expect(result.results.map(r => r.index)).toEqual([0, 1, 2])
+			const queueInfo = await sut.getQueueInfo(testQueueName)
+			expect(queueInfo.size).toBe(3)
+		})
+
+		it('should report failed messages without aborting the batch', async () => {
+			// GIVEN - Batch with one invalid message
+			const testQueueName = `test-queue-${randomUUID()}`
+			const messages = [{message: 'Valid'}, {message: 'Invalid', priority: 42}]
+
+			// WHEN - Batch is sent
+			const result = await sut.sendMessagesBatch(`/queue/${testQueueName}`, messages)
+
+			// THEN - Only the invalid message should fail
+			expect(result).toMatchObject({total: 2, succeeded: 1, failed: 1})
+			expect(result.results[1]).toMatchObject({index: 1, success: false})
+			expect(result.results[1].error).toContain('priority must be an integer between 0 and 9')
+		})
+
+		// Unhappy path tests
+		it('should throw error for empty batch', async () => {
+			// WHEN/THEN - Should require messages
+			await expect(sut.sendMessagesBatch('/queue/anything', [])).rejects.toThrow('At least one message is required')
+		})
+
+		it('should report a null entry as a failed message', async () => {
+			// GIVEN - Batch with a null entry
+			const testQueueName = `test-queue-${randomUUID()}`
+			const messages = [{message: 'Valid'}, null]
+
+			// WHEN - Batch is sent
+			const result = await sut.sendMessagesBatch(`/queue/${testQueueName}`, messages)
+
+			// THEN - Only the null entry should fail
+			expect(result).toMatchObject({total: 2, succeeded: 1, failed: 1})
+			expect(result.results[1]).toMatchObject({index: 1, success: false, error: 'entry 1: must be an object with a message'})
+		})
+
+		it('should throw error for invalid concurrency', async () => {
+			// WHEN/THEN - Should reject a non-numeric concurrency
+			await expect(sut.sendMessagesBatch('/queue/anything', [{message: 'One'}], {}, 'many'))
+				.rejects.toThrow('Concurrency must be a number between 1 and 50')
+		})
+	})
+
+	describe('requestReply', () => {
+		// Echo responder that replies to each request with its correlation ID
+		async function startResponder(queueName) {
+			const stompClient = await coreClient.getStompClient()
+			return stompClient.subscribe(`/queue/${queueName}`, async (request) => {
+				await stompClient.send(request.headers['reply-to'], `Reply to ${request.body}`, {
+					'correlation-id': request.headers['correlation-id']
+				})
+			})
+		}
+
+		// Happy path tests first
+		it('should return correlated reply from temporary queue', async () => {
+			// GIVEN - Responder listening on a unique request queue
+			const testQueueName = `test-queue-${randomUUID()}`
+			await startResponder(testQueueName)
+
+			// WHEN - Request is sent
+			const result = await sut.requestReply(testQueueName, 'ping', {}, {timeout: 5000})
+
+			// THEN - Should return request and correlated response together
+			expect(result.replyTo).toMatch(/^\/temp-queue\//)
+			expect(result.request.body).toBe('ping')
+			expect(result.response.body).toBe('Reply to ping')
+			expect(result.response.headers['correlation-id']).toBe(result.correlationId)
+		})
+
+		it('should ignore other replies on named reply queue', async () => {
+			// GIVEN - Responder and a foreign reply already on the shared reply queue
+			const testQueueName = `test-queue-${randomUUID()}`
+			const replyQueueName = `test-queue-${randomUUID()}`
+			await startResponder(testQueueName)
+			await sut.sendMessage(`/queue/${replyQueueName}`, 'Someone else', {}, {correlationId: 'other-request'})
+
+			// WHEN - Request is sent with the named reply queue
+			const result = await sut.requestReply(testQueueName, 'ping', {}, {replyTo: replyQueueName, timeout: 5000})
+
+			// THEN - Should receive only its own reply
+			expect(result.response.body).toBe('Reply to ping')
+			expect((await sut.browseMessages(replyQueueName)).map(m => m.body)).toEqual(['Someone else'])
+		})
+
+		// Unhappy path tests
+		it('should throw error when no reply arrives in time', async () => {
+			// GIVEN - Queue without a responder
+			const testQueueName = `test-queue-${randomUUID()}`
+
+			// WHEN/THEN - Should time out
+			await expect(sut.requestReply(testQueueName, 'ping', {}, {timeout: 500})).rejects.toThrow('No reply received within 500ms')
+		})
 	})
 
 	describe('consumeMessage', () => {
@@ -129,6 +281,320 @@ describe('QueueService Integration Tests', () => {
 
 
 
+	describe('browseMessages', () => {
+		// Happy path tests first
+		it('should return messages with JMS headers without consuming them', async () => {
+			// GIVEN - Queue with two messages
+			const testQueueName = `test-queue-${randomUUID()}`
+			const testQueuePath = `/queue/${testQueueName}`
+			await sut.sendMessage(testQueuePath, 'First message')
+			await sut.sendMessage(testQueuePath, 'Second message')
+
+			// WHEN - Messages are browsed
+			const messages = await sut.browseMessages(testQueueName, 10)
+
+			// THEN - Should return both distinct messages with JMS headers
+			expect(messages).toHaveLength(2)
+			expect(messages.map(m => m.body)).toEqual(['First message', 'Second message'])
+			expect(messages[0].headers.JMSMessageID).toBeTruthy()
+			expect(messages[0].headers.JMSMessageID).not.toBe(messages[1].headers.JMSMessageID)
+			expect(messages[0].headers.JMSTimestamp).toBeGreaterThan(0)
+			expect(messages[0].headers.JMSPriority).toBeGreaterThanOrEqual(0)
+
+			// AND - Queue should still contain the messages
+			const queueInfo = await sut.getQueueInfo(testQueueName)
+			expect(queueInfo.size).toBe(2)
+		})
+
+		it('should respect limit', async () => {
+			// GIVEN - Queue with three messages
+			const testQueueName = `test-queue-${randomUUID()}`
+			const testQueuePath = `/queue/${testQueueName}`
+			for (const message of ['One', 'Two', 'Three']) {
+				await sut.sendMessage(testQueuePath, message)
+			}
+
+			// WHEN - Browsing with limit
+			const messages = await sut.browseMessages(testQueueName, 2)
+
+			// THEN - Should return only the first two messages
+			expect(messages.map(m => m.body)).toEqual(['One', 'Two'])
+		})
+
+		it('should filter messages by selector', async () => {
+			// GIVEN - Queue with messages carrying a user property
+			const testQueueName = `test-queue-${randomUUID()}`
+			const testQueuePath = `/queue/${testQueueName}`
+			await sut.sendMessage(testQueuePath, 'EU order', {region: 'eu'})
+			await sut.sendMessage(testQueuePath, 'US order', {region: 'us'})
+
+			// WHEN - Browsing with selector
+			const messages = await sut.browseMessages(testQueueName, 10, "region = 'eu'")
+
+			// THEN - Should return only the matching message with its properties
+			expect(messages).toHaveLength(1)
+			expect(messages[0].body).toBe('EU order')
+			expect(messages[0].properties.region).toBe('eu')
+		})
+
+		// Unhappy path tests
+		it('should throw error when not connected', async () => {
+			// GIVEN - Disconnected client
+			await coreClient.disconnect()
+
+			// WHEN/THEN - Should throw connection error
+			await expect(sut.browseMessages(`test-queue-${randomUUID()}`)).rejects.toThrow('Not connected to ActiveMQ broker')
+		})
+	})
+
+	describe('moveMessages', () => {
+		// Happy path tests first
+		it('should move messages matching selector to target queue', async () => {
+			// GIVEN - Source queue with mixed messages
+			const sourceQueue = `test-queue-${randomUUID()}`
+			const targetQueue = `test-queue-${randomUUID()}`
+			await sut.sendMessage(`/queue/${sourceQueue}`, 'EU order', {region: 'eu'})
+			await sut.sendMessage(`/queue/${sourceQueue}`, 'US order', {region: 'us'})
+
+			// WHEN - Matching messages are moved
+			const result = await sut.moveMessages(sourceQueue, targetQueue, {selector: "region = 'eu'"})
+
+			// THEN - Should report one moved message
+			expect(result.movedMessages).toBe(1)
+
+			// AND - Message should now be in the target queue only
+			const targetMessages = await sut.browseMessages(targetQueue)
+			expect(targetMessages.map(m => m.body)).toEqual(['EU order'])
+			const sourceMessages = await sut.browseMessages(sourceQueue)
+			expect(sourceMessages.map(m => m.body)).toEqual(['US order'])
+		})
+
+		it('should move single message by message ID', async () => {
+			// GIVEN - Source queue with two messages
+			const sourceQueue = `test-queue-${randomUUID()}`
+			const targetQueue = `test-queue-${randomUUID()}`
+			await sut.sendMessage(`/queue/${sourceQueue}`, 'Keep me')
+			await sut.sendMessage(`/queue/${sourceQueue}`, 'Move me')
+			const [, toMove] = await sut.browseMessages(sourceQueue)
+
+			// WHEN - Message is moved by ID
+			const result = await sut.moveMessages(sourceQueue, targetQueue, {messageId: toMove.headers.JMSMessageID})
+
+			// THEN - Only that message should be moved
+			expect(result.movedMessages).toBe(1)
+			const targetMessages = await sut.browseMessages(targetQueue)
+			expect(targetMessages.map(m => m.body)).toEqual(['Move me'])
+		})
+
+		it('should respect maxMessages', async () => {
+			// GIVEN - Source queue with three messages
+			const sourceQueue = `test-queue-${randomUUID()}`
+			const targetQueue = `test-queue-${randomUUID()}`
+			for (const message of ['One', 'Two', 'Three']) {
+				await sut.sendMessage(`/queue/${sourceQueue}`, message)
+			}
+
+			// WHEN - Moving at most two messages
+			const result = await sut.moveMessages(sourceQueue, targetQueue, {maxMessages: 2})
+
+			// THEN - Should move exactly two messages
+			expect(result.movedMessages).toBe(2)
+			const sourceMessages = await sut.browseMessages(sourceQueue)
+			expect(sourceMessages).toHaveLength(1)
+		})
+
+		// Unhappy path tests
+		it('should throw error when source and target are the same', async () => {
+			// GIVEN - Same source and target queue
+			const queueName = `test-queue-${randomUUID()}`
+
+			// WHEN/THEN - Should reject the transfer
+			await expect(sut.moveMessages(queueName, queueName)).rejects.toThrow('Source and target queue must be different')
+		})
+	})
+
+	describe('copyMessages', () => {
+		it('should copy messages and keep originals', async () => {
+			// GIVEN - Source queue with one message
+			const sourceQueue = `test-queue-${randomUUID()}`
+			const targetQueue = `test-queue-${randomUUID()}`
+			await sut.sendMessage(`/queue/${sourceQueue}`, 'Copy me')
+
+			// WHEN - Messages are copied
+			const result = await sut.copyMessages(sourceQueue, targetQueue)
+
+			// THEN - Both queues should contain the message
+			expect(result.copiedMessages).toBe(1)
+			expect((await sut.browseMessages(sourceQueue)).map(m => m.body)).toEqual(['Copy me'])
+			expect((await sut.browseMessages(targetQueue)).map(m => m.body)).toEqual(['Copy me'])
+		})
+	})
+
+	describe('removeMessages', () => {
+		// Happy path tests first
+		it('should remove single message by ID and keep the rest', async () => {
+			// GIVEN - Queue with two messages
+			const testQueueName = `test-queue-${randomUUID()}`
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Poison')
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Valid')
+			const [poison] = await sut.browseMessages(testQueueName)
+
+			// WHEN - The first message is removed by ID
+			const result = await sut.removeMessages(testQueueName, {messageId: poison.headers.JMSMessageID})
+
+			// THEN - Only the other message should remain
+			expect(result.removedMessages).toBe(1)
+			expect((await sut.browseMessages(testQueueName)).map(m => m.body)).toEqual(['Valid'])
+		})
+
+		it('should remove selector matches', async () => {
+			// GIVEN - Queue with messages of two types
+			const testQueueName = `test-queue-${randomUUID()}`
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Bad 1', {kind: 'bad'})
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Good', {kind: 'good'})
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Bad 2', {kind: 'bad'})
+
+			// WHEN - Matching messages are removed
+			const result = await sut.removeMessages(testQueueName, {selector: "kind = 'bad'"})
+
+			// THEN - Only non-matching messages should remain
+			expect(result.removedMessages).toBe(2)
+			expect((await sut.browseMessages(testQueueName)).map(m => m.body)).toEqual(['Good'])
+		})
+
+		it('should only count matches on dry run', async () => {
+			// GIVEN - Queue with matching messages
+			const testQueueName = `test-queue-${randomUUID()}`
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Bad', {kind: 'bad'})
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Good', {kind: 'good'})
+
+			// WHEN - Removal is dry-run
+			const result = await sut.removeMessages(testQueueName, {selector: "kind = 'bad'", dryRun: true})
+
+			// THEN - Should report the match and leave the queue untouched
+			expect(result.dryRun).toBe(true)
+			expect(result.matchingMessages).toBe(1)
+			expect(result.truncated).toBe(false)
+			expect(result.messageIds).toHaveLength(1)
+			expect(await sut.browseMessages(testQueueName)).toHaveLength(2)
+		})
+
+		// Unhappy path tests
+		it('should throw error without message ID or selector', async () => {
+			// GIVEN - Queue name only
+			const testQueueName = `test-queue-${randomUUID()}`
+
+			// WHEN/THEN - Should refuse to remove everything
+			await expect(sut.removeMessages(testQueueName)).rejects.toThrow('Either messageId or selector is required')
+		})
+	})
+
+	describe('createQueue', () => {
+		// Happy path tests first
+		it('should create queue that did not exist', async () => {
+			// GIVEN - Unique queue name
+			const testQueueName = `test-queue-${randomUUID()}`
+
+			// WHEN - Queue is created
+			const result = await sut.createQueue(testQueueName)
+
+			// THEN - Queue should be listed by the broker
+			expect(result).toEqual({queueName: testQueueName, created: true})
+			const queues = await sut.listQueues()
+			expect(queues.find(q => q.name === testQueueName)).toBeTruthy()
+		})
+
+		it('should report existing queue as not created', async () => {
+			// GIVEN - Queue that already exists
+			const testQueueName = `test-queue-${randomUUID()}`
+			await sut.createQueue(testQueueName)
+
+			// WHEN - Queue is created again
+			const result = await sut.createQueue(testQueueName)
+
+			// THEN - Should not recreate it
+			expect(result.created).toBe(false)
+		})
+	})
+
+	describe('deleteQueue', () => {
+		// Happy path tests first
+		it('should delete queue with its messages', async () => {
+			// GIVEN - Queue with a message
+			const testQueueName = `test-queue-${randomUUID()}`
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Delete me')
+
+			// WHEN - Queue is deleted
+			const result = await sut.deleteQueue(testQueueName)
+
+			// THEN - Queue should no longer be listed
+			expect(result).toEqual({queueName: testQueueName, deleted: true})
+			const queues = await sut.listQueues()
+			expect(queues.find(q => q.name === testQueueName)).toBeUndefined()
+		})
+
+		// Unhappy path tests
+		it('should throw error when queue does not exist', async () => {
+			// GIVEN - Non-existent queue
+			const nonExistentQueue = `non-existent-${randomUUID()}`
+
+			// WHEN/THEN - Should refuse to delete it
+			await expect(sut.deleteQueue(nonExistentQueue)).rejects.toThrow(`Queue '${nonExistentQueue}' does not exist`)
+		})
+	})
+
+	describe('pauseQueue', () => {
+		// Happy path tests first
+		it('should report queue as paused until resumed', async () => {
+			// GIVEN - Existing queue
+			const testQueueName = `test-queue-${randomUUID()}`
+			await sut.createQueue(testQueueName)
+
+			// WHEN - Queue is paused
+			const result = await sut.pauseQueue(testQueueName)
+
+			// THEN - queue_info and list_queues should both show it paused
+			expect(result).toEqual({queueName: testQueueName, paused: true})
+			expect(await sut.getQueueInfo(testQueueName, {fields: ['paused']})).toEqual({paused: true})
+			const [listed] = await sut.listQueues({name: testQueueName})
+			expect(listed.paused).toBe(true)
+
+			// WHEN - Queue is resumed
+			await sut.resumeQueue(testQueueName)
+
+			// THEN - Should no longer be paused
+			expect(await sut.getQueueInfo(testQueueName, {fields: ['paused']})).toEqual({paused: false})
+		})
+
+		it('should keep messages on paused queue away from consumers', async () => {
+			// GIVEN - Paused queue with a message
+			const testQueueName = `test-queue-${randomUUID()}`
+			await sut.createQueue(testQueueName)
+			await sut.pauseQueue(testQueueName)
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Held message')
+
+			// WHEN - A consumer waits briefly
+			const stompClient = await coreClient.getStompClient()
+			const received = []
+			const subscriptionId = stompClient.subscribe(`/queue/${testQueueName}`, message => received.push(message))
+			await new Promise(resolve => setTimeout(resolve, 1000))
+			stompClient.unsubscribe(subscriptionId)
+
+			// THEN - Message should still be on the queue
+			expect(received).toEqual([])
+			expect((await sut.getQueueInfo(testQueueName, {fields: ['size']})).size).toBe(1)
+		})
+
+		// Unhappy path tests
+		it('should throw error when queue does not exist', async () => {
+			// GIVEN - Non-existent queue
+			const nonExistentQueue = `non-existent-${randomUUID()}`
+
+			// WHEN/THEN - Should refuse to pause it
+			await expect(sut.pauseQueue(nonExistentQueue)).rejects.toThrow(`Queue '${nonExistentQueue}' does not exist`)
+		})
+	})
+
 	describe('getQueueInfo', () => {
 		// Happy path tests first
 		it('should return queue information when queue exists', async () => {
@@ -146,20 +612,72 @@ describe('QueueService Integration Tests', () => {
 				size: 1,
 				consumerCount: 0,
 				enqueueCount: 1,
-				dequeueCount: 0
+				dequeueCount: 0,
+				producerCount: 0,
+				inFlightCount: 0,
+				expiredCount: 0,
+				paused: false,
+				dlq: false
 			})
+			expect(queueInfo.averageMessageSize).toBeGreaterThan(0)
+			expect(queueInfo.oldestMessageAge).toBeGreaterThanOrEqual(0)
 		})
 
-		it('should return default values when queue does not exist', async () => {
+		it('should return only requested fields', async () => {
+			// GIVEN - Queue with a message
+			const testQueueName = `test-queue-${randomUUID()}`
+			await sut.sendMessage(`/queue/${testQueueName}`, 'Test message')
+
+			// WHEN - A subset of fields is requested
+			const queueInfo = await sut.getQueueInfo(testQueueName, {fields: ['size', 'inFlightCount']})
+
+			// THEN - Should contain exactly those fields
+			expect(queueInfo).toEqual({size: 1, inFlightCount: 0})
+		})
+
+		it('should return null oldest message age for empty queue', async () => {
+			// GIVEN - Empty queue
+			const testQueueName = `test-queue-${randomUUID()}`
+			await sut.createQueue(testQueueName)
+
+			// WHEN - Age of the head message is requested
+			const queueInfo = await sut.getQueueInfo(testQueueName, {fields: ['oldestMessageAge']})
+
+			// THEN - Should have no age
+			expect(queueInfo).toEqual({oldestMessageAge: null})
+		})
+
+		// Unhappy path tests
+		it('should reject unknown fields', async () => {
+			// GIVEN - Misspelled field name
+			const testQueueName = `test-queue-${randomUUID()}`
+
+			// WHEN/THEN - Should list the valid fields
+			await expect(sut.getQueueInfo(testQueueName, {fields: ['queueSize']})).rejects.toThrow('Unknown queue info fields: queueSize')
+		})
+
+		it('should throw not-found error when queue does not exist', async () => {
 			// GIVEN - Non-existent queue
 			const nonExistentQueue = `non-existent-${randomUUID()}`
 
-			// WHEN - Info requested for non-existent queue
-			const queueInfo = await sut.getQueueInfo(nonExistentQueue)
+			// WHEN/THEN - Should fail instead of reporting an empty queue
+			await expect(sut.getQueueInfo(nonExistentQueue)).rejects.toMatchObject({
+				kind: 'not-found',
+				message: expect.stringContaining(`Queue '${nonExistentQueue}' does not exist`)
+			})
+		})
+
+		it('should suggest similarly named queues when queue does not exist', async () => {
+			// GIVEN - Existing queue and a misspelled name
+			const testQueueName = `test-queue-${randomUUID()}`
+			await sut.createQueue(testQueueName)
+			const misspelledName = testQueueName.replace('test-queue', 'test-qeue')
 
-			// THEN - Should return default values
-			expect(queueInfo.name).toBe(nonExistentQueue)
-			expect(queueInfo.size).toBe(0)
+			// WHEN/THEN - Should suggest the existing queue
+			await expect(sut.getQueueInfo(misspelledName)).rejects.toMatchObject({
+				kind: 'not-found',
+				suggestions: [testQueueName]
+			})
 		})
 	})
 
@@ -185,5 +703,38 @@ describe('QueueService Integration Tests', () => {
 			expect(testQueueInfo.enqueueCount).toBe(1)
 			expect(testQueueInfo.dequeueCount).toBe(0)
 		})
+
+		it('should filter queues by name glob and size predicate', async () => {
+			// GIVEN - Two queues sharing a prefix, one with a message
+			const prefix = `test-filter-${randomUUID()}`
+			await sut.sendMessage(`/queue/${prefix}.full`, 'Test message')
+			await sut.createQueue(`${prefix}.empty`)
+
+			// WHEN - Non-empty queues under the prefix are listed
+			const queues = await sut.listQueues({name: `${prefix}.*`, where: ['size > 0']})
+
+			// THEN - Should return only the queue with the message
+			expect(queues.map(q => q.name)).toEqual([`${prefix}.full`])
+		})
+
+		it('should sort queues by size descending', async () => {
+			// GIVEN - Queues with different depths
+			const prefix = `test-sort-${randomUUID()}`
+			await sut.sendMessage(`/queue/${prefix}.one`, 'Test message')
+			await sut.sendMessage(`/queue/${prefix}.two`, 'Test message')
+			await sut.sendMessage(`/queue/${prefix}.two`, 'Test message')
+
+			// WHEN - Queues are sorted by size
+			const queues = await sut.listQueues({name: `${prefix}.*`, sortBy: 'size', sortOrder: 'desc'})
+
+			// THEN - Deeper queue comes first
+			expect(queues.map(q => q.name)).toEqual([`${prefix}.two`, `${prefix}.one`])
+		})
+
+		// Unhappy path tests
+		it('should reject predicate on unknown field', async () => {
+			// WHEN/THEN - Should list the valid fields
+			await expect(sut.listQueues({where: ['depth > 1']})).rejects.toThrow("Unknown field 'depth'")
+		})
 	})
 })
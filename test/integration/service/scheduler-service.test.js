@@ -0,0 +1,55 @@
+import {afterEach, beforeEach, describe, expect, it} from 'vitest'
+import {CoreClient} from '../../../src/core/client/index.js'
+import {SchedulerService} from '../../../src/core/service/index.js'
+import {activemqConfig} from '../setup/activemq-config.js'
+
+describe('SchedulerService Integration Tests', () => {
+	let coreClient
+	let sut
+
+	beforeEach(async () => {
+		// Initialize components and unique test data
+		coreClient = new CoreClient(activemqConfig)
+		sut = new SchedulerService(coreClient)
+
+		await coreClient.connect()
+	})
+
+	afterEach(async () => {
+		// CLEANUP - Close connections
+		if (coreClient.isConnected()) {
+			await coreClient.disconnect()
+		}
+	})
+
+	describe('removeJobs', () => {
+		// Unhappy path tests
+		it('should reject time window in wrong format', async () => {
+			// GIVEN - ISO timestamps instead of the scheduler format
+			const start = '2024-05-01T10:00:00Z'
+			const end = '2024-05-01T11:00:00Z'
+
+			// WHEN/THEN - Should fail before touching the scheduler
+			await expect(sut.removeJobs(start, end)).rejects.toThrow('start and end must both be given as yyyy-MM-dd HH:mm:ss')
+		})
+
+		it('should reject time window with only one bound', async () => {
+			// GIVEN - Start without end
+			const start = '2024-05-01 10:00:00'
+
+			// WHEN/THEN - Should require both bounds
+			await expect(sut.removeJobs(start)).rejects.toThrow('start and end must both be given as yyyy-MM-dd HH:mm:ss')
+		})
+	})
+
+	describe('listJobs', () => {
+		// Unhappy path tests
+		it('should throw error when not connected', async () => {
+			// GIVEN - Disconnected client
+			await coreClient.disconnect()
+
+			// WHEN/THEN - Should throw connection error
+			await expect(sut.listJobs()).rejects.toThrow('Not connected to ActiveMQ broker')
+		})
+	})
+})
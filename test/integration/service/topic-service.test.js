@@ -111,82 +111,76 @@ describe('TopicService Integration Tests', () => {
 
 	describe('subscribeToTopic', () => {
 		// Happy path tests first
-		it('should handle subscription with timeout (REST API limitation)', async () => {
-			// GIVEN - Topic with published message
+		it('should receive message published while subscribed', async () => {
+			// GIVEN - Active subscription on a unique topic
 			const testTopicName = `test-topic-${randomUUID()}`
 			const testTopicPath = `/topic/${testTopicName}`
 			const testMessage = `Message for subscription test - ${Date.now()}`
-			
-			// Publish message first
-			await sut.publishMessage(testTopicPath, testMessage)
+			const subscription = sut.subscribeToTopic(testTopicPath, {timeout: 5000, maxMessages: 1})
+			await new Promise(resolve => setTimeout(resolve, 500))
 
-			// WHEN - Subscribing with short timeout
-			const messages = await sut.subscribeToTopic(testTopicPath, {timeout: 2000, maxMessages: 1})
+			// WHEN - Message is published
+			await sut.publishMessage(testTopicPath, testMessage)
+			const messages = await subscription
 
-			// THEN - Should return empty array due to REST API limitations
-			expect(Array.isArray(messages)).toBe(true)
-			expect(messages.length).toBe(0)
-			
-			// AND - Verify the published message exists in broker stats
-			const topics = await sut.listTopics()
-			const targetTopic = topics.find(t => t.name === testTopicName)
-			if (targetTopic) {
-				expect(targetTopic.enqueueCount).toBe(1) // Message was published
-			}
+			// THEN - Should receive the published message
+			expect(messages).toHaveLength(1)
+			expect(messages[0].body).toBe(testMessage)
+			expect(messages[0].destination).toBe(testTopicPath)
+			expect(messages[0].messageId).toBeTruthy()
 		})
 
-		it('should respect maxMessages parameter', async () => {
-			// GIVEN - Topic with multiple published messages
+		it('should stop after maxMessages is reached', async () => {
+			// GIVEN - Active subscription limited to two messages
 			const testTopicName = `test-topic-${randomUUID()}`
 			const testTopicPath = `/topic/${testTopicName}`
-			const messages = ['Message 1', 'Message 2', 'Message 3']
-			
-			// Publish multiple messages first
-			for (const message of messages) {
-				await sut.publishMessage(testTopicPath, `${message} - ${Date.now()}`)
-			}
-
-			// WHEN - Subscribing with maxMessages limit
-			const receivedMessages = await sut.subscribeToTopic(testTopicPath, {timeout: 1000, maxMessages: 3})
+			const subscription = sut.subscribeToTopic(testTopicPath, {timeout: 5000, maxMessages: 2})
+			await new Promise(resolve => setTimeout(resolve, 500))
 
-			// THEN - Should return empty array (REST API limitation) with exact length
-			expect(Array.isArray(receivedMessages)).toBe(true)
-			expect(receivedMessages.length).toBe(0)
-			
-			// AND - Verify all messages were published to broker
-			const topics = await sut.listTopics()
-			const targetTopic = topics.find(t => t.name === testTopicName)
-			if (targetTopic) {
-				expect(targetTopic.enqueueCount).toBe(3) // All 3 messages published
+			// WHEN - Three messages are published
+			for (const message of ['Message 1', 'Message 2', 'Message 3']) {
+				await sut.publishMessage(testTopicPath, message)
 			}
+			const messages = await subscription
+
+			// THEN - Should return exactly two messages in publish order
+			expect(messages.map(m => m.body)).toEqual(['Message 1', 'Message 2'])
 		})
 
-		it('should use default options when none provided', async () => {
-			// GIVEN - Topic with published message
-			const testTopicName = `test-topic-${randomUUID()}`
-			const testTopicPath = `/topic/${testTopicName}`
-			const testMessage = `Default options test - ${Date.now()}`
-			
-			// Publish message to test against
-			await sut.publishMessage(testTopicPath, testMessage)
+		it('should return empty array when timeout elapses without messages', async () => {
+			// GIVEN - Topic with no publishers
+			const testTopicPath = `/topic/test-topic-${randomUUID()}`
 
-			// WHEN - Subscribing with defaults (will take ~10 seconds due to default timeout)
+			// WHEN - Subscribing with short timeout
 			const startTime = Date.now()
-			const messages = await sut.subscribeToTopic(testTopicPath, {timeout: 1000}) // Override for test speed
+			const messages = await sut.subscribeToTopic(testTopicPath, {timeout: 1000})
 			const duration = Date.now() - startTime
 
-			// THEN - Should complete within reasonable time and return empty array
-			expect(Array.isArray(messages)).toBe(true)
-			expect(messages.length).toBe(0)
-			expect(duration).toBeGreaterThan(900) // Should take at least 900ms due to polling
-			expect(duration).toBeLessThan(1500) // Should complete in under 1.5 seconds with our timeout
-			
-			// AND - Verify the message exists in broker (even though subscription can't retrieve it)
-			const topics = await sut.listTopics()
-			const targetTopic = topics.find(t => t.name === testTopicName)
-			if (targetTopic) {
-				expect(targetTopic.enqueueCount).toBe(1) // Message was published
-			}
+			// THEN - Should return empty array after the timeout
+			expect(messages).toEqual([])
+			expect(duration).toBeGreaterThan(900)
+			expect(duration).toBeLessThan(3000)
+		})
+
+		it('should not receive messages published before subscribing', async () => {
+			// GIVEN - Message published before any subscription exists
+			const testTopicPath = `/topic/test-topic-${randomUUID()}`
+			await sut.publishMessage(testTopicPath, 'Missed message')
+
+			// WHEN - Subscribing afterwards
+			const messages = await sut.subscribeToTopic(testTopicPath, {timeout: 1000})
+
+			// THEN - Non-durable subscription should not see the earlier message
+			expect(messages).toEqual([])
+		})
+
+		// Unhappy path tests
+		it('should throw error when not connected', async () => {
+			// GIVEN - Disconnected client
+			await coreClient.disconnect()
+
+			// WHEN/THEN - Should throw connection error
+			await expect(sut.subscribeToTopic(`/topic/test-topic-${randomUUID()}`)).rejects.toThrow('Not connected to ActiveMQ broker')
 		})
 	})
 
@@ -236,6 +230,109 @@ describe('TopicService Integration Tests', () => {
 		})
 	})
 
+	describe('durable subscribers', () => {
+		// Happy path tests first
+		it('should create and list inactive durable subscriber', async () => {
+			// GIVEN - Unique topic and subscription
+			const testTopicName = `test-topic-${randomUUID()}`
+			const clientId = `test-client-${randomUUID()}`
+
+			// WHEN - Durable subscriber is created
+			await sut.createDurableSubscriber(testTopicName, clientId, 'audit', "kind = 'order'")
+			const subscribers = await sut.listDurableSubscribers(testTopicName)
+
+			// THEN - Should be listed as inactive with its selector
+			expect(subscribers).toHaveLength(1)
+			expect(subscribers[0]).toMatchObject({
+				clientId,
+				subscriptionName: 'audit',
+				topicName: testTopicName,
+				selector: "kind = 'order'",
+				active: false,
+				pendingQueueSize: 0
+			})
+		})
+
+		it('should retain and browse messages for offline subscriber', async () => {
+			// GIVEN - Offline durable subscriber and a published message
+			const testTopicName = `test-topic-${randomUUID()}`
+			const clientId = `test-client-${randomUUID()}`
+			await sut.createDurableSubscriber(testTopicName, clientId, 'audit')
+			await sut.publishMessage(`/topic/${testTopicName}`, 'Retained message')
+
+			// WHEN - Subscription is browsed
+			const messages = await sut.browseDurableSubscription(clientId, 'audit')
+
+			// THEN - Should contain the pending message
+			expect(messages.map(m => m.body)).toEqual(['Retained message'])
+		})
+
+		it('should destroy durable subscriber', async () => {
+			// GIVEN - Existing durable subscriber
+			const testTopicName = `test-topic-${randomUUID()}`
+			const clientId = `test-client-${randomUUID()}`
+			await sut.createDurableSubscriber(testTopicName, clientId, 'audit')
+
+			// WHEN - Subscriber is destroyed
+			const result = await sut.destroyDurableSubscriber(clientId, 'audit')
+
+			// THEN - Should no longer be listed
+			expect(result).toMatchObject({clientId, subscriptionName: 'audit', topicName: testTopicName})
+			expect(await sut.listDurableSubscribers(testTopicName)).toEqual([])
+		})
+
+		// Unhappy path tests
+		it('should throw error when destroying unknown subscription', async () => {
+			// GIVEN - Unknown client ID
+			const clientId = `missing-client-${randomUUID()}`
+
+			// WHEN/THEN - Should report the missing subscription
+			await expect(sut.destroyDurableSubscriber(clientId, 'audit')).rejects.toThrow('does not exist')
+		})
+	})
+
+	describe('createTopic', () => {
+		// Happy path tests first
+		it('should create topic that did not exist', async () => {
+			// GIVEN - Unique topic name
+			const testTopicName = `test-topic-${randomUUID()}`
+
+			// WHEN - Topic is created
+			const result = await sut.createTopic(testTopicName)
+
+			// THEN - Topic should be listed by the broker
+			expect(result).toEqual({topicName: testTopicName, created: true})
+			const topics = await sut.listTopics()
+			expect(topics.find(t => t.name === testTopicName)).toBeTruthy()
+		})
+	})
+
+	describe('deleteTopic', () => {
+		// Happy path tests first
+		it('should delete existing topic', async () => {
+			// GIVEN - Existing topic
+			const testTopicName = `test-topic-${randomUUID()}`
+			await sut.createTopic(testTopicName)
+
+			// WHEN - Topic is deleted
+			const result = await sut.deleteTopic(testTopicName)
+
+			// THEN - Topic should no longer be listed
+			expect(result).toEqual({topicName: testTopicName, deleted: true})
+			const topics = await sut.listTopics()
+			expect(topics.find(t => t.name === testTopicName)).toBeUndefined()
+		})
+
+		// Unhappy path tests
+		it('should throw error when topic does not exist', async () => {
+			// GIVEN - Non-existent topic
+			const nonExistentTopic = `non-existent-${randomUUID()}`
+
+			// WHEN/THEN - Should refuse to delete it
+			await expect(sut.deleteTopic(nonExistentTopic)).rejects.toThrow(`Topic '${nonExistentTopic}' does not exist`)
+		})
+	})
+
 	describe('topic message flow integration', () => {
 		it('should handle complete publish workflow', async () => {
 			// GIVEN - Unique topic and test data
@@ -2,7 +2,7 @@
 export const activemqConfig = {
   host: 'localhost',
   port: 8161,      // Web console port for REST API
-  stompPort: 61616, // STOMP port for reference
+  stompPort: 61613, // STOMP port for topic subscriptions
   webPort: 8161,
   username: 'admin',
   password: 'admin',
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { BrokerError, BrokerErrorKind, classifyError } from '../../src/core/client/broker-error.js'
+import { JolokiaError } from '../../src/core/client/jolokia-client.js'
+
+describe('Broker Error Unit Tests', () => {
+  describe('classifyError()', () => {
+    it('should classify missing MBean as not found', () => {
+      // GIVEN - Jolokia failure for an unknown MBean
+      const error = new JolokiaError('No MBean', { status: 404, errorType: 'javax.management.InstanceNotFoundException' })
+
+      // WHEN/THEN - Should be not-found
+      expect(classifyError(error)).toBe(BrokerErrorKind.NOT_FOUND)
+    })
+
+    it('should classify transport-level 404 as misconfigured', () => {
+      // GIVEN - HTTP 404 from a wrong Jolokia path, without a Jolokia response
+      const error = Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } })
+
+      // WHEN/THEN - Should not be mistaken for a missing queue
+      expect(classifyError(error)).toBe(BrokerErrorKind.MISCONFIGURED)
+    })
+
+    it('should classify rejected credentials as unauthorized', () => {
+      // GIVEN - HTTP 401 from the web console
+      const error = Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } })
+
+      // WHEN/THEN - Should be unauthorized
+      expect(classifyError(error)).toBe(BrokerErrorKind.UNAUTHORIZED)
+    })
+
+    it('should classify refused connection as unreachable', () => {
+      // GIVEN - Socket error without an HTTP response
+      const error = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8161'), { code: 'ECONNREFUSED' })
+
+      // WHEN/THEN - Should be unreachable
+      expect(classifyError(error)).toBe(BrokerErrorKind.UNREACHABLE)
+    })
+
+    it('should keep the kind of an existing broker error', () => {
+      // WHEN/THEN - Already classified errors pass through
+      expect(classifyError(new BrokerError('gone', { kind: BrokerErrorKind.NOT_FOUND }))).toBe(BrokerErrorKind.NOT_FOUND)
+    })
+
+    it('should return null for other failures', () => {
+      // WHEN/THEN - Server errors have no specific kind
+      expect(classifyError(Object.assign(new Error('boom'), { response: { status: 500 } }))).toBeNull()
+      expect(classifyError(new JolokiaError('bad op', { status: 400 }))).toBeNull()
+    })
+  })
+})
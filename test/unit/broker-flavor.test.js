@@ -0,0 +1,207 @@
+import { describe, it, expect, vi } from 'vitest'
+import { ArtemisFlavor, ClassicFlavor } from '../../src/core/flavor/index.js'
+import { CoreClient } from '../../src/core/client/core-client.js'
+
+const ARTEMIS_BROKER = 'org.apache.activemq.artemis:broker="amq-1"'
+
+describe('Broker Flavor Unit Tests', () => {
+  describe('ClassicFlavor', () => {
+    const flavor = new ClassicFlavor()
+
+    it('should build destination MBeans under the broker MBean', () => {
+      // GIVEN - The Classic broker MBean
+      const brokerMBean = flavor.brokerMBean('localhost')
+
+      // WHEN/THEN - Destinations are keyed by type and name
+      expect(brokerMBean).toBe('org.apache.activemq:type=Broker,brokerName=localhost')
+      expect(flavor.destinationMBean(brokerMBean, 'Queue', 'orders'))
+        .toBe('org.apache.activemq:type=Broker,brokerName=localhost,destinationType=Queue,destinationName=orders')
+    })
+
+    it('should derive broker usage from the percentage attributes', () => {
+      // WHEN/THEN - Usage is read as limit and percentage
+      expect(flavor.brokerAttributes(['BrokerName', 'MemoryUsage', 'MemoryLimit']))
+        .toEqual(['BrokerName', 'MemoryLimit', 'MemoryPercentUsage'])
+      expect(flavor.toBrokerView({ MemoryLimit: 1000, MemoryPercentUsage: 25 })).toMatchObject({ MemoryUsage: 250 })
+    })
+
+    it('should encode destination names into the MBean name', () => {
+      // WHEN/THEN - Characters that would break the ObjectName are replaced
+      expect(flavor.destinationMBean('b', 'Queue', 'a,b=c'))
+        .toBe('b,destinationType=Queue,destinationName=a_b&amp;c')
+    })
+
+    it('should prefer the exact Name attribute when describing destinations', () => {
+      // GIVEN - An MBean whose name lost a comma to encoding
+      const mbean = 'org.apache.activemq:type=Broker,brokerName=localhost,destinationType=Queue,destinationName=a_b&amp;c'
+
+      // WHEN/THEN - Name attribute wins, MBean name is decoded otherwise
+      expect(flavor.describeDestination(mbean, { Name: 'a,b=c' }).name).toBe('a,b=c')
+      expect(flavor.describeDestination(mbean).name).toBe('a_b=c')
+    })
+
+    it('should describe destinations from their MBean name', () => {
+      // WHEN/THEN - Name and type come from the key properties
+      expect(flavor.describeDestination('org.apache.activemq:type=Broker,brokerName=localhost,destinationType=TempQueue,destinationName=ID_1'))
+        .toEqual({ name: 'ID_1', destinationType: 'TempQueue' })
+    })
+  })
+
+  describe('ArtemisFlavor', () => {
+    const flavor = new ArtemisFlavor()
+
+    it('should read the quoted broker name', () => {
+      // WHEN/THEN - Broker name is unquoted
+      expect(flavor.brokerNameFrom(ARTEMIS_BROKER)).toBe('amq-1')
+      expect(flavor.brokerMBean('amq-1')).toBe(ARTEMIS_BROKER)
+    })
+
+    it('should map queues to anycast queues and topics to addresses', () => {
+      // WHEN/THEN - Queue and topic MBeans follow the address layout
+      expect(flavor.destinationMBean(ARTEMIS_BROKER, 'Queue', 'orders'))
+        .toBe(`${ARTEMIS_BROKER},component=addresses,address="orders",subcomponent=queues,routing-type="anycast",queue="orders"`)
+      expect(flavor.destinationMBean(ARTEMIS_BROKER, 'Topic', 'prices'))
+        .toBe(`${ARTEMIS_BROKER},component=addresses,address="prices"`)
+      expect(flavor.destinationPattern(ARTEMIS_BROKER, 'TempQueue'))
+        .toBe(`${ARTEMIS_BROKER},component=addresses,address=*,subcomponent=queues,routing-type="anycast",queue=*`)
+    })
+
+    it('should describe temporary queues and skip anycast-only addresses', () => {
+      // GIVEN - A temporary queue and two addresses
+      const queue = `${ARTEMIS_BROKER},component=addresses,address="reply",subcomponent=queues,routing-type="anycast",queue="reply"`
+      const address = `${ARTEMIS_BROKER},component=addresses,address="orders"`
+
+      // WHEN/THEN - Only multicast addresses are topics
+      expect(flavor.describeDestination(queue, { Temporary: true })).toEqual({ name: 'reply', destinationType: 'TempQueue' })
+      expect(flavor.describeDestination(address, { RoutingTypes: ['ANYCAST'] })).toBeNull()
+      expect(flavor.describeDestination(address, { RoutingTypes: ['MULTICAST'] })).toEqual({ name: 'orders', destinationType: 'Topic' })
+    })
+
+    it('should translate requested attributes to Artemis names', () => {
+      // WHEN/THEN - Classic-only attributes are dropped and type flags added
+      expect(flavor.destinationAttributes('Queue', ['QueueSize', 'ProducerCount', 'Paused']))
+        .toEqual(['Temporary', 'MessageCount', 'Paused'])
+      expect(flavor.destinationAttributes('Topic', ['EnqueueCount']))
+        .toEqual(['Temporary', 'RoutingTypes', 'RoutedMessageCount', 'UnRoutedMessageCount'])
+      expect(flavor.brokerAttributes(['BrokerName', 'TotalConnectionsCount'])).toEqual(['TotalConnectionCount'])
+    })
+
+    it('should rename queue and broker attributes to Classic names', () => {
+      // GIVEN - QueueControl and ActiveMQServerControl attributes
+      const queueView = { MessageCount: 5, ConsumerCount: 1, MessagesAdded: 9, MessagesAcknowledged: 4, DeliveringCount: 2, MessagesExpired: 0, Paused: false }
+      const serverView = { Version: '2.33.0', UptimeMillis: 1000, TotalConnectionCount: 3, TotalMessageCount: 5, GlobalMaxSize: -1 }
+
+      // WHEN/THEN - Attributes are exposed under DestinationView / BrokerView names
+      expect(flavor.toDestinationView('Queue', queueView)).toEqual({
+        QueueSize: 5,
+        ConsumerCount: 1,
+        EnqueueCount: 9,
+        DequeueCount: 4,
+        InFlightCount: 2,
+        ExpiredCount: 0,
+        Paused: false
+      })
+      expect(flavor.toBrokerView(serverView, 'amq-1')).toMatchObject({
+        BrokerName: 'amq-1',
+        BrokerVersion: '2.33.0',
+        TotalConnectionsCount: 3,
+        TotalMessageCount: 5,
+        MemoryLimit: 0
+      })
+    })
+
+    it('should send text messages through the address control', async () => {
+      // GIVEN - A core client stub
+      const core = {
+        config: { username: 'admin', password: 'secret' },
+        getDestinationMBean: vi.fn(async (type, name) => flavor.destinationMBean(ARTEMIS_BROKER, type, name)),
+        jolokia: { exec: vi.fn(async () => 'ID:1') }
+      }
+
+      // WHEN - A message is sent to a queue
+      const result = await flavor.sendMessage(core, {
+        destinationType: 'queue',
+        destinationName: 'orders',
+        body: 'hello',
+        properties: { retries: 2 },
+        options: { persistent: false }
+      })
+
+      // THEN - Should exec sendMessage on the address with string properties
+      expect(result).toEqual({ messageId: 'ID:1' })
+      expect(core.jolokia.exec).toHaveBeenCalledWith(
+        `${ARTEMIS_BROKER},component=addresses,address="orders"`,
+        expect.stringMatching(/^sendMessage\(/),
+        { retries: '2' },
+        3,
+        'hello',
+        false,
+        'admin',
+        'secret'
+      )
+    })
+
+    it('should reject send options the address control cannot carry', async () => {
+      // WHEN/THEN - Priority needs the STOMP transport
+      await expect(flavor.sendMessage({}, { destinationName: 'orders', body: 'x', options: { priority: 9 } }))
+        .rejects.toThrow("priority cannot be sent over REST on Artemis - use transport 'stomp'")
+    })
+  })
+
+  describe('CoreClient', () => {
+    it('should rethrow a failed flavor detection instead of guessing a broker name', async () => {
+      // GIVEN - A broker that cannot be reached
+      const core = new CoreClient({ host: 'localhost', port: 8161 })
+      core.detectFlavor = vi.fn(async () => {
+        throw new Error('connect ECONNREFUSED')
+      })
+
+      // WHEN/THEN - Should fail, and probe again on the next call
+      await expect(core.getBrokerName()).rejects.toThrow('connect ECONNREFUSED')
+      await expect(core.getServerMBean()).rejects.toThrow('connect ECONNREFUSED')
+      expect(core.detectFlavor).toHaveBeenCalledTimes(2)
+    })
+
+    it('should read the broker view without the attributes the broker lacks', async () => {
+      // GIVEN - An older Classic broker without MemoryPercentUsage
+      const core = new CoreClient({ host: 'localhost', port: 8161 })
+      core.flavor = new ClassicFlavor()
+      core._brokerName = 'localhost'
+      core.jolokia = {
+        request: vi.fn(async () => ({
+          BrokerName: 'localhost',
+          MemoryLimit: 1000,
+          MemoryPercentUsage: 'ERROR: javax.management.AttributeNotFoundException : No such attribute: MemoryPercentUsage'
+        }))
+      }
+
+      // WHEN - The broker view is read
+      const view = await core.readBrokerView(['BrokerName', 'MemoryUsage'])
+
+      // THEN - The read should tolerate the missing attribute and leave it absent
+      expect(core.jolokia.request).toHaveBeenCalledWith(expect.objectContaining({ config: { ignoreErrors: true } }))
+      expect(view).toEqual({ BrokerName: 'localhost', MemoryLimit: 1000 })
+    })
+
+    it('should find Artemis topic names by their routing types', async () => {
+      // GIVEN - An Artemis broker with a multicast and an anycast address
+      const core = new CoreClient({ host: 'localhost', port: 8161 })
+      core.flavor = new ArtemisFlavor()
+      core._brokerName = 'amq-1'
+      core.jolokia = {
+        search: vi.fn(),
+        bulk: vi.fn(async () => [{
+          [`${ARTEMIS_BROKER},component=addresses,address="prices"`]: { Temporary: false, RoutingTypes: ['MULTICAST'] },
+          [`${ARTEMIS_BROKER},component=addresses,address="orders"`]: { Temporary: false, RoutingTypes: ['ANYCAST'] }
+        }])
+      }
+
+      // WHEN - Topic names are looked up
+      const names = await core.searchDestinationNames('Topic')
+
+      // THEN - Only the multicast address is a topic
+      expect(names).toEqual(['prices'])
+      expect(core.jolokia.search).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { mapWithConcurrency } from '../../src/utils/concurrency.js'
+
+describe('Concurrency Unit Tests', () => {
+  describe('mapWithConcurrency()', () => {
+    it('should keep results in input order', async () => {
+      // GIVEN - Calls that finish in reverse order
+      const items = [30, 20, 10]
+
+      // WHEN - Items are mapped
+      const results = await mapWithConcurrency(items, 3, async (delay, index) => {
+        await new Promise(resolve => setTimeout(resolve, delay))
+        return `${index}:${delay}`
+      })
+
+      // THEN - Results should follow input order
+      expect(results).toEqual(['0:30', '1:20', '2:10'])
+    })
+
+    it('should never exceed the concurrency limit', async () => {
+      // GIVEN - Ten items and a limit of three
+      const items = Array.from({ length: 10 }, (_, index) => index)
+      let inFlight = 0
+      let maxInFlight = 0
+
+      // WHEN - Items are mapped
+      await mapWithConcurrency(items, 3, async () => {
+        inFlight++
+        maxInFlight = Math.max(maxInFlight, inFlight)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        inFlight--
+      })
+
+      // THEN - At most three calls should overlap
+      expect(maxInFlight).toBe(3)
+    })
+
+    it('should return empty array for no items', async () => {
+      // WHEN/THEN - Nothing to do
+      expect(await mapWithConcurrency([], 5, async () => 1)).toEqual([])
+    })
+  })
+})
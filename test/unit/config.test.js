@@ -1,4 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { homedir } from 'os'
+import { join, resolve } from 'path'
 import { ConfigManager } from '../../src/utils/config.js'
 
 describe('ConfigManager Unit Tests', () => {
@@ -15,6 +17,14 @@ describe('ConfigManager Unit Tests', () => {
     delete process.env.ACTIVEMQ_USERNAME
     delete process.env.ACTIVEMQ_PASSWORD
     delete process.env.ACTIVEMQ_SSL
+    delete process.env.ACTIVEMQ_STOMP_PORT
+    delete process.env.ACTIVEMQ_STOMP_SSL
+    delete process.env.ACTIVEMQ_CA_FILE
+    delete process.env.ACTIVEMQ_CERT_FILE
+    delete process.env.ACTIVEMQ_KEY_FILE
+    delete process.env.ACTIVEMQ_KEY_PASSPHRASE
+    delete process.env.ACTIVEMQ_INSECURE_SKIP_VERIFY
+    delete process.env.ACTIVEMQ_EXPORT_DIR
 
     // Clear any existing multi-broker environment variables
     Object.keys(process.env).forEach(key => {
@@ -426,6 +436,48 @@ describe('ConfigManager Unit Tests', () => {
       expect(typeof config.port).toBe('number')
     })
 
+    it('should parse STOMP port for named connection', () => {
+      // GIVEN - Broker environment variables with STOMP port
+      process.env.EVENTS_ACTIVEMQ_HOST = 'events.company.com'
+      process.env.EVENTS_ACTIVEMQ_PORT = '8161'
+      process.env.EVENTS_ACTIVEMQ_STOMP_PORT = '61613'
+
+      // WHEN - ConfigManager is instantiated
+      sut = new ConfigManager()
+
+      // THEN - Should parse STOMP port as integer
+      const config = sut.getConnectionConfig('events')
+      expect(config.host).toBe('events.company.com')
+      expect(config.stompPort).toBe(61613)
+    })
+
+    it('should parse TLS parameters for named connection', () => {
+      // GIVEN - Broker environment variables with TLS settings
+      process.env.SECURE_ACTIVEMQ_HOST = 'secure.company.com'
+      process.env.SECURE_ACTIVEMQ_SSL = 'true'
+      process.env.SECURE_ACTIVEMQ_STOMP_SSL = 'true'
+      process.env.SECURE_ACTIVEMQ_CA_FILE = '/etc/ssl/internal-ca.pem'
+      process.env.SECURE_ACTIVEMQ_CERT_FILE = '/etc/ssl/client.pem'
+      process.env.SECURE_ACTIVEMQ_KEY_FILE = '/etc/ssl/client.key'
+      process.env.SECURE_ACTIVEMQ_KEY_PASSPHRASE = 'key_secret'
+      process.env.SECURE_ACTIVEMQ_INSECURE_SKIP_VERIFY = 'false'
+
+      // WHEN - ConfigManager is instantiated
+      sut = new ConfigManager()
+
+      // THEN - Should parse all TLS settings
+      expect(sut.getConnectionConfig('secure')).toEqual({
+        host: 'secure.company.com',
+        ssl: true,
+        stompSsl: true,
+        caFile: '/etc/ssl/internal-ca.pem',
+        certFile: '/etc/ssl/client.pem',
+        keyFile: '/etc/ssl/client.key',
+        keyPassphrase: 'key_secret',
+        insecureSkipVerify: false
+      })
+    })
+
     it('should log warning for unknown parameters', () => {
       // GIVEN - Broker environment variables with unknown parameter
       process.env.TEST_ACTIVEMQ_HOST = 'test.com'
@@ -497,4 +549,28 @@ describe('ConfigManager Unit Tests', () => {
       expect(result).toBe(true)
     })
   })
+
+  describe('getExportDirectory()', () => {
+    it('should default to a directory under the home directory', () => {
+      // GIVEN - No ACTIVEMQ_EXPORT_DIR
+      // (Already set up in beforeEach)
+
+      // WHEN - Getting the export directory
+      const result = sut.getExportDirectory()
+
+      // THEN - Should not depend on the working directory
+      expect(result).toBe(join(homedir(), '.activemq-mcp-server', 'exports'))
+    })
+
+    it('should use ACTIVEMQ_EXPORT_DIR when set', () => {
+      // GIVEN - An explicit export directory
+      process.env.ACTIVEMQ_EXPORT_DIR = '/var/lib/activemq-exports'
+
+      // WHEN - Getting the export directory
+      const result = sut.getExportDirectory()
+
+      // THEN - Should use it
+      expect(result).toBe(resolve('/var/lib/activemq-exports'))
+    })
+  })
 })
@@ -0,0 +1,151 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest'
+import { Connection, ConnectionState } from '../../src/core/connection.js'
+
+// Facade stub whose broker can be taken down and brought back
+function createFacade() {
+  const facade = {
+    brokerUp: true,
+    connected: false,
+    connect: vi.fn(async () => {
+      if (!facade.brokerUp) {
+        throw new Error('connect ECONNREFUSED')
+      }
+      facade.connected = true
+    }),
+    disconnect: vi.fn(async () => {
+      facade.connected = false
+    }),
+    isConnected: () => facade.connected,
+    getBrokerInfo: vi.fn(async () => {
+      if (!facade.brokerUp) {
+        throw new Error('connect ECONNREFUSED')
+      }
+      return { connected: facade.connected }
+    }),
+    getConnectionInfo: () => ({ flavor: 'classic' })
+  }
+  return facade
+}
+
+describe('Connection Unit Tests', () => {
+  let facade
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    facade = createFacade()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('connect()', () => {
+    it('should move from connecting to connected', async () => {
+      // GIVEN - A new connection
+      const connection = new Connection('local', facade, { host: 'localhost', port: 8161 })
+      expect(connection.state).toBe(ConnectionState.CONNECTING)
+
+      // WHEN - It connects
+      await connection.connect()
+
+      // THEN - Should be connected and healthy
+      expect(connection.state).toBe(ConnectionState.CONNECTED)
+      expect(connection.isHealthy()).toBe(true)
+      expect(connection.getConnectionInfo().transitions).toMatchObject([{ from: 'connecting', to: 'connected' }])
+    })
+
+    it('should fail when the first connect fails', async () => {
+      // GIVEN - An unreachable broker
+      facade.brokerUp = false
+      const connection = new Connection('local', facade, { host: 'localhost', port: 8161 })
+
+      // WHEN/THEN - Connect rejects and the state is failed
+      await expect(connection.connect()).rejects.toThrow('connect ECONNREFUSED')
+      expect(connection.state).toBe(ConnectionState.FAILED)
+      expect(connection.lastError).toBe('connect ECONNREFUSED')
+    })
+  })
+
+  describe('performHealthCheck()', () => {
+    it('should degrade and reconnect once the broker is back', async () => {
+      // GIVEN - A connected connection whose broker goes down
+      const connection = new Connection('local', facade, { host: 'localhost', port: 8161, reconnectDelay: 1000 })
+      await connection.connect()
+      facade.brokerUp = false
+
+      // WHEN - The health check fails
+      await connection.performHealthCheck()
+
+      // THEN - Should be degraded with a reconnect scheduled
+      expect(connection.state).toBe(ConnectionState.DEGRADED)
+      expect(connection.nextReconnectAt).not.toBeNull()
+
+      // WHEN - The first attempt fails and the broker returns before the second
+      await vi.advanceTimersByTimeAsync(1000)
+      expect(connection.state).toBe(ConnectionState.RECONNECTING)
+      expect(connection.reconnectAttempts).toBe(1)
+      facade.brokerUp = true
+      await vi.advanceTimersByTimeAsync(1999)
+      expect(connection.state).toBe(ConnectionState.RECONNECTING)
+      await vi.advanceTimersByTimeAsync(1)
+
+      // THEN - Should be connected again after backing off 2s
+      expect(connection.state).toBe(ConnectionState.CONNECTED)
+      expect(connection.reconnectAttempts).toBe(0)
+      expect(connection.getHealthStatus().transitions.map(t => t.to))
+        .toEqual(['connected', 'degraded', 'reconnecting', 'connected'])
+    })
+
+    it('should fail after the maximum number of reconnect attempts', async () => {
+      // GIVEN - A connection allowing two attempts and a broker that stays down
+      const connection = new Connection('local', facade, { host: 'localhost', port: 8161, maxReconnectAttempts: 2, reconnectDelay: 100 })
+      await connection.connect()
+      facade.brokerUp = false
+
+      // WHEN - The health check fails and both attempts run (100ms, then 200ms)
+      await connection.performHealthCheck()
+      await vi.advanceTimersByTimeAsync(300)
+
+      // THEN - Should give up and stop checking
+      expect(connection.state).toBe(ConnectionState.FAILED)
+      expect(facade.connect).toHaveBeenCalledTimes(3)
+      expect(await connection.performHealthCheck()).toMatchObject({ success: false, state: 'failed' })
+      expect(facade.getBrokerInfo).toHaveBeenCalledTimes(1)
+    })
+
+    it('should recover without reconnecting when a later check passes', async () => {
+      // GIVEN - A degraded connection
+      const connection = new Connection('local', facade, { host: 'localhost', port: 8161 })
+      await connection.connect()
+      facade.brokerUp = false
+      await connection.performHealthCheck()
+
+      // WHEN - The broker answers the next check before the reconnect is due
+      facade.brokerUp = true
+      await connection.performHealthCheck()
+
+      // THEN - Should be connected with the reconnect cancelled
+      expect(connection.state).toBe(ConnectionState.CONNECTED)
+      expect(connection.nextReconnectAt).toBeNull()
+      await vi.advanceTimersByTimeAsync(10000)
+      expect(facade.connect).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('disconnect()', () => {
+    it('should cancel a pending reconnect', async () => {
+      // GIVEN - A degraded connection
+      const connection = new Connection('local', facade, { host: 'localhost', port: 8161 })
+      await connection.connect()
+      facade.brokerUp = false
+      await connection.performHealthCheck()
+
+      // WHEN - It is disconnected
+      await connection.disconnect()
+      await vi.advanceTimersByTimeAsync(10000)
+
+      // THEN - No reconnect should run
+      expect(facade.connect).toHaveBeenCalledTimes(1)
+    })
+  })
+})
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import { messageServletUrl, parseDestination, requireSingleDestination } from '../../src/core/client/destination.js'
+
+describe('Destination Unit Tests', () => {
+  describe('parseDestination()', () => {
+    it('should strip a leading type prefix', () => {
+      // WHEN/THEN - Slash-prefixed and bare-prefixed forms map to name and type
+      expect(parseDestination('/queue/orders')).toEqual({ destinationName: 'orders', destinationType: 'queue' })
+      expect(parseDestination('/topic/prices')).toEqual({ destinationName: 'prices', destinationType: 'topic' })
+      expect(parseDestination('topic/prices')).toEqual({ destinationName: 'prices', destinationType: 'topic' })
+    })
+
+    it('should strip JMS destination URI prefixes', () => {
+      // WHEN/THEN - queue:// and topic:// map to name and type
+      expect(parseDestination('queue://orders')).toEqual({ destinationName: 'orders', destinationType: 'queue' })
+      expect(parseDestination('topic://prices/eu')).toEqual({ destinationName: 'prices/eu', destinationType: 'topic' })
+    })
+
+    it('should default bare names to queues', () => {
+      // WHEN/THEN - No prefix means a queue
+      expect(parseDestination('orders')).toEqual({ destinationName: 'orders', destinationType: 'queue' })
+    })
+
+    it('should leave prefixes inside the name intact', () => {
+      // WHEN/THEN - Only the leading prefix is stripped
+      expect(parseDestination('/queue/archive/queue/orders').destinationName).toBe('archive/queue/orders')
+      expect(parseDestination('billing.topic/queue/x').destinationName).toBe('billing.topic/queue/x')
+    })
+
+    it('should reject empty names', () => {
+      // WHEN/THEN - Nothing or only a prefix fails
+      expect(() => parseDestination('')).toThrow('Destination must be a non-empty string')
+      expect(() => parseDestination('/queue/')).toThrow("Destination '/queue/' has no name after its prefix")
+    })
+  })
+
+  describe('requireSingleDestination()', () => {
+    it('should accept names with separators and quotes', () => {
+      // WHEN/THEN - Characters escaped in MBean names are fine
+      expect(requireSingleDestination('a,b=c:d "e"')).toBe('a,b=c:d "e"')
+    })
+
+    it('should reject wildcard names', () => {
+      // WHEN/THEN - ObjectName and ActiveMQ wildcards fail
+      for (const name of ['orders.*', 'orders.>', 'order?']) {
+        expect(() => requireSingleDestination(name)).toThrow(`Destination name '${name}' contains a wildcard (*, ? or >) - name a single destination`)
+      }
+    })
+  })
+
+  describe('messageServletUrl()', () => {
+    it('should pass the typed name in the destination parameter', () => {
+      // WHEN/THEN - Reserved characters, '/' included, are percent encoded
+      expect(messageServletUrl('queue', 'a b/c?d&e')).toBe('/api/message?destination=queue%3A%2F%2Fa%20b%2Fc%3Fd%26e')
+      expect(messageServletUrl('topic', 'prices')).toBe('/api/message?destination=topic%3A%2F%2Fprices')
+    })
+  })
+})
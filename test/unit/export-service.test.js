@@ -0,0 +1,113 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest'
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { ExportService } from '../../src/core/service/export-service.js'
+import { QueueService } from '../../src/core/service/queue-service.js'
+import { StompClient } from '../../src/core/client/stomp-client.js'
+import { StompFrameParser } from '../../src/core/client/stomp-frame.js'
+import { parseDestination } from '../../src/core/client/destination.js'
+
+// StompClient on a socket stub that records written frames and acknowledges
+// every receipt
+function createStompClient(frames) {
+  const client = new StompClient({ host: 'localhost', port: 61613 })
+  const parser = new StompFrameParser()
+  client.socket = {
+    write: (chunk) => {
+      for (const frame of parser.push(chunk)) {
+        frames.push(frame)
+        client.handleFrame({ command: 'RECEIPT', headers: { 'receipt-id': frame.headers.receipt }, body: Buffer.alloc(0) })
+      }
+    },
+    destroy: () => {}
+  }
+  client.connected = true
+  return client
+}
+
+describe('ExportService Unit Tests', () => {
+  // Setup variables
+  let tempDir, exportDir, queueService, sut
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'activemq-export-'))
+    exportDir = join(tempDir, 'exports')
+    mkdirSync(exportDir)
+    writeFileSync(join(tempDir, 'secret.txt'), 'password=hunter2\n')
+    queueService = { sendMessage: vi.fn(async () => ({ success: true })) }
+    sut = new ExportService({ isConnected: () => true }, queueService, exportDir)
+  })
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  describe('resolveExportPath()', () => {
+    // Happy path tests first
+    it('should resolve relative and absolute paths inside the export directory', async () => {
+      // WHEN/THEN - Paths inside the directory are accepted
+      expect(await sut.resolveExportPath('orders.ndjson')).toMatch(/exports[\\/]orders\.ndjson$/)
+      expect(await sut.resolveExportPath(join(exportDir, 'orders.ndjson'))).toMatch(/exports[\\/]orders\.ndjson$/)
+    })
+
+    // Unhappy path tests
+    it('should reject paths outside the export directory', async () => {
+      // WHEN/THEN - Parent traversal and absolute paths are rejected
+      await expect(sut.resolveExportPath('../secret.txt')).rejects.toThrow('outside the export directory')
+      await expect(sut.resolveExportPath(join(tempDir, 'secret.txt'))).rejects.toThrow('outside the export directory')
+      await expect(sut.resolveExportPath('.')).rejects.toThrow('outside the export directory')
+    })
+
+    it('should reject symlinks leading out of the export directory', async () => {
+      // GIVEN - Symlink inside the directory pointing outside
+      symlinkSync(join(tempDir, 'secret.txt'), join(exportDir, 'link.ndjson'))
+
+      // WHEN/THEN - Should follow the link and reject it
+      await expect(sut.resolveExportPath('link.ndjson')).rejects.toThrow('outside the export directory')
+    })
+  })
+
+  describe('replayFile()', () => {
+    it('should report unparseable lines without quoting them', async () => {
+      // GIVEN - File with one bad line
+      writeFileSync(join(exportDir, 'replay.ndjson'), 'password=hunter2\n{"headers":{},"properties":{},"body":"Good"}\n')
+
+      // WHEN - File is replayed
+      const result = await sut.replayFile('replay.ndjson', '/queue/orders')
+
+      // THEN - Should replay the valid line and report only the line number
+      expect(result.replayedMessages).toBe(1)
+      expect(result.failures).toEqual([{ line: 1, error: 'invalid JSON on line 1' }])
+      expect(queueService.sendMessage).toHaveBeenCalledWith('/queue/orders', 'Good', {}, { transport: undefined })
+    })
+
+    it('should replay text records over STOMP as TextMessages', async () => {
+      // GIVEN - An exported text message and a real QueueService sending over STOMP
+      const frames = []
+      const stompClient = createStompClient(frames)
+      const core = { isConnected: () => true, parseDestination, getStompClient: async () => stompClient }
+      sut = new ExportService(core, new QueueService(core), exportDir)
+      const record = { headers: { JMSPriority: 7 }, properties: { region: 'eu' }, body: '{"orderId":1}' }
+      writeFileSync(join(exportDir, 'replay.ndjson'), `${JSON.stringify(record)}\n`)
+
+      // WHEN - File is replayed over STOMP
+      const result = await sut.replayFile('replay.ndjson', '/queue/orders', { transport: 'stomp' })
+
+      // THEN - The SEND frame should carry the text body as a TextMessage
+      expect(result.replayedMessages).toBe(1)
+      expect(frames).toHaveLength(1)
+      expect(frames[0].headers['amq-msg-type']).toBe('text')
+      expect(frames[0].headers['content-length']).toBeUndefined()
+      expect(frames[0].headers.priority).toBe('7')
+      expect(frames[0].headers.region).toBe('eu')
+      expect(frames[0].body.toString('utf8')).toBe('{"orderId":1}')
+    })
+
+    it('should refuse to read files outside the export directory', async () => {
+      // WHEN/THEN - Should reject before reading
+      await expect(sut.replayFile('../secret.txt', '/queue/orders')).rejects.toThrow('outside the export directory')
+      expect(queueService.sendMessage).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,236 @@
+import { describe, it, expect } from 'vitest'
+import { fromArtemisCompositeData, fromCompositeData, fromStompMessage, toSendArguments } from '../../src/core/message/jms-message.js'
+
+describe('JMS Message Mapping Unit Tests', () => {
+  describe('fromCompositeData()', () => {
+    it('should map JMS headers from browse CompositeData', () => {
+      // GIVEN - CompositeData for a redelivered text message
+      const data = {
+        JMSMessageID: 'ID:broker-1:1:1:1:1',
+        JMSTimestamp: '2024-05-01T10:00:00Z',
+        JMSPriority: 7,
+        JMSDeliveryMode: 'PERSISTENT',
+        JMSRedelivered: true,
+        JMSXDeliveryCount: 3,
+        JMSExpiration: 1714560000000,
+        JMSCorrelationID: 'order-42',
+        JMSReplyTo: 'queue://replies',
+        JMSType: 'OrderCreated',
+        JMSDestination: 'queue://orders',
+        OriginalDestination: 'queue://orders.in',
+        Text: 'hello'
+      }
+
+      // WHEN - CompositeData is mapped
+      const result = fromCompositeData(data)
+
+      // THEN - Should expose JMS headers and body
+      expect(result.headers).toMatchObject({
+        JMSMessageID: 'ID:broker-1:1:1:1:1',
+        JMSTimestamp: Date.parse('2024-05-01T10:00:00Z'),
+        JMSPriority: 7,
+        JMSDeliveryMode: 'PERSISTENT',
+        JMSRedelivered: true,
+        JMSXDeliveryCount: 3,
+        JMSExpiration: 1714560000000,
+        JMSCorrelationID: 'order-42',
+        JMSReplyTo: 'queue://replies',
+        JMSType: 'OrderCreated',
+        OriginalDestination: 'queue://orders.in'
+      })
+      expect(result.body).toBe('hello')
+    })
+
+    it('should merge typed user property tables keyed by name', () => {
+      // GIVEN - Property tables as rendered by Jolokia
+      const data = {
+        JMSMessageID: 'ID:1',
+        StringProperties: {
+          dlqDeliveryFailureCause: { key: 'dlqDeliveryFailureCause', value: 'poison ack' }
+        },
+        IntProperties: {
+          retries: { key: 'retries', value: 2 }
+        },
+        LongProperties: {}
+      }
+
+      // WHEN - CompositeData is mapped
+      const result = fromCompositeData(data)
+
+      // THEN - Should flatten properties into a single object
+      expect(result.properties).toEqual({
+        dlqDeliveryFailureCause: 'poison ack',
+        retries: 2
+      })
+    })
+
+    it('should accept property tables rendered as row arrays', () => {
+      // GIVEN - Property table as an array of rows
+      const data = { StringProperties: [{ key: 'region', value: 'eu' }] }
+
+      // WHEN - CompositeData is mapped
+      const result = fromCompositeData(data)
+
+      // THEN - Should read rows the same way
+      expect(result.properties).toEqual({ region: 'eu' })
+    })
+
+    it('should default optional headers when absent', () => {
+      // GIVEN - Minimal CompositeData
+      const data = { JMSMessageID: 'ID:2', JMSTimestamp: 1714560000000 }
+
+      // WHEN - CompositeData is mapped
+      const result = fromCompositeData(data)
+
+      // THEN - Should use neutral defaults
+      expect(result.headers.JMSTimestamp).toBe(1714560000000)
+      expect(result.headers.JMSCorrelationID).toBe(null)
+      expect(result.headers.JMSRedelivered).toBe(false)
+      expect(result.headers.JMSXDeliveryCount).toBe(0)
+      expect(result.headers.JMSExpiration).toBe(0)
+      expect(result.properties).toEqual({})
+      expect(result.body).toBe(null)
+    })
+  })
+
+  describe('fromArtemisCompositeData()', () => {
+    it('should map core message fields and header properties', () => {
+      // GIVEN - Artemis browse CompositeData for a dead-lettered text message
+      const data = {
+        messageID: 42,
+        userID: 'ID:5f1c-1',
+        address: 'DLQ',
+        durable: true,
+        expiration: 0,
+        priority: 4,
+        redelivered: false,
+        timestamp: 1714560000000,
+        text: 'hello',
+        StringProperties: {
+          JMSCorrelationID: { key: 'JMSCorrelationID', value: 'order-42' },
+          _AMQ_ORIG_ADDRESS: { key: '_AMQ_ORIG_ADDRESS', value: 'orders' },
+          region: { key: 'region', value: 'eu' }
+        }
+      }
+
+      // WHEN - CompositeData is mapped
+      const result = fromArtemisCompositeData(data)
+
+      // THEN - Should expose JMS headers and keep only user properties
+      expect(result.headers).toMatchObject({
+        JMSMessageID: 'ID:5f1c-1',
+        JMSTimestamp: 1714560000000,
+        JMSPriority: 4,
+        JMSDeliveryMode: 'PERSISTENT',
+        JMSRedelivered: false,
+        JMSCorrelationID: 'order-42',
+        JMSDestination: 'DLQ',
+        OriginalDestination: 'orders'
+      })
+      expect(result.properties).toEqual({ region: 'eu' })
+      expect(result.body).toBe('hello')
+    })
+
+    it('should fall back to the numeric message ID and null body', () => {
+      // GIVEN - A non-JMS message without user ID or text
+      const data = { messageID: 7, durable: false, text: null }
+
+      // WHEN - CompositeData is mapped
+      const result = fromArtemisCompositeData(data)
+
+      // THEN - Should stringify the core ID
+      expect(result.headers.JMSMessageID).toBe('7')
+      expect(result.headers.JMSDeliveryMode).toBe('NON-PERSISTENT')
+      expect(result.body).toBeNull()
+    })
+  })
+
+  describe('fromStompMessage()', () => {
+    it('should split STOMP headers into JMS headers and properties', () => {
+      // GIVEN - Message as delivered by StompClient
+      const message = {
+        headers: {
+          'message-id': 'ID:broker-1:1:1:1:7',
+          destination: '/queue/orders',
+          subscription: 'sub-1',
+          ack: 'ack-1',
+          timestamp: '1714560000000',
+          priority: '6',
+          persistent: 'true',
+          'correlation-id': 'order-42',
+          'reply-to': '/queue/replies',
+          type: 'OrderCreated',
+          region: 'eu'
+        },
+        body: 'hello'
+      }
+
+      // WHEN - Message is mapped
+      const result = fromStompMessage(message)
+
+      // THEN - Should match the browse record shape
+      expect(result.headers).toMatchObject({
+        JMSMessageID: 'ID:broker-1:1:1:1:7',
+        JMSTimestamp: 1714560000000,
+        JMSPriority: 6,
+        JMSDeliveryMode: 'PERSISTENT',
+        JMSCorrelationID: 'order-42',
+        JMSReplyTo: 'queue://replies',
+        JMSType: 'OrderCreated',
+        JMSDestination: 'queue://orders'
+      })
+      expect(result.properties).toEqual({ region: 'eu' })
+      expect(result.body).toBe('hello')
+    })
+  })
+
+  describe('toSendArguments()', () => {
+    it('should preserve JMS headers and properties for resending', () => {
+      // GIVEN - Exported record
+      const record = {
+        headers: {
+          JMSPriority: 7,
+          JMSDeliveryMode: 'NON-PERSISTENT',
+          JMSCorrelationID: 'order-42',
+          JMSType: 'OrderCreated',
+          JMSReplyTo: 'topic://replies'
+        },
+        properties: { region: 'eu', retries: 2 },
+        body: 'hello'
+      }
+
+      // WHEN - Record is converted
+      const result = toSendArguments(record)
+
+      // THEN - Should map headers to typed send options
+      expect(result).toEqual({
+        message: 'hello',
+        headers: { region: 'eu', retries: 2 },
+        options: {
+          priority: 7,
+          persistent: false,
+          correlationId: 'order-42',
+          type: 'OrderCreated',
+          replyTo: '/topic/replies'
+        }
+      })
+    })
+
+    it('should rewrite properties and skip temporary reply destinations', () => {
+      // GIVEN - Record with a temporary reply queue
+      const record = {
+        headers: { JMSReplyTo: 'temp-queue://ID:conn-1:1:1' },
+        properties: { region: 'eu', tenant: 'prod' },
+        body: { id: 1 }
+      }
+
+      // WHEN - Record is converted with property rewriting
+      const result = toSendArguments(record, { setProperties: { tenant: 'staging' }, removeProperties: ['region'] })
+
+      // THEN - Should apply rewrites and drop reply-to
+      expect(result.headers).toEqual({ tenant: 'staging' })
+      expect(result.options).toEqual({})
+      expect(result.message).toBe('{"id":1}')
+    })
+  })
+})
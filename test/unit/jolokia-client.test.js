@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest'
+import { JolokiaClient, JolokiaError } from '../../src/core/client/jolokia-client.js'
+
+describe('Jolokia Client Unit Tests', () => {
+  describe('bulk()', () => {
+    it('should send all requests in one POST and return results in order', async () => {
+      // GIVEN - A broker answering a read and a pattern read that matched nothing
+      const httpClient = {
+        post: vi.fn(async () => ({
+          data: [
+            { status: 200, value: { QueueSize: 3 } },
+            { status: 404, error_type: 'javax.management.InstanceNotFoundException', error: 'No MBean found' }
+          ]
+        }))
+      }
+      const jolokia = new JolokiaClient(httpClient)
+      const requests = [
+        { type: 'read', mbean: 'd:type=Queue,name=a', attribute: ['QueueSize'] },
+        { type: 'read', mbean: 'd:type=Queue,name=*' }
+      ]
+
+      // WHEN - Requests are sent in bulk
+      const [value, error] = await jolokia.bulk(requests)
+
+      // THEN - One POST carries both; the failure is returned, not thrown
+      expect(httpClient.post).toHaveBeenCalledTimes(1)
+      expect(httpClient.post).toHaveBeenCalledWith('/api/jolokia', requests, undefined)
+      expect(value).toEqual({ QueueSize: 3 })
+      expect(error).toBeInstanceOf(JolokiaError)
+      expect(error.status).toBe(404)
+      expect(error.errorType).toBe('javax.management.InstanceNotFoundException')
+    })
+
+    it('should not call the broker for an empty batch', async () => {
+      // GIVEN - A client that must not be used
+      const httpClient = { post: vi.fn() }
+
+      // WHEN/THEN - Empty batch resolves to no results
+      expect(await new JolokiaClient(httpClient).bulk([])).toEqual([])
+      expect(httpClient.post).not.toHaveBeenCalled()
+    })
+
+    it('should pass extra headers with every request', async () => {
+      // GIVEN - A client for an endpoint that checks Origin
+      const httpClient = { post: vi.fn(async () => ({ data: [{ status: 200, value: [] }] })) }
+      const jolokia = new JolokiaClient(httpClient, '/console/jolokia', { Origin: 'http://broker:8161' })
+
+      // WHEN - A bulk request is sent
+      await jolokia.bulk([{ type: 'search', mbean: 'd:*' }])
+
+      // THEN - Should use the configured path and headers
+      expect(httpClient.post).toHaveBeenCalledWith('/console/jolokia', expect.any(Array), { headers: { Origin: 'http://broker:8161' } })
+    })
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest'
+import { applyListQuery, globToRegExp, paginate, parsePredicate } from '../../src/utils/list-query.js'
+
+const FIELDS = ['name', 'size', 'consumerCount', 'temporary']
+
+const QUEUES = [
+  { name: 'orders.processing', size: 250, consumerCount: 0, temporary: false },
+  { name: 'orders.audit', size: 10, consumerCount: 2, temporary: false },
+  { name: 'payments', size: 500, consumerCount: 1, temporary: false },
+  { name: 'ID:host-1:1:1', size: 0, consumerCount: 1, temporary: true }
+]
+
+describe('List Query Unit Tests', () => {
+  describe('parsePredicate()', () => {
+    it('should parse numeric and boolean predicates', () => {
+      // WHEN/THEN - Field, operator and typed value are extracted
+      expect(parsePredicate('size > 100', FIELDS)).toEqual({ field: 'size', operator: '>', value: 100 })
+      expect(parsePredicate('temporary == true', FIELDS)).toEqual({ field: 'temporary', operator: '==', value: true })
+    })
+
+    it('should reject malformed predicates and unknown fields', () => {
+      // WHEN/THEN - Should explain the expected form or list valid fields
+      expect(() => parsePredicate('size is big', FIELDS)).toThrow('Invalid filter')
+      expect(() => parsePredicate('depth > 1', FIELDS)).toThrow("Unknown field 'depth'")
+    })
+  })
+
+  describe('globToRegExp()', () => {
+    it('should match * and ? wildcards and escape dots', () => {
+      // GIVEN - Glob with both wildcards
+      const pattern = globToRegExp('orders.?udit*')
+
+      // WHEN/THEN - Dot is literal and matching ignores case
+      expect(pattern.test('orders.audit')).toBe(true)
+      expect(pattern.test('ORDERS.AUDIT.DLQ')).toBe(true)
+      expect(pattern.test('ordersXaudit')).toBe(false)
+    })
+  })
+
+  describe('applyListQuery()', () => {
+    it('should filter by glob and predicates and sort descending', () => {
+      // GIVEN - Queues without consumers or with a backlog
+      const query = { name: 'orders.*', where: ['size > 5'], sortBy: 'size', sortOrder: 'desc' }
+
+      // WHEN - Query is applied
+      const result = applyListQuery(QUEUES, query, FIELDS)
+
+      // THEN - Should keep orders queues ordered by size
+      expect(result.map(queue => queue.name)).toEqual(['orders.processing', 'orders.audit'])
+    })
+
+    it('should filter by regular expression and sort by name by default', () => {
+      // WHEN/THEN - Regex selects non-temporary names
+      const result = applyListQuery(QUEUES, { nameRegex: '^[a-z]' }, FIELDS)
+      expect(result.map(queue => queue.name)).toEqual(['orders.audit', 'orders.processing', 'payments'])
+    })
+
+    it('should reject unknown sort field and invalid regex', () => {
+      // WHEN/THEN - Both are reported before filtering
+      expect(() => applyListQuery(QUEUES, { sortBy: 'depth' }, FIELDS)).toThrow("Unknown field 'depth'")
+      expect(() => applyListQuery(QUEUES, { nameRegex: '(' }, FIELDS)).toThrow('Invalid nameRegex')
+    })
+  })
+
+  describe('paginate()', () => {
+    it('should return the requested page with the total', () => {
+      // WHEN/THEN - Offset and limit slice the list
+      expect(paginate([1, 2, 3, 4, 5], { limit: 2, offset: 2 })).toEqual({ items: [3, 4], total: 5, offset: 2 })
+    })
+
+    it('should return everything without a limit', () => {
+      // WHEN/THEN - No paging options
+      expect(paginate([1, 2, 3])).toEqual({ items: [1, 2, 3], total: 3, offset: 0 })
+    })
+  })
+})
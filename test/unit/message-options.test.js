@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest'
+import {
+  pickMessageOptions,
+  toRestParams,
+  toStompHeaders,
+  validateMessageOptions
+} from '../../src/core/message/message-options.js'
+
+describe('Message Options Unit Tests', () => {
+  describe('validateMessageOptions()', () => {
+    it('should accept a full set of valid options', () => {
+      // GIVEN - Every supported option
+      const options = {
+        priority: 9,
+        timeToLive: 60000,
+        persistent: false,
+        correlationId: 'order-42',
+        replyTo: '/queue/replies',
+        type: 'OrderCreated',
+        scheduledDelay: 5000,
+        scheduledPeriod: 1000,
+        scheduledRepeat: 3,
+        scheduledCron: '0 * * * *',
+        transport: 'stomp'
+      }
+
+      // WHEN/THEN - Should pass validation unchanged
+      expect(validateMessageOptions(options)).toBe(options)
+    })
+
+    it('should reject priority outside 0-9', () => {
+      // WHEN/THEN - Out of range and non-integer priorities fail
+      expect(() => validateMessageOptions({ priority: 10 })).toThrow('priority must be an integer between 0 and 9')
+      expect(() => validateMessageOptions({ priority: 4.5 })).toThrow('priority must be an integer between 0 and 9')
+    })
+
+    it('should reject negative durations', () => {
+      // WHEN/THEN - Negative time-to-live and delay fail
+      expect(() => validateMessageOptions({ timeToLive: -1 })).toThrow('timeToLive must be a non-negative integer')
+      expect(() => validateMessageOptions({ scheduledDelay: -5 })).toThrow('scheduledDelay must be a non-negative integer')
+    })
+
+    it('should reject non-boolean persistent flag', () => {
+      // WHEN/THEN - String flag fails
+      expect(() => validateMessageOptions({ persistent: 'true' })).toThrow('persistent must be a boolean')
+    })
+
+    it('should reject unknown transport', () => {
+      // WHEN/THEN - Unsupported transport fails
+      expect(() => validateMessageOptions({ transport: 'openwire' })).toThrow('transport must be one of: rest, stomp')
+    })
+
+    it('should reject repeat without period or cron', () => {
+      // WHEN/THEN - Repeat alone is meaningless
+      expect(() => validateMessageOptions({ scheduledRepeat: 2 })).toThrow('scheduledRepeat requires scheduledPeriod or scheduledCron')
+    })
+
+    it('should reject malformed cron expression', () => {
+      // WHEN/THEN - Six-field (Quartz style) cron fails
+      expect(() => validateMessageOptions({ scheduledCron: '0 0 * * * ?' })).toThrow('scheduledCron must be a 5-field cron expression')
+    })
+  })
+
+  describe('toRestParams()', () => {
+    it('should map options to message servlet parameters', () => {
+      // GIVEN - Typed options
+      const options = {
+        priority: 7,
+        timeToLive: 30000,
+        persistent: false,
+        correlationId: 'order-42',
+        replyTo: '/topic/replies',
+        type: 'OrderCreated',
+        scheduledDelay: 5000
+      }
+
+      // WHEN - Options are mapped
+      const params = toRestParams(options)
+
+      // THEN - Should use JMS parameter names and broker destination URIs
+      expect(params).toEqual({
+        JMSPriority: 7,
+        JMSTimeToLive: 30000,
+        JMSDeliveryMode: 'non-persistent',
+        JMSCorrelationID: 'order-42',
+        JMSReplyTo: 'topic://replies',
+        JMSType: 'OrderCreated',
+        AMQ_SCHEDULED_DELAY: 5000
+      })
+    })
+
+    it('should treat bare reply-to name as a queue', () => {
+      // WHEN/THEN - Bare name maps to queue URI
+      expect(toRestParams({ replyTo: 'replies' })).toEqual({ JMSReplyTo: 'queue://replies' })
+    })
+  })
+
+  describe('toStompHeaders()', () => {
+    it('should map options to STOMP headers', () => {
+      // GIVEN - Typed options and a fixed clock
+      const options = {
+        priority: 4,
+        timeToLive: 1000,
+        persistent: true,
+        correlationId: 'order-42',
+        replyTo: 'replies',
+        type: 'OrderCreated',
+        scheduledPeriod: 2000,
+        scheduledRepeat: 1
+      }
+
+      // WHEN - Options are mapped
+      const headers = toStompHeaders(options, 1714560000000)
+
+      // THEN - Time-to-live becomes an absolute expiration
+      expect(headers).toEqual({
+        priority: '4',
+        expires: '1714560001000',
+        persistent: 'true',
+        'correlation-id': 'order-42',
+        'reply-to': '/queue/replies',
+        type: 'OrderCreated',
+        AMQ_SCHEDULED_PERIOD: '2000',
+        AMQ_SCHEDULED_REPEAT: '1'
+      })
+    })
+
+    it('should omit expires when time-to-live is zero', () => {
+      // WHEN/THEN - Zero means never expire
+      expect(toStompHeaders({ timeToLive: 0 })).toEqual({})
+    })
+  })
+
+  describe('pickMessageOptions()', () => {
+    it('should keep only set message options from tool arguments', () => {
+      // GIVEN - Tool arguments mixing other fields
+      const args = { connectionId: 'local', message: 'hi', priority: 0, persistent: false, type: null }
+
+      // WHEN/THEN - Should pick priority and persistent only
+      expect(pickMessageOptions(args)).toEqual({ priority: 0, persistent: false })
+    })
+  })
+})
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import { expandMessageTemplate, renderTemplate } from '../../src/core/message/message-template.js'
+
+describe('Message Template Unit Tests', () => {
+  describe('renderTemplate()', () => {
+    it('should replace every supported placeholder', () => {
+      // GIVEN - Template with all placeholders
+      const template = '{"seq": {{index}}, "id": "{{uuid}}", "at": {{ timestamp }}}'
+
+      // WHEN - Template is rendered
+      const result = renderTemplate(template, { index: 3, uuid: 'abc', timestamp: 1714560000000 })
+
+      // THEN - Should substitute values
+      expect(result).toBe('{"seq": 3, "id": "abc", "at": 1714560000000}')
+    })
+
+    it('should leave unknown placeholders untouched', () => {
+      // WHEN/THEN - Unknown placeholder stays as is
+      expect(renderTemplate('{{name}}-{{index}}', { index: 1 })).toBe('{{name}}-1')
+    })
+  })
+
+  describe('expandMessageTemplate()', () => {
+    it('should generate count messages with distinct values', () => {
+      // GIVEN - Template and header using placeholders
+      const template = 'order-{{index}}-{{uuid}}'
+
+      // WHEN - Template is expanded
+      const messages = expandMessageTemplate(template, 3, { orderId: 'ORD-{{index}}', priority: 5 })
+
+      // THEN - Should render body and string headers per message
+      expect(messages).toHaveLength(3)
+      expect(messages[2].message).toMatch(/^order-2-[0-9a-f-]{36}$/)
+      expect(messages[2].headers).toEqual({ orderId: 'ORD-2', priority: 5 })
+      expect(new Set(messages.map(m => m.message)).size).toBe(3)
+    })
+
+    it('should reject invalid count', () => {
+      // WHEN/THEN - Zero and fractional counts fail
+      expect(() => expandMessageTemplate('x', 0)).toThrow('count must be a positive integer')
+      expect(() => expandMessageTemplate('x', 1.5)).toThrow('count must be a positive integer')
+    })
+
+    it('should reject missing template', () => {
+      // WHEN/THEN - Template is required
+      expect(() => expandMessageTemplate(undefined, 2)).toThrow('template must be a string')
+    })
+  })
+})
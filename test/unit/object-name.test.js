@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import { decodeObjectNamePart, encodeObjectNamePart, parseObjectName, quoteValue, unquoteValue } from '../../src/core/client/object-name.js'
+
+describe('ObjectName Unit Tests', () => {
+  describe('parseObjectName()', () => {
+    it('should split domain and key properties', () => {
+      // GIVEN - A consumer MBean name
+      const name = 'org.apache.activemq:type=Broker,brokerName=localhost,destinationType=Queue,destinationName=orders,endpoint=Consumer,clientId=ID_host-1,consumerId=ID_host-1_1_1_1'
+
+      // WHEN - Name is parsed
+      const { domain, properties } = parseObjectName(name)
+
+      // THEN - Should expose every key
+      expect(domain).toBe('org.apache.activemq')
+      expect(properties).toEqual({
+        type: 'Broker',
+        brokerName: 'localhost',
+        destinationType: 'Queue',
+        destinationName: 'orders',
+        endpoint: 'Consumer',
+        clientId: 'ID_host-1',
+        consumerId: 'ID_host-1_1_1_1'
+      })
+    })
+
+    it('should keep equals signs inside values', () => {
+      // WHEN/THEN - Only the first equals separates key and value
+      expect(parseObjectName('d:a=b=c').properties).toEqual({ a: 'b=c' })
+    })
+
+    it('should not split on commas inside quoted values', () => {
+      // GIVEN - An Artemis queue MBean with a comma in the address
+      const name = 'org.apache.activemq.artemis:broker="0.0.0.0",component=addresses,address="a,b",subcomponent=queues,routing-type="anycast",queue="a,b"'
+
+      // WHEN - Name is parsed
+      const { properties } = parseObjectName(name)
+
+      // THEN - Quoted values should stay whole and quoted
+      expect(properties).toEqual({
+        broker: '"0.0.0.0"',
+        component: 'addresses',
+        address: '"a,b"',
+        subcomponent: 'queues',
+        'routing-type': '"anycast"',
+        queue: '"a,b"'
+      })
+    })
+  })
+
+  describe('quoteValue() / unquoteValue()', () => {
+    it('should escape quote, backslash, wildcard and newline characters', () => {
+      // WHEN/THEN - Special characters are backslash escaped
+      expect(quoteValue('orders')).toBe('"orders"')
+      expect(quoteValue('a"b\\c*d?e\nf')).toBe('"a\\"b\\\\c\\*d\\?e\\nf"')
+    })
+
+    it('should round-trip quoted values', () => {
+      // GIVEN - A value with every escaped character
+      const value = 'a"b\\c*d?e\nf,g'
+
+      // WHEN/THEN - Unquoting restores the original
+      expect(unquoteValue(quoteValue(value))).toBe(value)
+    })
+
+    it('should leave unquoted values unchanged', () => {
+      // WHEN/THEN - Classic values are never quoted
+      expect(unquoteValue('localhost')).toBe('localhost')
+    })
+  })
+
+  describe('encodeObjectNamePart() / decodeObjectNamePart()', () => {
+    it('should encode destination names the way ActiveMQ Classic does', () => {
+      // WHEN/THEN - Separators become '_' and pattern characters entities
+      expect(encodeObjectNamePart(`a:b,c'd"e`)).toBe('a_b_c_d_e')
+      expect(encodeObjectNamePart('a?b=c*d')).toBe('a&qe;b&amp;c&ast;d')
+    })
+
+    it('should decode the entity-encoded characters', () => {
+      // WHEN/THEN - Entities are restored
+      expect(decodeObjectNamePart('a&qe;b&amp;c&ast;d')).toBe('a?b=c*d')
+    })
+  })
+})
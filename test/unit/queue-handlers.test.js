@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { QueueHandlers } from '../../src/mcp/handlers/queue-handlers.js'
+
+describe('QueueHandlers Unit Tests', () => {
+  // Setup variables
+  let client, sut
+
+  beforeEach(() => {
+    client = {
+      receiveMessage: vi.fn(async () => null),
+      browseMessages: vi.fn(async () => [])
+    }
+    sut = new QueueHandlers({ getConnection: () => client })
+  })
+
+  describe('handleConsumeMessage()', () => {
+    it('should pass a prefixed queue name through unchanged', async () => {
+      // GIVEN - Queue name in the JMS URI form
+      const args = { connectionId: 'default', queueName: 'queue://orders' }
+
+      // WHEN - A message is consumed
+      const result = await sut.handleConsumeMessage(args)
+
+      // THEN - The name should reach the client as given
+      expect(result.isError).toBeUndefined()
+      expect(client.receiveMessage).toHaveBeenCalledWith('queue://orders', 5000, true)
+    })
+  })
+
+  describe('handleBrowseMessages()', () => {
+    it('should pass a prefixed queue name through unchanged', async () => {
+      // GIVEN - Queue name in the STOMP form
+      const args = { connectionId: 'default', queueName: '/queue/orders', limit: 5 }
+
+      // WHEN - Messages are browsed
+      const result = await sut.handleBrowseMessages(args)
+
+      // THEN - The name should reach the client as given
+      expect(result.isError).toBeUndefined()
+      expect(client.browseMessages).toHaveBeenCalledWith('/queue/orders', 5, undefined)
+    })
+  })
+})
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { QueueService } from '../../src/core/service/queue-service.js'
+import { StompClient } from '../../src/core/client/stomp-client.js'
+import { StompFrameParser } from '../../src/core/client/stomp-frame.js'
+import { parseDestination } from '../../src/core/client/destination.js'
+
+// StompClient on a socket stub that records written frames, acknowledges every
+// receipt and answers each request with a reply on its reply-to subscription
+function createStompClient(frames) {
+  const client = new StompClient({ host: 'localhost', port: 61613 })
+  const parser = new StompFrameParser()
+  const deliver = (command, headers, body = '') => {
+    client.handleFrame({ command, headers, body: Buffer.from(body) })
+  }
+
+  client.socket = {
+    write: (chunk) => {
+      for (const frame of parser.push(chunk)) {
+        frames.push(frame)
+        if (frame.headers.receipt) {
+          deliver('RECEIPT', { 'receipt-id': frame.headers.receipt })
+        }
+        const replySubscription = [...client.subscriptions.entries()]
+          .find(([, subscription]) => subscription.destination === frame.headers['reply-to'])
+        if (frame.command === 'SEND' && replySubscription) {
+          deliver('MESSAGE', {
+            subscription: replySubscription[0],
+            'message-id': 'ID:reply-1',
+            destination: frame.headers['reply-to'],
+            'correlation-id': frame.headers['correlation-id']
+          }, 'pong')
+        }
+      }
+    },
+    destroy: () => {}
+  }
+  client.connected = true
+  return client
+}
+
+describe('QueueService Unit Tests', () => {
+  // Setup variables
+  let frames, sut
+
+  beforeEach(() => {
+    frames = []
+    const stompClient = createStompClient(frames)
+    const core = {
+      isConnected: () => true,
+      parseDestination,
+      cleanDestinationName: destination => parseDestination(destination).destinationName,
+      getStompClient: async () => stompClient
+    }
+    sut = new QueueService(core)
+  })
+
+  describe('requestReply()', () => {
+    // Happy path tests first
+    it('should send the request as a TextMessage and return the reply', async () => {
+      // GIVEN - A responder answering on the reply queue
+
+      // WHEN - A request is sent
+      const result = await sut.requestReply('orders.requests', 'ping', {}, { correlationId: 'corr-1' })
+
+      // THEN - The request frame should ask for a TextMessage
+      const request = frames.find(frame => frame.command === 'SEND')
+      expect(request.headers.destination).toBe('/queue/orders.requests')
+      expect(request.headers['amq-msg-type']).toBe('text')
+      expect(request.headers['correlation-id']).toBe('corr-1')
+      expect(request.body.toString('utf8')).toBe('ping')
+      expect(result.response.body).toBe('pong')
+    })
+  })
+
+  describe('sendMessagesBatch()', () => {
+    // Unhappy path tests
+    it('should report malformed entries by index without sending them', async () => {
+      // GIVEN - A batch with a valid entry, one without a message and a non-object
+      const messages = [{ message: 'Valid', transport: 'stomp' }, { headers: { region: 'eu' } }, 'oops']
+
+      // WHEN - Batch is sent
+      const result = await sut.sendMessagesBatch('/queue/orders', messages)
+
+      // THEN - Only the valid entry should be sent
+      expect(result).toMatchObject({ total: 3, succeeded: 1, failed: 2 })
+      expect(result.results[1]).toEqual({ index: 1, success: false, error: 'entry 1: message is required' })
+      expect(result.results[2]).toEqual({ index: 2, success: false, error: 'entry 2: must be an object with a message' })
+      expect(frames.filter(frame => frame.command === 'SEND')).toHaveLength(1)
+    })
+  })
+})
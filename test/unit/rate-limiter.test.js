@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest'
+import { createRateLimiter } from '../../src/utils/rate-limiter.js'
+
+describe('Rate Limiter Unit Tests', () => {
+  describe('createRateLimiter()', () => {
+    it('should space calls at the configured rate', async () => {
+      // GIVEN - Limiter at 100 calls per second
+      const throttle = createRateLimiter(100)
+      const startedAt = Date.now()
+
+      // WHEN - Five calls are throttled
+      for (let i = 0; i < 5; i++) {
+        await throttle()
+      }
+
+      // THEN - Four 10ms gaps should have elapsed
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(35)
+    })
+
+    it('should not wait when no rate is set', async () => {
+      // GIVEN - Disabled limiter
+      const throttle = createRateLimiter(0)
+      const startedAt = Date.now()
+
+      // WHEN - Many calls are throttled
+      for (let i = 0; i < 100; i++) {
+        await throttle()
+      }
+
+      // THEN - Should return immediately
+      expect(Date.now() - startedAt).toBeLessThan(20)
+    })
+  })
+})
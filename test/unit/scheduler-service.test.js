@@ -0,0 +1,165 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest'
+import { SchedulerService } from '../../src/core/service/scheduler-service.js'
+
+const BROKER_MBEAN = 'org.apache.activemq:type=Broker,brokerName=localhost'
+const SCHEDULER_MBEAN = `${BROKER_MBEAN},service=JobScheduler,name=JMS`
+
+// getAllJobs() rows as rendered by Jolokia, keyed by jobId
+const JOB_TABLE = {
+  'ID:job-2': { jobId: 'ID:job-2', cronEntry: '', start: '2024-05-01 10:00:00', next: '2024-05-01 12:00:00', delay: 0, period: 0, repeat: 0 },
+  'ID:job-1': { jobId: 'ID:job-1', cronEntry: '0 * * * *', start: '2024-05-01 09:00:00', next: '2024-05-01 11:00:00', delay: 0, period: 0, repeat: -1 }
+}
+
+// STOMP client stub that answers a scheduler BROWSE request with the given payloads
+function createStompClient(payloads) {
+  const subscriptions = new Map()
+  return {
+    subscriptions,
+    subscribe: vi.fn((destination, onMessage) => {
+      const id = `sub-${subscriptions.size + 1}`
+      subscriptions.set(id, { destination, onMessage })
+      return id
+    }),
+    unsubscribe: vi.fn((id) => subscriptions.delete(id)),
+    send: vi.fn(async (destination, body, headers) => {
+      const subscription = [...subscriptions.values()].find(entry => entry.destination === headers['reply-to'])
+      for (const [scheduledJobId, payload] of Object.entries(payloads)) {
+        subscription.onMessage({ headers: { scheduledJobId }, body: payload })
+      }
+    })
+  }
+}
+
+function createCore(stompClient) {
+  return {
+    isConnected: () => true,
+    getBrokerMBean: async () => BROKER_MBEAN,
+    getStompClient: async () => stompClient,
+    jolokia: {
+      exec: vi.fn(async (mbean, operation) => operation.startsWith('getAllJobs') ? JOB_TABLE : null)
+    }
+  }
+}
+
+describe('SchedulerService Unit Tests', () => {
+  let stompClient, core, sut
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    stompClient = createStompClient({ 'ID:job-1': 'hourly report', 'ID:job-2': 'x'.repeat(300) })
+    core = createCore(stompClient)
+    sut = new SchedulerService(core)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('listJobs()', () => {
+    // Happy path tests first
+    it('should list jobs ordered by next run time', async () => {
+      // GIVEN - Scheduler with two jobs
+
+      // WHEN - Jobs are listed
+      const jobs = await sut.listJobs()
+
+      // THEN - Should return normalized jobs, earliest first
+      expect(core.jolokia.exec).toHaveBeenCalledWith(SCHEDULER_MBEAN, 'getAllJobs()')
+      expect(jobs.map(job => job.jobId)).toEqual(['ID:job-1', 'ID:job-2'])
+      expect(jobs[0]).toEqual({
+        jobId: 'ID:job-1',
+        cronEntry: '0 * * * *',
+        start: '2024-05-01 09:00:00',
+        next: '2024-05-01 11:00:00',
+        delay: 0,
+        period: 0,
+        repeat: -1
+      })
+      expect(jobs[1].cronEntry).toBeNull()
+    })
+
+    it('should add payload previews browsed over STOMP', async () => {
+      // GIVEN - Scheduler replaying job payloads to the reply queue
+
+      // WHEN - Jobs are listed with payloads and the stream goes quiet
+      const pending = sut.listJobs({ includePayload: true })
+      await vi.advanceTimersByTimeAsync(1000)
+      const jobs = await pending
+
+      // THEN - Should attach truncated previews and unsubscribe
+      expect(stompClient.send).toHaveBeenCalledWith(
+        '/topic/ActiveMQ.Scheduler.Management',
+        '',
+        expect.objectContaining({ AMQ_SCHEDULER_ACTION: 'BROWSE' })
+      )
+      expect(jobs[0].payloadPreview).toBe('hourly report')
+      expect(jobs[1].payloadPreview).toHaveLength(200)
+      expect(stompClient.subscriptions.size).toBe(0)
+    })
+
+    // Unhappy path tests
+    it('should fail cleanly when the STOMP subscribe throws', async () => {
+      // GIVEN - STOMP client that cannot subscribe
+      stompClient.subscribe.mockImplementation(() => {
+        throw new Error('Not connected to STOMP broker')
+      })
+
+      // WHEN - Listing fails
+      await expect(sut.listJobs({ includePayload: true })).rejects.toThrow('Not connected to STOMP broker')
+
+      // THEN - No browse timer fires later to unsubscribe
+      await vi.runAllTimersAsync()
+      expect(stompClient.unsubscribe).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('removeJob()', () => {
+    // Happy path tests first
+    it('should remove an existing job', async () => {
+      // GIVEN - Scheduler holding the job
+
+      // WHEN - The job is removed
+      const result = await sut.removeJob('ID:job-1')
+
+      // THEN - Should call removeJob on the scheduler MBean
+      expect(result).toEqual({ jobId: 'ID:job-1', removed: true })
+      expect(core.jolokia.exec).toHaveBeenCalledWith(SCHEDULER_MBEAN, 'removeJob(java.lang.String)', 'ID:job-1')
+    })
+
+    // Unhappy path tests
+    it('should reject an unknown job ID', async () => {
+      // GIVEN - Job ID the scheduler does not hold
+
+      // WHEN/THEN - Should fail without calling removeJob
+      await expect(sut.removeJob('ID:missing')).rejects.toThrow("Scheduled job 'ID:missing' does not exist")
+      expect(core.jolokia.exec).not.toHaveBeenCalledWith(SCHEDULER_MBEAN, 'removeJob(java.lang.String)', 'ID:missing')
+    })
+  })
+
+  describe('removeJobs()', () => {
+    it('should remove every job', async () => {
+      // GIVEN - Scheduler with two jobs
+
+      // WHEN - All jobs are removed
+      const result = await sut.removeJobs()
+
+      // THEN - Should report the removed count
+      expect(result).toEqual({ removedJobs: 2, start: null, end: null })
+      expect(core.jolokia.exec).toHaveBeenCalledWith(SCHEDULER_MBEAN, 'removeAllJobs()')
+    })
+
+    it('should remove jobs within a time window', async () => {
+      // GIVEN - Window in the scheduler time format
+      const start = '2024-05-01 00:00:00'
+      const end = '2024-05-02 00:00:00'
+
+      // WHEN - Jobs in the window are removed
+      const result = await sut.removeJobs(start, end)
+
+      // THEN - Should use the windowed operations
+      expect(result).toEqual({ removedJobs: 2, start, end })
+      expect(core.jolokia.exec).toHaveBeenCalledWith(SCHEDULER_MBEAN, 'getAllJobs(java.lang.String,java.lang.String)', start, end)
+      expect(core.jolokia.exec).toHaveBeenCalledWith(SCHEDULER_MBEAN, 'removeAllJobs(java.lang.String,java.lang.String)', start, end)
+    })
+  })
+})
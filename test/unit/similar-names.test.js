@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest'
+import { findSimilarNames } from '../../src/utils/similar-names.js'
+
+describe('Similar Names Unit Tests', () => {
+  describe('findSimilarNames()', () => {
+    it('should suggest names within a small edit distance, closest first', () => {
+      // GIVEN - Queue names and a misspelling
+      const candidates = ['orders.processing', 'orders.procesing.dlq', 'payments', 'orders.proccessing']
+
+      // WHEN - Similar names are looked up
+      const similar = findSimilarNames('orders.procesing', candidates)
+
+      // THEN - Contained and one-edit names come first, unrelated names are dropped
+      expect(similar).toEqual(['orders.procesing.dlq', 'orders.processing', 'orders.proccessing'])
+    })
+
+    it('should ignore case and limit the result', () => {
+      // WHEN/THEN - Only the requested number of names is returned
+      expect(findSimilarNames('ORDERS', ['orders', 'orders.dlq', 'orders.retry'], 2)).toEqual(['orders', 'orders.dlq'])
+    })
+
+    it('should not treat very short names as contained in everything', () => {
+      // WHEN/THEN - A two-letter name matches nothing long
+      expect(findSimilarNames('or', ['orders', 'payments'])).toEqual([])
+    })
+
+    it('should exclude the name itself', () => {
+      // WHEN/THEN - Exact match is not a suggestion
+      expect(findSimilarNames('orders', ['orders'])).toEqual([])
+    })
+  })
+})
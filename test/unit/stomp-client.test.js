@@ -0,0 +1,98 @@
+import { afterEach, describe, it, expect, beforeEach, vi } from 'vitest'
+import { StompClient } from '../../src/core/client/stomp-client.js'
+import { StompFrameParser } from '../../src/core/client/stomp-frame.js'
+
+// Socket stub that records written frames and acknowledges every receipt
+function connect(client) {
+  const parser = new StompFrameParser()
+  const frames = []
+  client.socket = {
+    write: (chunk) => {
+      for (const frame of parser.push(chunk)) {
+        frames.push(frame)
+        if (frame.headers.receipt) {
+          client.handleFrame({ command: 'RECEIPT', headers: { 'receipt-id': frame.headers.receipt }, body: Buffer.alloc(0) })
+        }
+      }
+    },
+    destroy: () => {}
+  }
+  client.connected = true
+  return frames
+}
+
+describe('StompClient Unit Tests', () => {
+  let sut, frames
+
+  beforeEach(() => {
+    sut = new StompClient({ host: 'localhost', port: 61613 })
+    frames = connect(sut)
+  })
+
+  describe('send()', () => {
+    // Happy path tests first
+    it('should send text bodies as TextMessages', async () => {
+      // GIVEN - A text body
+      const body = '{"orderId":1}'
+
+      // WHEN - Message is sent
+      await sut.send('/queue/orders', body, { persistent: 'true' })
+
+      // THEN - The SEND frame should ask ActiveMQ for a TextMessage
+      expect(frames).toHaveLength(1)
+      expect(frames[0].command).toBe('SEND')
+      expect(frames[0].headers['amq-msg-type']).toBe('text')
+      expect(frames[0].headers['content-length']).toBeUndefined()
+      expect(frames[0].headers.persistent).toBe('true')
+      expect(frames[0].body.toString('utf8')).toBe(body)
+    })
+
+    it('should leave the message type of binary bodies to the broker', async () => {
+      // GIVEN - A binary body
+      const body = Buffer.from([0x01, 0x00, 0x02])
+
+      // WHEN - Message is sent
+      await sut.send('/queue/orders', body)
+
+      // THEN - No text type should be requested
+      expect(frames[0].headers['amq-msg-type']).toBeUndefined()
+      expect(frames[0].body.equals(body)).toBe(true)
+    })
+  })
+
+  describe('receive()', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    // Happy path tests first
+    it('should collect messages until maxMessages is reached', async () => {
+      // GIVEN - A subscription that is answered right away
+      const pending = sut.receive('/queue/orders', { maxMessages: 1 })
+      const [subscribe] = frames
+
+      // WHEN - A message arrives
+      sut.handleFrame({ command: 'MESSAGE', headers: { subscription: subscribe.headers.id, 'message-id': 'ID:1' }, body: Buffer.from('hello') })
+      const messages = await pending
+
+      // THEN - Should resolve and unsubscribe
+      expect(messages.map(message => message.body)).toEqual(['hello'])
+      expect(frames[1].command).toBe('UNSUBSCRIBE')
+      expect(sut.subscriptions.size).toBe(0)
+    })
+
+    // Unhappy path tests
+    it('should not leave a timer behind when subscribe throws', async () => {
+      // GIVEN - A connection that closed before the subscribe
+      vi.useFakeTimers()
+      sut.connected = false
+      const unsubscribe = vi.spyOn(sut, 'unsubscribe')
+
+      // WHEN/THEN - Should reject with the subscribe error
+      await expect(sut.receive('/queue/orders', { timeout: 1000 })).rejects.toThrow('Not connected to STOMP broker')
+      expect(vi.getTimerCount()).toBe(0)
+      await vi.runAllTimersAsync()
+      expect(unsubscribe).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { encodeFrame, StompFrameParser, escapeHeaderValue, unescapeHeaderValue } from '../../src/core/client/stomp-frame.js'
+
+describe('STOMP Frame Unit Tests', () => {
+  let sut
+
+  beforeEach(() => {
+    sut = new StompFrameParser()
+  })
+
+  describe('encodeFrame()', () => {
+    it('should encode command, headers and NUL terminator', () => {
+      // GIVEN - A SEND frame with a text body
+      const headers = { destination: '/queue/orders' }
+
+      // WHEN - Frame is encoded
+      const result = encodeFrame('SEND', headers, 'hello').toString('utf8')
+
+      // THEN - Should follow STOMP wire format without content-length
+      expect(result).toBe('SEND\ndestination:/queue/orders\n\nhello\0')
+    })
+
+    it('should add content-length only for bodies containing NUL octets', () => {
+      // GIVEN - Binary body with embedded NUL
+      const body = Buffer.from([0x61, 0x00, 0x62])
+
+      // WHEN - Frame is encoded
+      const result = encodeFrame('SEND', { destination: '/queue/orders' }, body).toString('utf8')
+
+      // THEN - Should carry the body length
+      expect(result).toContain('content-length:3\n')
+    })
+
+    it('should escape header values except on CONNECT frames', () => {
+      // GIVEN - Header values containing colons and newlines
+      const headers = { selector: "type = 'a:b'\n" }
+
+      // WHEN - Encoding SEND and CONNECT frames
+      const send = encodeFrame('SEND', headers).toString('utf8')
+      const connect = encodeFrame('CONNECT', { login: 'user:1' }).toString('utf8')
+
+      // THEN - Only the SEND frame should be escaped
+      expect(send).toContain("selector:type = 'a\\cb'\\n\n")
+      expect(connect).toContain('login:user:1\n')
+    })
+
+    it('should skip undefined and null headers', () => {
+      // GIVEN - Headers with missing values
+      const headers = { login: undefined, passcode: null, host: 'broker' }
+
+      // WHEN - Frame is encoded
+      const result = encodeFrame('CONNECT', headers).toString('utf8')
+
+      // THEN - Should only contain the defined header
+      expect(result).toBe('CONNECT\nhost:broker\n\n\0')
+    })
+  })
+
+  describe('escapeHeaderValue() / unescapeHeaderValue()', () => {
+    it('should round-trip special characters', () => {
+      // GIVEN - Value containing every escaped character
+      const value = 'a\\b:c\nd\re'
+
+      // WHEN - Value is escaped and unescaped
+      const result = unescapeHeaderValue(escapeHeaderValue(value))
+
+      // THEN - Should return the original value
+      expect(result).toBe(value)
+    })
+  })
+
+  describe('push()', () => {
+    it('should parse a complete frame', () => {
+      // GIVEN - Encoded MESSAGE frame
+      const frame = encodeFrame('MESSAGE', { subscription: 'sub-1', 'message-id': 'ID:1' }, 'payload')
+
+      // WHEN - Frame is pushed
+      const result = sut.push(frame)
+
+      // THEN - Should return parsed frame
+      expect(result).toHaveLength(1)
+      expect(result[0].command).toBe('MESSAGE')
+      expect(result[0].headers.subscription).toBe('sub-1')
+      expect(result[0].headers['message-id']).toBe('ID:1')
+      expect(result[0].body.toString('utf8')).toBe('payload')
+    })
+
+    it('should buffer partial frames until complete', () => {
+      // GIVEN - Frame split across two chunks
+      const frame = encodeFrame('MESSAGE', { subscription: 'sub-1' }, 'split body')
+      const first = frame.subarray(0, 20)
+      const second = frame.subarray(20)
+
+      // WHEN - Chunks are pushed separately
+      const firstResult = sut.push(first)
+      const secondResult = sut.push(second)
+
+      // THEN - Frame should only be emitted once complete
+      expect(firstResult).toHaveLength(0)
+      expect(secondResult).toHaveLength(1)
+      expect(secondResult[0].body.toString('utf8')).toBe('split body')
+    })
+
+    it('should parse multiple frames and skip heart-beat EOLs', () => {
+      // GIVEN - Two frames separated by heart-beats
+      const chunk = Buffer.concat([
+        encodeFrame('RECEIPT', { 'receipt-id': 'r-1' }),
+        Buffer.from('\n\r\n'),
+        encodeFrame('RECEIPT', { 'receipt-id': 'r-2' })
+      ])
+
+      // WHEN - Chunk is pushed
+      const result = sut.push(chunk)
+
+      // THEN - Should return both frames
+      expect(result.map(frame => frame.headers['receipt-id'])).toEqual(['r-1', 'r-2'])
+    })
+
+    it('should honor content-length for bodies containing NUL octets', () => {
+      // GIVEN - Binary body with embedded NUL
+      const body = Buffer.from([0x61, 0x00, 0x62])
+      const frame = encodeFrame('MESSAGE', { subscription: 'sub-1' }, body)
+
+      // WHEN - Frame is pushed
+      const result = sut.push(frame)
+
+      // THEN - Body should be preserved intact
+      expect(result[0].body.equals(body)).toBe(true)
+    })
+
+    it('should parse frames with CRLF line endings', () => {
+      // GIVEN - Frame using CRLF line endings
+      const frame = Buffer.from('CONNECTED\r\nversion:1.2\r\n\r\n\0')
+
+      // WHEN - Frame is pushed
+      const result = sut.push(frame)
+
+      // THEN - Should parse headers without trailing CR
+      expect(result[0].command).toBe('CONNECTED')
+      expect(result[0].headers.version).toBe('1.2')
+    })
+
+    it('should unescape header values on non-CONNECT frames', () => {
+      // GIVEN - ERROR frame with escaped header
+      const frame = Buffer.from('ERROR\nmessage:bad\\cselector\n\n\0')
+
+      // WHEN - Frame is pushed
+      const result = sut.push(frame)
+
+      // THEN - Header should be unescaped
+      expect(result[0].headers.message).toBe('bad:selector')
+    })
+  })
+})
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { buildTlsOptions } from '../../src/core/client/tls-options.js'
+import { CoreClient } from '../../src/core/client/core-client.js'
+
+describe('TLS Options Unit Tests', () => {
+  // Setup variables
+  let tempDir, caFile, certFile, keyFile
+
+  beforeEach(() => {
+    // Placeholder PEM files - only their contents are passed through
+    tempDir = mkdtempSync(join(tmpdir(), 'activemq-tls-'))
+    caFile = join(tempDir, 'ca.pem')
+    certFile = join(tempDir, 'client.pem')
+    keyFile = join(tempDir, 'client.key')
+    writeFileSync(caFile, 'CA')
+    writeFileSync(certFile, 'CERT')
+    writeFileSync(keyFile, 'KEY')
+  })
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  describe('buildTlsOptions()', () => {
+    it('should return null when ssl is disabled', () => {
+      // GIVEN - Plain HTTP configuration with TLS files
+      const config = { host: 'localhost', ssl: false, caFile }
+
+      // WHEN - Building TLS options
+      const result = buildTlsOptions(config)
+
+      // THEN - Should not produce TLS options
+      expect(result).toBe(null)
+    })
+
+    it('should verify certificates by default', () => {
+      // GIVEN - SSL configuration without extra options
+      const config = { host: 'localhost', ssl: true }
+
+      // WHEN - Building TLS options
+      const result = buildTlsOptions(config)
+
+      // THEN - Should reject unauthorized certificates
+      expect(result).toEqual({ rejectUnauthorized: true })
+    })
+
+    it('should load CA bundle and client certificate for mutual TLS', () => {
+      // GIVEN - SSL configuration with CA and client certificate
+      const config = { host: 'localhost', ssl: true, caFile, certFile, keyFile, keyPassphrase: 'secret' }
+
+      // WHEN - Building TLS options
+      const result = buildTlsOptions(config)
+
+      // THEN - Should include file contents and passphrase
+      expect(result.ca.toString()).toBe('CA')
+      expect(result.cert.toString()).toBe('CERT')
+      expect(result.key.toString()).toBe('KEY')
+      expect(result.passphrase).toBe('secret')
+      expect(result.rejectUnauthorized).toBe(true)
+    })
+
+    it('should disable verification only when insecureSkipVerify is true', () => {
+      // GIVEN - SSL configuration with verification explicitly disabled
+      const config = { host: 'localhost', ssl: true, insecureSkipVerify: true }
+
+      // WHEN - Building TLS options
+      const result = buildTlsOptions(config)
+
+      // THEN - Should not reject unauthorized certificates
+      expect(result.rejectUnauthorized).toBe(false)
+    })
+
+    it('should throw error when client certificate has no key', () => {
+      // GIVEN - Client certificate without private key
+      const config = { host: 'localhost', ssl: true, certFile }
+
+      // WHEN/THEN - Should reject incomplete mutual TLS configuration
+      expect(() => buildTlsOptions(config)).toThrow('Both certFile and keyFile are required')
+    })
+
+    it('should throw error when CA file cannot be read', () => {
+      // GIVEN - Missing CA file
+      const config = { host: 'localhost', ssl: true, caFile: join(tempDir, 'missing.pem') }
+
+      // WHEN/THEN - Should report the unreadable file
+      expect(() => buildTlsOptions(config)).toThrow('Failed to read TLS CA file')
+    })
+  })
+
+  describe('CoreClient TLS configuration', () => {
+    it('should use https base URL and agent when ssl is enabled', () => {
+      // GIVEN - SSL connection configuration
+      const config = { host: 'broker.internal', port: 8162, ssl: true, caFile }
+
+      // WHEN - CoreClient is created
+      const sut = new CoreClient(config)
+
+      // THEN - Should target HTTPS with a configured agent
+      expect(sut.config.baseURL).toBe('https://broker.internal:8162')
+      expect(sut.httpClient.defaults.httpsAgent.options.ca.toString()).toBe('CA')
+    })
+
+    it('should keep http base URL when ssl is disabled', () => {
+      // GIVEN - Plain connection configuration
+      const config = { host: 'broker.internal', port: 8161 }
+
+      // WHEN - CoreClient is created
+      const sut = new CoreClient(config)
+
+      // THEN - Should target HTTP without an agent
+      expect(sut.config.baseURL).toBe('http://broker.internal:8161')
+      expect(sut.httpClient.defaults.httpsAgent).toBeUndefined()
+    })
+
+    it('should keep STOMP plain text when only ssl is enabled', () => {
+      // GIVEN - HTTPS web console with the default STOMP listener
+      const config = { host: 'broker.internal', port: 8162, ssl: true, caFile }
+
+      // WHEN - CoreClient is created
+      const sut = new CoreClient(config)
+
+      // THEN - Should not use TLS for STOMP
+      expect(sut.config.stompSsl).toBe(false)
+      expect(sut.stompTlsOptions).toBeNull()
+    })
+
+    it('should use TLS for STOMP when stompSsl is enabled', () => {
+      // GIVEN - Plain web console with a stomp+ssl connector
+      const config = { host: 'broker.internal', port: 8161, stompPort: 61612, stompSsl: true, caFile }
+
+      // WHEN - CoreClient is created
+      const sut = new CoreClient(config)
+
+      // THEN - Should build TLS options for STOMP only
+      expect(sut.config.baseURL).toBe('http://broker.internal:8161')
+      expect(sut.stompTlsOptions.ca.toString()).toBe('CA')
+    })
+  })
+})